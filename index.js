@@ -16,9 +16,13 @@ connectDB();
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/messages/groups', require('./routes/chatGroups'));
 app.use('/api/messages', require('./routes/messages'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/ledger/groups', require('./routes/ledgerGroups'));
 app.use('/api/ledger', require('./routes/ledger'));
+app.use('/api/realtime', require('./routes/realtime'));
+app.use('/api/presence', require('./routes/presence'));
 app.use('/api/internal', require('./routes/internal'));
 
 // Health Check
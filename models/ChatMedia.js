@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// An uploaded chat file. It belongs to its uploader until a message is sent
+// with it; messageId/receiverId are then fixed and grant the receiver access.
+const chatMediaSchema = new mongoose.Schema(
+  {
+    uploaderId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    kind: {
+      type: String,
+      enum: ['image', 'document', 'voice'],
+      required: true,
+    },
+    storageDriver: {
+      type: String,
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    sizeBytes: {
+      type: Number,
+      required: true,
+    },
+    sha256: {
+      type: String,
+      default: '',
+    },
+    fileName: {
+      type: String,
+      default: '',
+      maxlength: 200,
+    },
+    width: {
+      type: Number,
+      default: null,
+    },
+    height: {
+      type: Number,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    thumbnail: {
+      storageKey: {
+        type: String,
+        default: '',
+      },
+      contentType: {
+        type: String,
+        default: '',
+      },
+      sizeBytes: {
+        type: Number,
+        default: 0,
+      },
+    },
+    messageId: {
+      type: String,
+      default: '',
+      index: true,
+    },
+    conversationId: {
+      type: String,
+      default: '',
+    },
+    receiverId: {
+      type: String,
+      default: '',
+    },
+    attachedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('ChatMedia', chatMediaSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Durable per-user copy of a chat message for users who opted into server
+// history. Each participant owns a separate row so retention and deletes stay
+// independent.
+const chatMessageSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: String,
+      required: true,
+    },
+    messageId: {
+      type: String,
+      required: true,
+    },
+    conversationId: {
+      type: String,
+      required: true,
+    },
+    senderId: {
+      type: String,
+      required: true,
+    },
+    // Empty for group messages.
+    receiverId: {
+      type: String,
+      default: '',
+    },
+    messageText: {
+      type: String,
+      default: '',
+      maxlength: 4000,
+    },
+    messageType: {
+      type: String,
+      default: 'text',
+    },
+    // Same shape as MessageDelivery.media.
+    media: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    replyToMessageId: {
+      type: String,
+      default: '',
+    },
+    messageTimestamp: {
+      type: Number,
+      default: 0,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['accepted', 'pushed', 'delivered', 'read', 'failed'],
+      default: 'accepted',
+    },
+    storedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Null keeps the message until the owner purges it.
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+chatMessageSchema.index({ownerId: 1, messageId: 1}, {unique: true});
+// History pages walk a conversation newest first.
+chatMessageSchema.index({ownerId: 1, conversationId: 1, messageTimestamp: -1, messageId: -1});
+chatMessageSchema.index({messageId: 1});
+chatMessageSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
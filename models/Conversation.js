@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const conversationMemberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'member'],
+      default: 'member',
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    addedBy: {
+      type: String,
+      default: '',
+    },
+  },
+  {_id: false}
+);
+
+// Group chats. Direct chats have no row: their id is the "uidA_uidB" pair.
+const conversationSchema = new mongoose.Schema(
+  {
+    conversationId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ['group'],
+      default: 'group',
+    },
+    name: {
+      type: String,
+      required: true,
+      maxlength: 80,
+    },
+    avatarUrl: {
+      type: String,
+      default: '',
+      maxlength: 500,
+    },
+    createdBy: {
+      type: String,
+      required: true,
+    },
+    members: {
+      type: [conversationMemberSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ['active', 'archived'],
+      default: 'active',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Lists the groups a user belongs to.
+conversationSchema.index({'members.userId': 1, status: 1});
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Per-owner mute of a conversation. A null expiresAt mutes until turned off;
+// timed mutes are removed by the TTL monitor, so readers also filter on it.
+const conversationMuteSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: String,
+      required: true,
+    },
+    conversationId: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+conversationMuteSchema.index({ownerId: 1, conversationId: 1}, {unique: true});
+conversationMuteSchema.index({conversationId: 1});
+conversationMuteSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+module.exports = mongoose.model('ConversationMute', conversationMuteSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One row per user per conversation backing the conversation list. Delivery
+// rows expire minutes after delivery, so the last message and unread count
+// are kept here instead of being recomputed from them.
+const conversationSummarySchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: String,
+      required: true,
+    },
+    conversationId: {
+      type: String,
+      required: true,
+    },
+    peerId: {
+      type: String,
+      default: '',
+    },
+    lastMessageId: {
+      type: String,
+      default: '',
+    },
+    lastMessagePreview: {
+      type: String,
+      default: '',
+      maxlength: 200,
+    },
+    lastMessageType: {
+      type: String,
+      default: 'text',
+    },
+    lastSenderId: {
+      type: String,
+      default: '',
+    },
+    lastMessageAt: {
+      type: Number,
+      default: 0,
+    },
+    unreadCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastReadAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+conversationSummarySchema.index({ownerId: 1, conversationId: 1}, {unique: true});
+// Conversation list pages, most recent first.
+conversationSummarySchema.index({ownerId: 1, lastMessageAt: -1, conversationId: -1});
+
+module.exports = mongoose.model('ConversationSummary', conversationSummarySchema);
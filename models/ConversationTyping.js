@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Short-lived "user is typing" marker. Readers filter on expiresAt because the
+// TTL monitor only runs about once a minute.
+const conversationTypingSchema = new mongoose.Schema(
+  {
+    conversationId: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+conversationTypingSchema.index({conversationId: 1, userId: 1}, {unique: true});
+conversationTypingSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+module.exports = mongoose.model('ConversationTyping', conversationTypingSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const ledgerAttachmentSchema = new mongoose.Schema(
+  {
+    // The entry is identified the same way as LedgerTransaction rows.
+    sourceUserId: {
+      type: String,
+      required: true,
+    },
+    originTxnId: {
+      type: String,
+      required: true,
+    },
+    receiverId: {
+      type: String,
+      default: '',
+    },
+    uploaderId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    storageDriver: {
+      type: String,
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    fileName: {
+      type: String,
+      default: '',
+      maxlength: 200,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    sizeBytes: {
+      type: Number,
+      required: true,
+    },
+    sha256: {
+      type: String,
+      default: '',
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Lists attachments of one entry.
+ledgerAttachmentSchema.index({sourceUserId: 1, originTxnId: 1, isDeleted: 1});
+
+module.exports = mongoose.model('LedgerAttachment', ledgerAttachmentSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const ledgerGroupMemberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'member'],
+      default: 'member',
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {_id: false}
+);
+
+const ledgerGroupSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      maxlength: 80,
+    },
+    createdBy: {
+      type: String,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    members: {
+      type: [ledgerGroupMemberSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ['active', 'archived'],
+      default: 'active',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Lists the groups a user belongs to.
+ledgerGroupSchema.index({'members.userId': 1, status: 1});
+
+module.exports = mongoose.model('LedgerGroup', ledgerGroupSchema);
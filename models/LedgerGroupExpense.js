@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const expenseSplitSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    // What this member owes for the expense, in minor units.
+    shareMinor: {
+      type: Number,
+      default: 0,
+    },
+    shares: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {_id: false}
+);
+
+const ledgerGroupExpenseSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expenseId: {
+      type: String,
+      required: true,
+    },
+    createdBy: {
+      type: String,
+      required: true,
+    },
+    paidBy: {
+      type: String,
+      required: true,
+    },
+    amountMinor: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    note: {
+      type: String,
+      default: '',
+      maxlength: 1000,
+    },
+    splitMode: {
+      type: String,
+      enum: ['equal', 'shares', 'exact'],
+      default: 'equal',
+    },
+    splits: {
+      type: [expenseSplitSchema],
+      default: [],
+    },
+    entryTimestamp: {
+      type: Number,
+      default: 0,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Client-supplied expenseId makes create retries idempotent per group.
+ledgerGroupExpenseSchema.index({groupId: 1, expenseId: 1}, {unique: true});
+ledgerGroupExpenseSchema.index({groupId: 1, isDeleted: 1, entryTimestamp: -1});
+
+module.exports = mongoose.model('LedgerGroupExpense', ledgerGroupExpenseSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const ledgerIdempotencyKeySchema = new mongoose.Schema(
+  {
+    sourceUserId: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    state: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing',
+    },
+    statusCode: {
+      type: Number,
+      default: 0,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ledgerIdempotencyKeySchema.index({sourceUserId: 1, key: 1}, {unique: true});
+// Processed keys only need to outlive the client's retry window.
+ledgerIdempotencyKeySchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+module.exports = mongoose.model('LedgerIdempotencyKey', ledgerIdempotencyKeySchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const ledgerRecurringTemplateSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    receiverId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    peerUserId: {
+      type: String,
+      default: '',
+    },
+    contactRecordId: {
+      type: String,
+      default: '',
+    },
+    entryType: {
+      type: String,
+      enum: ['get', 'paid'],
+      default: 'paid',
+    },
+    amountMinor: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    note: {
+      type: String,
+      default: '',
+      maxlength: 1000,
+    },
+    cadence: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly'],
+      required: true,
+    },
+    startAt: {
+      type: Date,
+      required: true,
+    },
+    endAt: {
+      type: Date,
+      default: null,
+    },
+    // Monthly runs stay on this day, clamped to shorter months.
+    anchorDay: {
+      type: Number,
+      default: 1,
+    },
+    nextRunAt: {
+      type: Date,
+      required: true,
+    },
+    occurrenceCount: {
+      type: Number,
+      default: 0,
+    },
+    skipNext: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'paused', 'ended'],
+      default: 'active',
+      index: true,
+    },
+    processingAt: {
+      type: Date,
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastOriginTxnId: {
+      type: String,
+      default: '',
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ledgerRecurringTemplateSchema.index({status: 1, nextRunAt: 1});
+
+module.exports = mongoose.model('LedgerRecurringTemplate', ledgerRecurringTemplateSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const reminderDispatchSchema = new mongoose.Schema(
+  {
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+    amountMinor: {
+      type: Number,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      default: '',
+    },
+    delivered: {
+      type: Boolean,
+      default: false,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {_id: false}
+);
+
+const ledgerReminderSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    debtorId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Fixed amount to ask for; 0 means "whatever is outstanding when it fires".
+    amountMinor: {
+      type: Number,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      default: '',
+      uppercase: true,
+    },
+    note: {
+      type: String,
+      default: '',
+      maxlength: 300,
+    },
+    recurrence: {
+      type: String,
+      enum: ['none', 'weekly'],
+      default: 'none',
+    },
+    status: {
+      type: String,
+      enum: ['scheduled', 'snoozed', 'completed', 'cancelled'],
+      default: 'scheduled',
+      index: true,
+    },
+    nextRunAt: {
+      type: Date,
+      required: true,
+    },
+    // First scheduled run; weekly reminders stay on its weekday and time even
+    // after a snooze moves nextRunAt.
+    anchorAt: {
+      type: Date,
+      default: null,
+    },
+    processingAt: {
+      type: Date,
+      default: null,
+    },
+    lastSentAt: {
+      type: Date,
+      default: null,
+    },
+    sentCount: {
+      type: Number,
+      default: 0,
+    },
+    dispatches: {
+      type: [reminderDispatchSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Cron picks due reminders in fire order.
+ledgerReminderSchema.index({status: 1, nextRunAt: 1});
+
+module.exports = mongoose.model('LedgerReminder', ledgerReminderSchema);
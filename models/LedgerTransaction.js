@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+
+const ledgerOperationSchema = new mongoose.Schema(
+  {
+    op: {
+      type: String,
+      enum: ['create', 'update', 'delete'],
+      required: true,
+    },
+    version: {
+      type: Number,
+      default: 1,
+    },
+    entryType: {
+      type: String,
+      enum: ['get', 'paid'],
+      default: 'paid',
+    },
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    amountMinor: {
+      type: Number,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      default: '',
+    },
+    note: {
+      type: String,
+      default: '',
+    },
+    editHistoryJson: {
+      type: String,
+      default: '',
+    },
+    entryTimestamp: {
+      type: Number,
+      default: 0,
+    },
+    idempotencyKey: {
+      type: String,
+      default: '',
+    },
+    // Who made the change; empty on ops recorded before editors were tracked.
+    actorId: {
+      type: String,
+      default: '',
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {_id: false}
+);
+
+const ledgerConfirmationEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ['accept', 'dispute', 'resolve'],
+      required: true,
+    },
+    fromStatus: {
+      type: String,
+      default: '',
+    },
+    toStatus: {
+      type: String,
+      default: '',
+    },
+    actorId: {
+      type: String,
+      default: '',
+    },
+    reason: {
+      type: String,
+      default: '',
+      maxlength: 500,
+    },
+    version: {
+      type: Number,
+      default: 1,
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {_id: false}
+);
+
+const ledgerSettlementLinkSchema = new mongoose.Schema(
+  {
+    sourceUserId: {
+      type: String,
+      required: true,
+    },
+    originTxnId: {
+      type: String,
+      required: true,
+    },
+    amountMinor: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {_id: false}
+);
+
+const ledgerTransactionSchema = new mongoose.Schema(
+  {
+    sourceUserId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    originTxnId: {
+      type: String,
+      required: true,
+    },
+    receiverId: {
+      type: String,
+      default: '',
+      index: true,
+    },
+    peerUserId: {
+      type: String,
+      default: '',
+    },
+    // Normalized phone of a peer without an account. receiverId stays empty
+    // until that phone registers and the entry is attached.
+    receiverPhone: {
+      type: String,
+      default: '',
+    },
+    contactRecordId: {
+      type: String,
+      default: '',
+    },
+    entryType: {
+      type: String,
+      enum: ['get', 'paid'],
+      default: 'paid',
+    },
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    // Integer minor units (paise, cents) in `currency`; `amount` is kept as the
+    // major-unit value older app builds read.
+    amountMinor: {
+      type: Number,
+      default: 0,
+      validate: {
+        validator: Number.isInteger,
+        message: 'amountMinor must be an integer',
+      },
+    },
+    // ISO 4217 code. Empty on rows stored before currencies were tracked.
+    currency: {
+      type: String,
+      default: '',
+      uppercase: true,
+    },
+    note: {
+      type: String,
+      default: '',
+      maxlength: 1000,
+    },
+    // Settlements pay down the open balance with a peer instead of adding to it.
+    kind: {
+      type: String,
+      enum: ['entry', 'settlement'],
+      default: 'entry',
+    },
+    // Entries a settlement cleared, oldest first, and how much went to each.
+    settles: {
+      type: [ledgerSettlementLinkSchema],
+      default: [],
+    },
+    version: {
+      type: Number,
+      default: 1,
+    },
+    editHistoryJson: {
+      type: String,
+      default: '',
+    },
+    entryTimestamp: {
+      type: Number,
+      default: 0,
+    },
+    lastOpAt: {
+      type: Number,
+      default: 0,
+    },
+    lastOp: {
+      type: String,
+      enum: ['create', 'update', 'delete'],
+      default: 'create',
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    deliveryStatus: {
+      type: String,
+      enum: ['accepted', 'pushed', 'delivered', 'failed'],
+      default: 'accepted',
+      index: true,
+    },
+    ackedVersion: {
+      type: Number,
+      default: 0,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    confirmationStatus: {
+      type: String,
+      enum: ['pending', 'accepted', 'disputed', 'resolved'],
+      default: 'pending',
+      index: true,
+    },
+    disputeReason: {
+      type: String,
+      default: '',
+      maxlength: 500,
+    },
+    confirmationUpdatedAt: {
+      type: Date,
+      default: null,
+    },
+    confirmationHistory: {
+      type: [ledgerConfirmationEventSchema],
+      default: [],
+    },
+    operations: {
+      type: [ledgerOperationSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One server-side record per entry, owned by the user who created it.
+ledgerTransactionSchema.index({sourceUserId: 1, originTxnId: 1}, {unique: true});
+ledgerTransactionSchema.index({sourceUserId: 1, receiverId: 1});
+ledgerTransactionSchema.index({receiverId: 1, deliveryStatus: 1, lastOpAt: 1});
+// Phone-contact entries waiting to be attached to a new account.
+ledgerTransactionSchema.index({receiverPhone: 1, receiverId: 1});
+
+module.exports = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
@@ -1,11 +1,56 @@
 const mongoose = require('mongoose');
 
+// Copy of the ChatMedia fields a receiver needs, so pushes and pending-sync
+// do not have to load the media row.
+const messageMediaSchema = new mongoose.Schema(
+  {
+    mediaId: {
+      type: String,
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ['image', 'document', 'voice'],
+      required: true,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    sizeBytes: {
+      type: Number,
+      default: 0,
+    },
+    fileName: {
+      type: String,
+      default: '',
+    },
+    width: {
+      type: Number,
+      default: null,
+    },
+    height: {
+      type: Number,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    hasThumbnail: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {_id: false}
+);
+
 const messageDeliverySchema = new mongoose.Schema(
   {
+    // One row per receiver; group messages fan out to several rows.
     messageId: {
       type: String,
       required: true,
-      unique: true,
       index: true,
     },
     conversationId: {
@@ -33,6 +78,23 @@ const messageDeliverySchema = new mongoose.Schema(
       default: 0,
       index: true,
     },
+    messageType: {
+      type: String,
+      default: 'text',
+    },
+    contactRecordId: {
+      type: String,
+      default: '',
+    },
+    media: {
+      type: messageMediaSchema,
+      default: null,
+    },
+    // Message this one quotes, in the same conversation.
+    replyToMessageId: {
+      type: String,
+      default: '',
+    },
     status: {
       type: String,
       enum: ['accepted', 'pushed', 'delivered', 'read', 'failed'],
@@ -47,10 +109,28 @@ const messageDeliverySchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    nextRetryAt: {
+      type: Date,
+      default: null,
+    },
+    processingAt: {
+      type: Date,
+      default: null,
+    },
     deliveredAt: {
       type: Date,
       default: null,
     },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Deleted for everyone: text and media are cleared, the row stays so the
+    // receiver still learns about it through pending-sync.
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
     readAt: {
       type: Date,
       default: null,
@@ -67,6 +147,9 @@ const messageDeliverySchema = new mongoose.Schema(
 
 // Auto-clean delivery metadata to keep storage bounded.
 messageDeliverySchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+messageDeliverySchema.index({messageId: 1, receiverId: 1}, {unique: true});
 messageDeliverySchema.index({conversationId: 1, messageTimestamp: 1});
+// Retry worker scan.
+messageDeliverySchema.index({status: 1, nextRetryAt: 1});
 
 module.exports = mongoose.model('MessageDelivery', messageDeliverySchema);
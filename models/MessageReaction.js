@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One reaction per user per message. Removing a reaction clears emoji but
+// keeps the row, so devices syncing later learn about the removal too.
+const messageReactionSchema = new mongoose.Schema(
+  {
+    messageId: {
+      type: String,
+      required: true,
+    },
+    conversationId: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+    },
+    emoji: {
+      type: String,
+      default: '',
+      maxlength: 32,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+messageReactionSchema.index({messageId: 1, userId: 1}, {unique: true});
+// pending-sync reads reactions changed since the device last synced.
+messageReactionSchema.index({conversationId: 1, updatedAt: 1, _id: 1});
+
+module.exports = mongoose.model('MessageReaction', messageReactionSchema);
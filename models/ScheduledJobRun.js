@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One row per background job, so missed schedules show up in
+// GET /api/internal/jobs instead of going unnoticed.
+const scheduledJobRunSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    lastStartedAt: {
+      type: Date,
+      default: null,
+    },
+    lastFinishedAt: {
+      type: Date,
+      default: null,
+    },
+    lastReason: {
+      type: String,
+      default: '',
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('ScheduledJobRun', scheduledJobRunSchema);
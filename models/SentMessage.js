@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Sender-side record of a message, kept for the edit/delete window. Delivery
+// rows and archived copies may be gone by then, so this is what proves who
+// sent a message and when the server accepted it.
+const sentMessageSchema = new mongoose.Schema(
+  {
+    messageId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    conversationId: {
+      type: String,
+      required: true,
+    },
+    senderId: {
+      type: String,
+      required: true,
+    },
+    mediaId: {
+      type: String,
+      default: '',
+    },
+    mediaKind: {
+      type: String,
+      default: '',
+    },
+    acceptedAt: {
+      type: Date,
+      required: true,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sentMessageSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+module.exports = mongoose.model('SentMessage', sentMessageSchema);
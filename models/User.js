@@ -130,6 +130,11 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Set by presence heartbeats; isOnline only counts while this is fresh.
+  lastHeartbeatAt: {
+    type: Date,
+    default: null
+  },
   privacy: {
     phoneNumberVisible: {
       type: Boolean,
@@ -148,6 +153,21 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Opt-in server copy of chat messages; retentionDays 0 keeps them forever.
+  chatHistory: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    retentionDays: {
+      type: Number,
+      default: 365
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -176,4 +196,7 @@ userSchema.index(
   { sparse: true, partialFilterExpression: { fcmToken: { $type: 'string', $ne: '' } } }
 );
 
+// Presence sweep of users whose heartbeats stopped.
+userSchema.index({ isOnline: 1, lastHeartbeatAt: 1 });
+
 module.exports = mongoose.model('User', userSchema);
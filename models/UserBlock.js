@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// blockerId has blocked blockedId. One-directional; checks look both ways
+// where the feature calls for it.
+const userBlockSchema = new mongoose.Schema(
+  {
+    blockerId: {
+      type: String,
+      required: true,
+    },
+    blockedId: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+userBlockSchema.index({blockerId: 1, blockedId: 1}, {unique: true});
+// Who has blocked a given user.
+userBlockSchema.index({blockedId: 1});
+
+module.exports = mongoose.model('UserBlock', userBlockSchema);
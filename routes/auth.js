@@ -15,6 +15,8 @@ const {
   isInvalidFcmTokenError,
   markUserAsUninstalled,
 } = require('../services/fcmTokenState');
+const { attachPhoneContactEntries } = require('../services/ledgerPhoneContactService');
+const { isBlockedBy } = require('../services/blockMuteService');
 
 const validateUsername = username => /^[a-zA-Z0-9._-]+$/.test(String(username || ''));
 
@@ -612,14 +614,17 @@ router.post('/phone-claims/request', verifyToken, async (req, res) => {
       return res.status(400).json({ success: false, message: 'Phone already linked to your account' });
     }
 
-    const blocked = await PhoneClaim.findOne({
-      requesterId,
-      targetOwnerId: String(activeOwner.userId),
-      phoneNormalized: normalizedPhone,
-      status: 'blocked',
-      blockedByTarget: true,
-    }).lean();
-    if (blocked) {
+    const [blocked, userBlocked] = await Promise.all([
+      PhoneClaim.findOne({
+        requesterId,
+        targetOwnerId: String(activeOwner.userId),
+        phoneNormalized: normalizedPhone,
+        status: 'blocked',
+        blockedByTarget: true,
+      }).lean(),
+      isBlockedBy(String(activeOwner.userId), requesterId),
+    ]);
+    if (blocked || userBlocked) {
       return res.status(403).json({ success: false, message: 'You are blocked from requesting this number' });
     }
 
@@ -863,6 +868,13 @@ router.post('/phone-claims/respond', verifyToken, async (req, res) => {
       activeOwnerLink.fullPhone || phoneNormalized,
       requesterPrevNormalized,
     );
+    // An approved claim proves the number, so entries recorded against it
+    // before it had an account move to the requester.
+    try {
+      await attachPhoneContactEntries(requesterId, phoneNormalized);
+    } catch (attachError) {
+      console.error('[LEDGER_PHONE_CONTACT] Attach failed:', attachError.message);
+    }
 
     if (String(ownerUser.mobileNormalized || '') === phoneNormalized) {
       ownerUser.mobile = null;
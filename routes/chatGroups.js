@@ -0,0 +1,453 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { toPeerSummary } = require('../services/ledgerService');
+const {
+  FEATURE_NOTIF_PAYLOAD_V3_ENABLED,
+  createPushEventId,
+  relayChatEvent,
+} = require('../services/chatDelivery');
+const {
+  CHAT_GROUP_MAX_MEMBERS,
+  createGroupConversationId,
+  isGroupMember,
+  isGroupAdmin,
+  findGroupForMember,
+} = require('../services/groupConversationService');
+const {loadBlockersOf, loadGroupBlockersOf} = require('../services/blockMuteService');
+
+const toGroupPayload = (group, profilesById = new Map()) => ({
+  conversationId: group.conversationId,
+  type: 'group',
+  name: group.name,
+  avatarUrl: group.avatarUrl || '',
+  createdBy: group.createdBy,
+  status: group.status,
+  members: (group.members || []).map(member => ({
+    userId: member.userId,
+    role: member.role,
+    joinedAt: member.joinedAt,
+    addedBy: member.addedBy || '',
+    profile: toPeerSummary(profilesById.get(member.userId)),
+  })),
+  createdAt: group.createdAt,
+});
+
+// Photos follow each member's own privacy setting, as in the conversation list.
+const loadMemberProfiles = async userIds => {
+  const users = await User.find({firebaseUid: {$in: userIds}})
+    .select('firebaseUid username displayName photoURL privacy')
+    .lean();
+  return new Map(users.map(item => [
+    String(item.firebaseUid),
+    item.privacy?.profilePhotoVisible === false ? {...item, photoURL: null} : item,
+  ]));
+};
+
+const normalizeAvatarUrl = value => {
+  const url = String(value || '').trim();
+  if (!url) {
+    return '';
+  }
+  return /^https:\/\/\S+$/i.test(url) && url.length <= 500 ? url : null;
+};
+
+// Only existing accounts can be added; returns the unknown ids as missing.
+const resolveMemberIds = async memberIds => {
+  const requested = Array.from(new Set(
+    (Array.isArray(memberIds) ? memberIds : [])
+      .map(value => String(value || '').trim())
+      .filter(Boolean),
+  ));
+  if (!requested.length) {
+    return {uids: [], missing: []};
+  }
+  const users = await User.find({firebaseUid: {$in: requested}}).select('firebaseUid').lean();
+  const found = new Set(users.map(item => String(item.firebaseUid)));
+  return {
+    uids: requested.filter(value => found.has(value)),
+    missing: requested.filter(value => !found.has(value)),
+  };
+};
+
+// Tells current members, and anyone just removed, that the group changed.
+const notifyGroupUpdated = async (group, {action, actorId, userIds, extraTargets = [], fields = {}}) => {
+  const targets = Array.from(new Set([
+    ...group.members.map(member => member.userId),
+    ...extraTargets,
+  ])).filter(targetId => targetId !== actorId);
+
+  await Promise.all(targets.map(targetId => {
+    const data = {
+      type: 'chat_group_updated',
+      conversationId: group.conversationId,
+      action,
+      actorId,
+      userIds: userIds.join(','),
+      name: String(group.name || ''),
+      status: String(group.status || 'active'),
+      timestamp: String(Date.now()),
+      ...fields,
+    };
+    if (FEATURE_NOTIF_PAYLOAD_V3_ENABLED) {
+      data.notifVersion = 'v3';
+      data.eventId = createPushEventId({
+        prefix: `chat_group_${action}`,
+        messageId: group.conversationId,
+        senderId: actorId,
+        receiverId: targetId,
+      });
+    }
+    return relayChatEvent(targetId, data);
+  }));
+};
+
+// POST /api/messages/groups
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const {name, avatarUrl, memberIds} = req.body || {};
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const groupName = String(name || '').trim().slice(0, 80);
+    if (!groupName) {
+      return res.status(400).json({
+        success: false,
+        message: 'name is required',
+      });
+    }
+    const groupAvatarUrl = normalizeAvatarUrl(avatarUrl);
+    if (groupAvatarUrl === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'avatarUrl must be an https URL of at most 500 characters',
+      });
+    }
+
+    const {uids, missing} = await resolveMemberIds(memberIds);
+    if (missing.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some members were not found',
+        missing,
+      });
+    }
+    const others = uids.filter(memberId => memberId !== uid);
+    if (!others.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'A group needs at least one other member',
+      });
+    }
+    if (others.length + 1 > CHAT_GROUP_MAX_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        message: `A group can have at most ${CHAT_GROUP_MAX_MEMBERS} members`,
+      });
+    }
+    // Nobody can be put in a group by someone they have blocked.
+    const blockedBy = await loadBlockersOf(uid, others);
+    if (blockedBy.length) {
+      return res.status(403).json({
+        success: false,
+        code: 'BLOCKED_BY_MEMBER',
+        message: 'Some users cannot be added to a group by you',
+        userIds: blockedBy,
+      });
+    }
+
+    const now = new Date();
+    const group = await Conversation.create({
+      conversationId: createGroupConversationId(),
+      name: groupName,
+      avatarUrl: groupAvatarUrl,
+      createdBy: uid,
+      members: [
+        {userId: uid, role: 'admin', joinedAt: now, addedBy: uid},
+        ...others.map(memberId => ({userId: memberId, role: 'member', joinedAt: now, addedBy: uid})),
+      ],
+    });
+
+    await notifyGroupUpdated(group, {action: 'created', actorId: uid, userIds: others});
+    const profiles = await loadMemberProfiles(group.members.map(member => member.userId));
+    return res.status(201).json({
+      success: true,
+      group: toGroupPayload(group, profiles),
+    });
+  } catch (error) {
+    console.error('[CHAT_GROUP] Create error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/messages/groups
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const groups = await Conversation.find({'members.userId': uid, status: 'active'})
+      .sort({updatedAt: -1})
+      .limit(200)
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      groups: groups.map(group => toGroupPayload(group)),
+      count: groups.length,
+    });
+  } catch (error) {
+    console.error('[CHAT_GROUP] List error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/messages/groups/:conversationId
+router.get('/:conversationId', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const group = await findGroupForMember(req.params.conversationId, uid);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    const profiles = await loadMemberProfiles(group.members.map(member => member.userId));
+    return res.status(200).json({
+      success: true,
+      group: toGroupPayload(group, profiles),
+    });
+  } catch (error) {
+    console.error('[CHAT_GROUP] Fetch error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/messages/groups/:conversationId/members
+router.post('/:conversationId/members', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const {memberIds} = req.body || {};
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const group = await findGroupForMember(req.params.conversationId, uid);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+    if (!isGroupAdmin(group, uid)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can add members',
+      });
+    }
+
+    const {uids, missing} = await resolveMemberIds(memberIds);
+    if (missing.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some members were not found',
+        missing,
+      });
+    }
+
+    const additions = uids.filter(memberId => !isGroupMember(group, memberId));
+    if (group.members.length + additions.length > CHAT_GROUP_MAX_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        message: `A group can have at most ${CHAT_GROUP_MAX_MEMBERS} members`,
+      });
+    }
+    const blockedBy = await loadGroupBlockersOf(group, uid, additions);
+    if (blockedBy.length) {
+      return res.status(403).json({
+        success: false,
+        code: 'BLOCKED_BY_MEMBER',
+        message: 'Some users cannot be added to this group',
+        userIds: blockedBy,
+      });
+    }
+
+    if (additions.length) {
+      const now = new Date();
+      additions.forEach(memberId => {
+        group.members.push({userId: memberId, role: 'member', joinedAt: now, addedBy: uid});
+      });
+      await group.save();
+      await notifyGroupUpdated(group, {action: 'members_added', actorId: uid, userIds: additions});
+    }
+
+    const profiles = await loadMemberProfiles(group.members.map(member => member.userId));
+    return res.status(200).json({
+      success: true,
+      added: additions,
+      group: toGroupPayload(group, profiles),
+    });
+  } catch (error) {
+    console.error('[CHAT_GROUP] Add members error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/messages/groups/:conversationId/members/:userId/remove
+router.post('/:conversationId/members/:userId/remove', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const targetId = String(req.params.userId || '').trim();
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+    if (targetId === uid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use leave to remove yourself from a group',
+      });
+    }
+
+    const group = await findGroupForMember(req.params.conversationId, uid);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+    if (!isGroupAdmin(group, uid)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can remove members',
+      });
+    }
+    if (!isGroupMember(group, targetId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found in this group',
+      });
+    }
+
+    group.members = group.members.filter(member => member.userId !== targetId);
+    await group.save();
+    await notifyGroupUpdated(group, {
+      action: 'member_removed',
+      actorId: uid,
+      userIds: [targetId],
+      extraTargets: [targetId],
+    });
+
+    const profiles = await loadMemberProfiles(group.members.map(member => member.userId));
+    return res.status(200).json({
+      success: true,
+      removed: targetId,
+      group: toGroupPayload(group, profiles),
+    });
+  } catch (error) {
+    console.error('[CHAT_GROUP] Remove member error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/messages/groups/:conversationId/leave
+router.post('/:conversationId/leave', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const group = await findGroupForMember(req.params.conversationId, uid);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    group.members = group.members.filter(member => member.userId !== uid);
+    // The longest-standing member takes over when the last admin leaves; an
+    // empty group is archived rather than deleted so its id is never reused.
+    let promoted = null;
+    if (group.members.length && !group.members.some(member => member.role === 'admin')) {
+      const [successor] = [...group.members].sort(
+        (a, b) => new Date(a.joinedAt).getTime() - new Date(b.joinedAt).getTime(),
+      );
+      successor.role = 'admin';
+      promoted = successor.userId;
+    }
+    if (!group.members.length) {
+      group.status = 'archived';
+    }
+    await group.save();
+    await notifyGroupUpdated(group, {
+      action: 'member_left',
+      actorId: uid,
+      userIds: [uid],
+      fields: promoted ? {promotedId: promoted} : {},
+    });
+
+    return res.status(200).json({
+      success: true,
+      conversationId: group.conversationId,
+      promoted,
+      archived: group.status === 'archived',
+    });
+  } catch (error) {
+    console.error('[CHAT_GROUP] Leave error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { runFcmTokenAudit } = require('../services/fcmTokenAuditService');
+const { runScheduledJob, listScheduledJobHealth } = require('../services/scheduledJobs');
+const { resolvePublicBaseUrl } = require('../services/signedUrl');
 
 const verifyCronSecret = (req, res, next) => {
   const expected = String(process.env.CRON_SECRET || '').trim();
@@ -38,4 +40,114 @@ router.get('/fcm-token-audit', verifyCronSecret, async (req, res) => {
   }
 });
 
+router.get('/ledger-reminders', verifyCronSecret, async (req, res) => {
+  try {
+    const parsedBatchSize = Number(req.query?.batchSize || 0);
+    const summary = await runScheduledJob('ledger-reminders', {
+      batchSize: parsedBatchSize > 0 ? parsedBatchSize : undefined,
+      reason: String(req.query?.reason || 'cron'),
+    });
+
+    return res.status(200).json({
+      success: true,
+      summary,
+    });
+  } catch (error) {
+    console.error('[LEDGER_REMINDER] Cron route failed:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Ledger reminder run failed',
+      error: error.message,
+    });
+  }
+});
+
+router.get('/ledger-recurring', verifyCronSecret, async (req, res) => {
+  try {
+    const parsedBatchSize = Number(req.query?.batchSize || 0);
+    const summary = await runScheduledJob('ledger-recurring', {
+      batchSize: parsedBatchSize > 0 ? parsedBatchSize : undefined,
+      reason: String(req.query?.reason || 'cron'),
+    });
+
+    return res.status(200).json({
+      success: true,
+      summary,
+    });
+  } catch (error) {
+    console.error('[LEDGER_RECURRING] Cron route failed:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Recurring ledger run failed',
+      error: error.message,
+    });
+  }
+});
+
+router.get('/chat-delivery-retry', verifyCronSecret, async (req, res) => {
+  try {
+    const parsedBatchSize = Number(req.query?.batchSize || 0);
+    const summary = await runScheduledJob('chat-delivery-retry', {
+      batchSize: parsedBatchSize > 0 ? parsedBatchSize : undefined,
+      reason: String(req.query?.reason || 'cron'),
+      // Retried media messages carry absolute download links.
+      baseUrl: resolvePublicBaseUrl(req),
+    });
+
+    return res.status(200).json({
+      success: true,
+      summary,
+    });
+  } catch (error) {
+    console.error('[CHAT_RETRY] Cron route failed:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Chat delivery retry run failed',
+      error: error.message,
+    });
+  }
+});
+
+router.get('/presence-sweep', verifyCronSecret, async (req, res) => {
+  try {
+    const summary = await runScheduledJob('presence-sweep', {
+      reason: String(req.query?.reason || 'cron'),
+    });
+
+    return res.status(200).json({
+      success: true,
+      summary,
+    });
+  } catch (error) {
+    console.error('[PRESENCE] Cron route failed:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Presence sweep failed',
+      error: error.message,
+    });
+  }
+});
+
+// Health check for an uptime monitor: 503 while any job has missed its
+// schedule, which usually means the external scheduler is not set up.
+router.get('/jobs', verifyCronSecret, async (req, res) => {
+  try {
+    const jobs = await listScheduledJobHealth();
+    const overdue = jobs.filter(job => job.overdue).map(job => job.name);
+
+    return res.status(overdue.length ? 503 : 200).json({
+      success: overdue.length === 0,
+      overdue,
+      jobs,
+    });
+  } catch (error) {
+    console.error('[SCHEDULED_JOBS] Health route failed:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Job health check failed',
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
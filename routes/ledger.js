@@ -1,195 +1,1549 @@
 const express = require('express');
 const router = express.Router();
-const admin = require('../config/firebase');
 const User = require('../models/User');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const LedgerAttachment = require('../models/LedgerAttachment');
+const LedgerReminder = require('../models/LedgerReminder');
+const LedgerRecurringTemplate = require('../models/LedgerRecurringTemplate');
 const { verifyToken } = require('../middleware/authMiddleware');
 const {
-  isInvalidFcmTokenError,
-  markUserAsUninstalled,
-} = require('../services/fcmTokenState');
+  DEFAULT_CURRENCY,
+  normalizeCurrencyCode,
+  resolveUserCurrency,
+  resolveUserLocale,
+  toMinorUnits,
+  fromMinorUnits,
+} = require('../services/currency');
+const {
+  normalizeAmount,
+  rowCurrency,
+  formatLedgerAmount,
+  createLedgerEventId,
+  resolveLedgerPeer,
+  createEmptyBalance,
+  serializeBalance,
+  computeLedgerBalances,
+  toPeerSummary,
+  sendLedgerPush,
+  buildEntryRevisions,
+  buildLedgerEventData,
+  syncLedgerOperation,
+} = require('../services/ledgerService');
+const {
+  buildStatement,
+  renderStatementCsv,
+  renderStatementPdf,
+  renderStatementHtml,
+} = require('../services/ledgerStatement');
+const {getOutstandingForReminder} = require('../services/ledgerReminderService');
+const {computeNextRecurringRun} = require('../services/ledgerRecurringService');
+const {recordSettlement} = require('../services/ledgerSettlementService');
+const {SUMMARY_PERIODS, buildLedgerSummary} = require('../services/ledgerSummaryService');
+const {
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_MAX_PER_ENTRY,
+  validateAttachmentUpload,
+  storeAttachmentFile,
+  verifyAttachmentDownload,
+  toAttachmentPayload,
+} = require('../services/ledgerAttachmentService');
+const {getStorageDriver} = require('../services/fileStorage');
+const {isConfigurationError, sendConfigurationError} = require('../services/configurationError');
+const {resolvePublicBaseUrl} = require('../services/signedUrl');
+const {sanitizeFileName} = require('../services/uploadValidation');
+const {
+  normalizeContactPhone,
+  attachPhoneContactEntries,
+  verifiedPhoneFromToken,
+  buildStatementShareLink,
+  verifyStatementShareLink,
+  loadPhoneContactRows,
+} = require('../services/ledgerPhoneContactService');
+
+// Allowed confirmation moves per action. Accept/dispute belong to the
+// receiver; either party can close a dispute as resolved.
+const CONFIRMATION_TRANSITIONS = {
+  accept: {from: ['pending', 'disputed', 'resolved'], to: 'accepted', actor: 'receiver'},
+  dispute: {from: ['pending', 'accepted', 'resolved'], to: 'disputed', actor: 'receiver'},
+  resolve: {from: ['disputed'], to: 'resolved', actor: 'either'},
+};
+
+const MAX_REMINDER_SNOOZE_DAYS = 30;
+
+const toReminderPayload = reminder => ({
+  reminderId: String(reminder._id),
+  ownerId: reminder.ownerId,
+  debtorId: reminder.debtorId,
+  amountMinor: Number(reminder.amountMinor || 0),
+  amount: reminder.amountMinor
+    ? fromMinorUnits(reminder.amountMinor, reminder.currency || DEFAULT_CURRENCY)
+    : null,
+  currency: reminder.currency || null,
+  note: reminder.note || '',
+  recurrence: reminder.recurrence,
+  status: reminder.status,
+  nextRunAt: reminder.nextRunAt,
+  lastSentAt: reminder.lastSentAt || null,
+  sentCount: Number(reminder.sentCount || 0),
+  createdAt: reminder.createdAt,
+});
+
+const findOwnedDocument = async (Model, documentId, ownerId) => {
+  const id = String(documentId || '').trim();
+  if (!/^[a-f\d]{24}$/i.test(id) || !ownerId) {
+    return null;
+  }
+  return Model.findOne({_id: id, ownerId});
+};
+
+const RECURRING_CADENCES = ['daily', 'weekly', 'monthly'];
+
+const toRecurringPayload = template => ({
+  templateId: String(template._id),
+  receiverId: template.receiverId,
+  peerUserId: template.peerUserId || template.receiverId,
+  entryType: template.entryType,
+  amountMinor: Number(template.amountMinor || 0),
+  amount: fromMinorUnits(template.amountMinor, template.currency),
+  currency: template.currency,
+  note: template.note || '',
+  cadence: template.cadence,
+  startAt: template.startAt,
+  endAt: template.endAt || null,
+  nextRunAt: template.nextRunAt,
+  skipNext: template.skipNext === true,
+  occurrenceCount: Number(template.occurrenceCount || 0),
+  status: template.status,
+  lastRunAt: template.lastRunAt || null,
+  lastError: template.lastError || null,
+});
+
+const parseDateParam = (value, fallback) => {
+  const raw = String(value || '').trim();
+  if (!raw) {
+    return fallback;
+  }
+  const parsed = /^\d+$/.test(raw) ? new Date(Number(raw)) : new Date(raw);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.getTime();
+};
+
+// originTxnId is only unique per creator, so callers pass sourceUserId when
+// both parties happen to use the same id.
+const findEntryForParty = async (originTxnId, uid, sourceUserId = '') => {
+  const query = {
+    originTxnId: String(originTxnId || '').trim(),
+    $or: [{sourceUserId: uid}, {receiverId: uid}],
+  };
+  if (sourceUserId) {
+    query.sourceUserId = String(sourceUserId).trim();
+  }
+
+  const matches = await LedgerTransaction.find(query).select('-operations').limit(2);
+  if (!matches.length) {
+    return {status: 404, message: 'Ledger entry not found'};
+  }
+  if (matches.length > 1) {
+    return {status: 400, message: 'sourceUserId is required to identify this entry'};
+  }
+  return {transaction: matches[0]};
+};
+
+// Attachments arrive as the raw request body with the file's Content-Type.
+const parseAttachmentBody = (req, res, next) =>
+  express.raw({type: () => true, limit: ATTACHMENT_MAX_BYTES})(req, res, error => {
+    if (error) {
+      return res.status(error.status === 413 ? 413 : 400).json({
+        success: false,
+        message: error.status === 413
+          ? `Attachment exceeds ${ATTACHMENT_MAX_BYTES} bytes`
+          : 'Could not read attachment body',
+      });
+    }
+    return next();
+  });
+
+// POST /api/ledger/sync
+router.post('/sync', verifyToken, async (req, res) => {
+  try {
+    const result = await syncLedgerOperation(req.user?.uid, req.body || {});
+    return res.status(result.statusCode).json(result.body);
+  } catch (error) {
+    console.error('Ledger sync error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/ledger/settlements
+router.post('/settlements', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const result = await recordSettlement(uid, req.body || {});
+    return res.status(result.statusCode).json(result.body);
+  } catch (error) {
+    console.error('[LEDGER_SETTLEMENT] Error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/ledger/pending-sync
+router.get('/pending-sync', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const peerUserId = String(req.query?.peerUserId || '').trim();
+    const sinceTimestamp = Number.parseInt(String(req.query?.sinceTimestamp || '0'), 10) || 0;
+    const limitRaw = Number.parseInt(String(req.query?.limit || '100'), 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 200) : 100;
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const query = {
+      receiverId: uid,
+      deliveryStatus: {$ne: 'delivered'},
+      lastOpAt: {$gt: sinceTimestamp},
+    };
+
+    if (peerUserId) {
+      const peer = await resolveLedgerPeer(peerUserId);
+      if (!peer?.firebaseUid) {
+        return res.status(404).json({
+          success: false,
+          message: 'Peer not found',
+        });
+      }
+      query.sourceUserId = String(peer.firebaseUid);
+    }
+
+    const rows = await LedgerTransaction.find(query)
+      .select('-operations')
+      .sort({lastOpAt: 1, createdAt: 1})
+      .limit(limit)
+      .lean();
+
+    const senderIds = [...new Set(rows.map(row => String(row.sourceUserId || '')).filter(Boolean))];
+    const senders = await User.find({firebaseUid: {$in: senderIds}})
+      .select('firebaseUid displayName username mobile mobileNormalized')
+      .lean();
+    const senderById = new Map(senders.map(item => [String(item.firebaseUid), item]));
+
+    const events = rows.map(row =>
+      buildLedgerEventData(row, senderById.get(String(row.sourceUserId || '')), {
+        lastOpAt: String(Number(row.lastOpAt || 0)),
+      })
+    );
+
+    return res.status(200).json({
+      success: true,
+      events,
+      count: events.length,
+      sinceTimestamp,
+    });
+  } catch (error) {
+    console.error('[LEDGER_PENDING_SYNC] Error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/ledger/ack
+router.post('/ack', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const body = req.body || {};
+    const entries = Array.isArray(body.entries) ? body.entries : [body];
+    const validEntries = entries
+      .map(item => ({
+        sourceUserId: String(item?.sourceUserId || '').trim(),
+        originTxnId: String(item?.originTxnId || '').trim(),
+        version: Number(item?.version || 0),
+      }))
+      .filter(item => item.sourceUserId && item.originTxnId && item.version > 0)
+      .slice(0, 200);
+
+    if (!validEntries.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'sourceUserId, originTxnId and version are required',
+      });
+    }
+
+    let acknowledged = 0;
+    const now = new Date();
+    for (const entry of validEntries) {
+      // Only clear the pending flag if no newer op landed after the one acked.
+      const result = await LedgerTransaction.updateOne(
+        {
+          sourceUserId: entry.sourceUserId,
+          originTxnId: entry.originTxnId,
+          receiverId: uid,
+          version: {$lte: entry.version},
+        },
+        {
+          $set: {
+            deliveryStatus: 'delivered',
+            ackedVersion: entry.version,
+            deliveredAt: now,
+            lastError: null,
+          },
+        }
+      );
+      acknowledged += Number(result?.modifiedCount || 0);
+    }
+
+    return res.status(200).json({
+      success: true,
+      acknowledged,
+      requested: validEntries.length,
+    });
+  } catch (error) {
+    console.error('[LEDGER_ACK] Error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/ledger/entries/:originTxnId/respond
+router.post('/entries/:originTxnId/respond', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const originTxnId = String(req.params.originTxnId || '').trim();
+    const {action, reason, sourceUserId} = req.body || {};
+    const normalizedAction = String(action || '').trim().toLowerCase();
+    const reasonText = String(reason || '').trim().slice(0, 500);
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const transition = CONFIRMATION_TRANSITIONS[normalizedAction];
+    if (!transition) {
+      return res.status(400).json({
+        success: false,
+        message: `action must be one of: ${Object.keys(CONFIRMATION_TRANSITIONS).join(', ')}`,
+      });
+    }
+
+    if (normalizedAction === 'dispute' && !reasonText) {
+      return res.status(400).json({
+        success: false,
+        message: 'reason is required to dispute an entry',
+      });
+    }
+
+    const {transaction, status, message} = await findEntryForParty(originTxnId, uid, sourceUserId);
+    if (!transaction) {
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    const isReceiver = String(transaction.receiverId || '') === uid;
+    if (transition.actor === 'receiver' && !isReceiver) {
+      return res.status(403).json({
+        success: false,
+        message: `Only the receiver can ${normalizedAction} this entry`,
+      });
+    }
+
+    if (transaction.isDeleted) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ledger entry has been deleted',
+      });
+    }
+
+    const fromStatus = String(transaction.confirmationStatus || 'pending');
+    if (!transition.from.includes(fromStatus)) {
+      return res.status(409).json({
+        success: false,
+        code: 'INVALID_TRANSITION',
+        message: `Cannot ${normalizedAction} an entry that is ${fromStatus}`,
+        confirmationStatus: fromStatus,
+      });
+    }
+
+    const now = new Date();
+    transaction.confirmationStatus = transition.to;
+    transaction.confirmationUpdatedAt = now;
+    if (normalizedAction === 'dispute') {
+      transaction.disputeReason = reasonText;
+    }
+    transaction.confirmationHistory.push({
+      action: normalizedAction,
+      fromStatus,
+      toStatus: transition.to,
+      actorId: uid,
+      reason: reasonText,
+      version: Number(transaction.version || 1),
+      recordedAt: now,
+    });
+    await transaction.save();
+
+    const otherPartyId = isReceiver
+      ? String(transaction.sourceUserId || '')
+      : String(transaction.receiverId || '');
+    const [actor, otherParty] = await Promise.all([
+      User.findOne({firebaseUid: uid}).select('displayName username').lean(),
+      User.findOne({firebaseUid: otherPartyId})
+        .select('firebaseUid fcmToken appInstallState country')
+        .lean(),
+    ]);
+
+    const actorName = String(actor?.displayName || actor?.username || 'Contact');
+    const amountLabel = formatLedgerAmount(transaction, otherParty);
+    const bodyText =
+      normalizedAction === 'dispute'
+        ? `${actorName} disputed ${amountLabel} - ${reasonText}`
+        : `${actorName} ${transition.to} ${amountLabel}`;
+
+    let notified = false;
+    if (otherParty && String(otherParty.appInstallState || 'installed') !== 'uninstalled') {
+      const push = await sendLedgerPush(
+        otherParty,
+        {
+          type: 'ledger_entry_response',
+          action: normalizedAction,
+          confirmationStatus: transition.to,
+          originTxnId: String(transaction.originTxnId || ''),
+          sourceUserId: String(transaction.sourceUserId || ''),
+          responderId: uid,
+          responderName: actorName,
+          reason: reasonText,
+          version: String(Number(transaction.version || 1)),
+          timestamp: String(now.getTime()),
+          eventId: createLedgerEventId({
+            prefix: `ledger_${normalizedAction}`,
+            originTxnId: transaction.originTxnId,
+            sourceUserId: uid,
+            targetUserId: otherPartyId,
+          }),
+        },
+        {
+          title: actorName,
+          body: bodyText,
+        }
+      );
+      notified = push.sent;
+      if (!push.sent) {
+        console.error('[LEDGER_RESPOND] Failed to notify other party:', push.error);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      originTxnId: String(transaction.originTxnId || ''),
+      sourceUserId: String(transaction.sourceUserId || ''),
+      confirmationStatus: transaction.confirmationStatus,
+      disputeReason: transaction.disputeReason || '',
+      confirmationHistory: transaction.confirmationHistory,
+      notified,
+    });
+  } catch (error) {
+    console.error('[LEDGER_RESPOND] Error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/ledger/entries/:originTxnId/history
+router.get('/entries/:originTxnId/history', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const {transaction, status, message} = await findEntryForParty(
+      req.params.originTxnId,
+      uid,
+      req.query?.sourceUserId,
+    );
+    if (!transaction) {
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    const {operations = []} = await LedgerTransaction.findById(transaction._id)
+      .select('operations')
+      .lean();
+
+    // Values are as recorded by sourceUserId; the receiver sees entryType
+    // mirrored in the app.
+    return res.status(200).json({
+      success: true,
+      entry: {
+        originTxnId: transaction.originTxnId,
+        sourceUserId: transaction.sourceUserId,
+        receiverId: transaction.receiverId,
+        kind: transaction.kind || 'entry',
+        version: transaction.version,
+        isDeleted: Boolean(transaction.isDeleted),
+        confirmationStatus: transaction.confirmationStatus,
+      },
+      revisions: buildEntryRevisions(operations),
+      confirmations: (transaction.confirmationHistory || []).map(event => ({
+        action: event.action,
+        fromStatus: event.fromStatus,
+        toStatus: event.toStatus,
+        actorId: event.actorId,
+        reason: event.reason || '',
+        version: event.version,
+        recordedAt: event.recordedAt,
+      })),
+    });
+  } catch (error) {
+    console.error('[LEDGER_HISTORY] Error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/ledger/entries/:originTxnId/attachments
+router.post('/entries/:originTxnId/attachments', verifyToken, parseAttachmentBody, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const {transaction, status, message} = await findEntryForParty(
+      req.params.originTxnId,
+      uid,
+      req.query?.sourceUserId,
+    );
+    if (!transaction) {
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+    if (transaction.isDeleted) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ledger entry has been deleted',
+      });
+    }
+
+    const {contentType, error: uploadError} = validateAttachmentUpload(
+      req.body,
+      req.headers['content-type'],
+    );
+    if (uploadError) {
+      return res.status(400).json({
+        success: false,
+        message: uploadError,
+      });
+    }
+
+    const entryQuery = {
+      sourceUserId: transaction.sourceUserId,
+      originTxnId: transaction.originTxnId,
+      isDeleted: false,
+    };
+    if ((await LedgerAttachment.countDocuments(entryQuery)) >= ATTACHMENT_MAX_PER_ENTRY) {
+      return res.status(409).json({
+        success: false,
+        code: 'ATTACHMENT_LIMIT_REACHED',
+        message: `An entry can have at most ${ATTACHMENT_MAX_PER_ENTRY} attachments`,
+      });
+    }
+
+    const stored = await storeAttachmentFile({
+      buffer: req.body,
+      contentType,
+      sourceUserId: transaction.sourceUserId,
+    });
+    const attachment = await LedgerAttachment.create({
+      sourceUserId: transaction.sourceUserId,
+      originTxnId: transaction.originTxnId,
+      receiverId: transaction.receiverId,
+      uploaderId: uid,
+      ...stored,
+      fileName: sanitizeFileName(req.query?.fileName || req.headers['x-file-name']),
+      contentType,
+      sizeBytes: req.body.length,
+    });
+
+    return res.status(201).json({
+      success: true,
+      attachment: toAttachmentPayload(attachment, uid, resolvePublicBaseUrl(req)),
+    });
+  } catch (error) {
+    console.error('[LEDGER_ATTACHMENT] Upload error:', error.message);
+    if (isConfigurationError(error)) {
+      return sendConfigurationError(res, error);
+    }
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/ledger/entries/:originTxnId/attachments
+router.get('/entries/:originTxnId/attachments', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const {transaction, status, message} = await findEntryForParty(
+      req.params.originTxnId,
+      uid,
+      req.query?.sourceUserId,
+    );
+    if (!transaction) {
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    const attachments = await LedgerAttachment.find({
+      sourceUserId: transaction.sourceUserId,
+      originTxnId: transaction.originTxnId,
+      isDeleted: false,
+    })
+      .sort({createdAt: 1})
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      attachments: attachments.map(item => toAttachmentPayload(item, uid, resolvePublicBaseUrl(req))),
+      count: attachments.length,
+    });
+  } catch (error) {
+    console.error('[LEDGER_ATTACHMENT] List error:', error.message);
+    if (isConfigurationError(error)) {
+      return sendConfigurationError(res, error);
+    }
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/ledger/attachments/:attachmentId/download
+// Authenticated by the signed, expiring query string instead of a bearer token
+// so image views can load it directly.
+router.get('/attachments/:attachmentId/download', async (req, res) => {
+  try {
+    const attachmentId = String(req.params.attachmentId || '').trim();
+    const uid = String(req.query?.uid || '').trim();
+
+    if (
+      !/^[a-f\d]{24}$/i.test(attachmentId) ||
+      !uid ||
+      !verifyAttachmentDownload({
+        attachmentId,
+        uid,
+        expires: req.query?.expires,
+        signature: req.query?.signature,
+      })
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Download link is invalid or has expired',
+      });
+    }
+
+    const attachment = await LedgerAttachment.findOne({_id: attachmentId, isDeleted: false}).lean();
+    if (!attachment || (attachment.sourceUserId !== uid && attachment.receiverId !== uid)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found',
+      });
+    }
+
+    let stream;
+    try {
+      stream = await getStorageDriver(attachment.storageDriver).createReadStream(attachment.storageKey);
+    } catch (readError) {
+      if (readError?.code !== 'ENOENT') {
+        throw readError;
+      }
+      return res.status(410).json({
+        success: false,
+        message: 'Attachment file is no longer available',
+      });
+    }
+
+    res.setHeader('Content-Type', attachment.contentType);
+    res.setHeader('Content-Length', String(attachment.sizeBytes));
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="${attachment.fileName || `attachment_${attachmentId}`}"`,
+    );
+    stream.on('error', streamError => {
+      console.error('[LEDGER_ATTACHMENT] Stream error:', streamError.message);
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
+    return undefined;
+  } catch (error) {
+    console.error('[LEDGER_ATTACHMENT] Download error:', error.message);
+    if (isConfigurationError(error)) {
+      return sendConfigurationError(res, error);
+    }
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/ledger/attachments/:attachmentId/delete
+router.post('/attachments/:attachmentId/delete', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    // Only the uploader can remove an attachment.
+    const attachmentId = String(req.params.attachmentId || '').trim();
+    const attachment = /^[a-f\d]{24}$/i.test(attachmentId)
+      ? await LedgerAttachment.findOne({_id: attachmentId, uploaderId: uid, isDeleted: false})
+      : null;
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found',
+      });
+    }
+
+    attachment.isDeleted = true;
+    await attachment.save();
+    try {
+      await getStorageDriver(attachment.storageDriver).remove(attachment.storageKey);
+    } catch (removeError) {
+      console.warn('[LEDGER_ATTACHMENT] File cleanup failed:', removeError.message);
+    }
+
+    return res.status(200).json({
+      success: true,
+      attachmentId: String(attachment._id),
+    });
+  } catch (error) {
+    console.error('[LEDGER_ATTACHMENT] Delete error:', error.message);
+    if (isConfigurationError(error)) {
+      return sendConfigurationError(res, error);
+    }
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/ledger/statement/:peerUserId
+router.get('/statement/:peerUserId', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const format = String(req.query?.format || 'csv').trim().toLowerCase();
+    const requestedCurrency = normalizeCurrencyCode(req.query?.currency);
+    const from = parseDateParam(req.query?.from, 0);
+    const to = parseDateParam(req.query?.to, Date.now());
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+    if (format !== 'csv' && format !== 'pdf') {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be one of: csv, pdf',
+      });
+    }
+    if (from === null || to === null || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates with from <= to',
+      });
+    }
+
+    const peer = await resolveLedgerPeer(req.params.peerUserId);
+    const peerUid = String(peer?.firebaseUid || '').trim();
+    if (!peerUid) {
+      return res.status(404).json({
+        success: false,
+        message: 'Peer not found',
+      });
+    }
+
+    const [owner, rows] = await Promise.all([
+      User.findOne({firebaseUid: uid})
+        .select('displayName username currencySymbol country')
+        .lean(),
+      LedgerTransaction.find({
+        isDeleted: false,
+        entryTimestamp: {$lte: to},
+        $or: [
+          {sourceUserId: uid, receiverId: peerUid},
+          {sourceUserId: peerUid, receiverId: uid},
+        ],
+      })
+        .select('sourceUserId receiverId originTxnId kind settles entryType amount amountMinor currency note entryTimestamp')
+        .sort({entryTimestamp: 1, createdAt: 1})
+        .lean(),
+    ]);
+
+    const currencies = [...new Set(rows.map(rowCurrency))];
+    if (!requestedCurrency && currencies.length > 1) {
+      return res.status(409).json({
+        success: false,
+        code: 'MIXED_CURRENCY',
+        message: 'Entries with this peer use more than one currency; pass currency to pick one',
+        currencies,
+      });
+    }
+    const statementCurrency = requestedCurrency || currencies[0] || resolveUserCurrency(owner);
+
+    const statement = buildStatement({
+      rows,
+      viewerId: uid,
+      currency: statementCurrency,
+      from,
+      to,
+      ownerName: String(owner?.displayName || owner?.username || 'You'),
+      peerName: String(peer.displayName || peer.username || 'Contact'),
+      locale: resolveUserLocale(owner),
+    });
+    const fileName = `statement_${String(peer.username || peerUid)}_${Date.now()}`;
+
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+      renderStatementPdf(statement, res);
+      return undefined;
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    return res.status(200).send(renderStatementCsv(statement));
+  } catch (error) {
+    console.error('[LEDGER_STATEMENT] Error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/ledger/contacts/share-link
+router.post('/contacts/share-link', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const {phone, days} = req.body || {};
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const phoneNormalized = normalizeContactPhone(phone);
+    if (!phoneNormalized) {
+      return res.status(400).json({
+        success: false,
+        message: 'phone must be a valid phone number',
+      });
+    }
+
+    const hasEntries = await LedgerTransaction.exists({
+      sourceUserId: uid,
+      receiverPhone: phoneNormalized,
+      isDeleted: false,
+    });
+    if (!hasEntries) {
+      return res.status(404).json({
+        success: false,
+        message: 'No ledger entries recorded for this phone number',
+      });
+    }
+
+    const link = buildStatementShareLink(uid, phoneNormalized, days);
+    return res.status(200).json({
+      success: true,
+      url: `${resolvePublicBaseUrl(req)}${link.path}`,
+      expiresAt: link.expiresAt,
+    });
+  } catch (error) {
+    console.error('[LEDGER_SHARE_LINK] Error:', error.message);
+    if (isConfigurationError(error)) {
+      return sendConfigurationError(res, error);
+    }
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/ledger/contacts/claim-phone-entries
+// Moves entries others recorded against the caller's SMS-verified number.
+router.post('/contacts/claim-phone-entries', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const phoneNormalized = verifiedPhoneFromToken(req.user);
+    if (!phoneNormalized) {
+      return res.status(403).json({
+        success: false,
+        code: 'PHONE_NOT_VERIFIED',
+        message: 'Verify your phone number by SMS code before claiming entries',
+      });
+    }
+
+    const attached = await attachPhoneContactEntries(uid, phoneNormalized);
+    return res.status(200).json({
+      success: true,
+      attached,
+    });
+  } catch (error) {
+    console.error('[LEDGER_PHONE_CONTACT] Claim error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/ledger/shared/statement
+// Public, read-only page authenticated by the link signature.
+router.get('/shared/statement', async (req, res) => {
+  try {
+    const {owner, phone, expires, signature} = req.query || {};
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    res.setHeader('X-Robots-Tag', 'noindex');
+
+    if (!verifyStatementShareLink({owner, phone, expires, signature})) {
+      return res.status(403).send('This statement link is invalid or has expired.');
+    }
+
+    const ownerId = String(owner);
+    const phoneNormalized = String(phone);
+    const [ownerUser, rows] = await Promise.all([
+      User.findOne({firebaseUid: ownerId})
+        .select('displayName username currencySymbol country')
+        .lean(),
+      loadPhoneContactRows(ownerId, phoneNormalized),
+    ]);
+    const ownerName = String(ownerUser?.displayName || ownerUser?.username || 'Your contact');
+
+    // Shown from the contact's side, so every entry is mirrored.
+    const statements = [...new Set(rows.map(rowCurrency))].map(currency =>
+      buildStatement({
+        rows,
+        viewerId: '',
+        currency,
+        from: 0,
+        to: Date.now(),
+        ownerName: 'You',
+        peerName: ownerName,
+        locale: resolveUserLocale(ownerUser),
+      }),
+    );
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res
+      .status(200)
+      .send(renderStatementHtml(statements, {title: `Your account with ${ownerName}`}));
+  } catch (error) {
+    console.error('[LEDGER_SHARED_STATEMENT] Error:', error.message);
+    return res.status(500).send('Could not load this statement right now.');
+  }
+});
 
-const normalizeOp = (value) => {
-  return value === 'delete' || value === 'update' ? value : 'create';
-};
+// POST /api/ledger/reminders
+router.post('/reminders', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const {peerUserId, remindAt, recurrence, amount, currency, note} = req.body || {};
 
-const normalizeEntryType = (value) => {
-  return value === 'get' ? 'get' : 'paid';
-};
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
 
-const normalizeAmount = (value) => {
-  const parsed = Number(value);
-  if (!Number.isFinite(parsed)) return 0;
-  return Math.abs(parsed);
-};
+    const recurrenceValue = String(recurrence || 'none').trim().toLowerCase();
+    if (recurrenceValue !== 'none' && recurrenceValue !== 'weekly') {
+      return res.status(400).json({
+        success: false,
+        message: 'recurrence must be one of: none, weekly',
+      });
+    }
 
-const normalizeEditHistoryJson = (value) => {
-  const rawList = Array.isArray(value)
-    ? value
-    : typeof value === 'string' && value.trim()
-    ? (() => {
-        try {
-          const parsed = JSON.parse(value);
-          return Array.isArray(parsed) ? parsed : [];
-        } catch (e) {
-          return [];
-        }
-      })()
-    : [];
+    const nextRunAt = parseDateParam(remindAt, Date.now());
+    if (nextRunAt === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'remindAt must be a valid date',
+      });
+    }
 
-  const cleaned = rawList
-    .map(item => Number(item))
-    .filter(item => Number.isFinite(item) && item >= 0)
-    .slice(-10);
+    if (currency && !normalizeCurrencyCode(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'currency must be an ISO 4217 code',
+      });
+    }
 
-  return cleaned.length > 0 ? JSON.stringify(cleaned) : '';
-};
+    const peer = await resolveLedgerPeer(peerUserId);
+    const debtorId = String(peer?.firebaseUid || '').trim();
+    if (!debtorId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Peer not found',
+      });
+    }
+    if (debtorId === uid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot set a reminder for yourself',
+      });
+    }
 
-const isMongoObjectId = value => /^[a-f\\d]{24}$/i.test(String(value || ''));
+    const outstanding = await getOutstandingForReminder({
+      ownerId: uid,
+      debtorId,
+      currency,
+    });
+    if (!outstanding || outstanding.outstandingMinor <= 0) {
+      return res.status(409).json({
+        success: false,
+        code: 'NO_OUTSTANDING_BALANCE',
+        message: 'This peer has no outstanding balance to remind about',
+      });
+    }
 
-// POST /api/ledger/sync
-router.post('/sync', verifyToken, async (req, res) => {
+    const amountMinor = toMinorUnits(normalizeAmount(amount), outstanding.currency);
+    const reminder = await LedgerReminder.create({
+      ownerId: uid,
+      debtorId,
+      amountMinor: amountMinor > 0 ? amountMinor : 0,
+      currency: outstanding.currency,
+      note: String(note || '').trim().slice(0, 300),
+      recurrence: recurrenceValue,
+      status: 'scheduled',
+      nextRunAt: new Date(nextRunAt),
+      anchorAt: new Date(nextRunAt),
+    });
+
+    return res.status(201).json({
+      success: true,
+      reminder: toReminderPayload(reminder),
+      outstandingMinor: outstanding.outstandingMinor,
+    });
+  } catch (error) {
+    console.error('[LEDGER_REMINDER] Create error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/ledger/reminders
+router.get('/reminders', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const includeClosed = String(req.query?.includeClosed || '') === 'true';
+    const rows = await LedgerReminder.find({
+      ownerId: uid,
+      ...(includeClosed ? {} : {status: {$in: ['scheduled', 'snoozed']}}),
+    })
+      .select('-dispatches')
+      .sort({nextRunAt: 1})
+      .limit(200)
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      reminders: rows.map(toReminderPayload),
+      count: rows.length,
+    });
+  } catch (error) {
+    console.error('[LEDGER_REMINDER] List error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/ledger/reminders/:reminderId/snooze
+router.post('/reminders/:reminderId/snooze', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const {until, minutes} = req.body || {};
+
+    const reminder = await findOwnedDocument(LedgerReminder, req.params.reminderId, uid);
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found',
+      });
+    }
+    if (reminder.status === 'completed' || reminder.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: `Reminder is already ${reminder.status}`,
+      });
+    }
+
+    const snoozeMinutes = Number(minutes || 0);
+    const snoozeUntil = until
+      ? parseDateParam(until, null)
+      : snoozeMinutes > 0
+      ? Date.now() + snoozeMinutes * 60 * 1000
+      : null;
+    const maxSnoozeUntil = Date.now() + MAX_REMINDER_SNOOZE_DAYS * 24 * 60 * 60 * 1000;
+    if (!snoozeUntil || snoozeUntil <= Date.now() || snoozeUntil > maxSnoozeUntil) {
+      return res.status(400).json({
+        success: false,
+        message: `until or minutes must point to a future time within ${MAX_REMINDER_SNOOZE_DAYS} days`,
+      });
+    }
+
+    reminder.status = 'snoozed';
+    reminder.nextRunAt = new Date(snoozeUntil);
+    await reminder.save();
+
+    return res.status(200).json({
+      success: true,
+      reminder: toReminderPayload(reminder),
+    });
+  } catch (error) {
+    console.error('[LEDGER_REMINDER] Snooze error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/ledger/reminders/:reminderId/cancel
+router.post('/reminders/:reminderId/cancel', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const reminder = await findOwnedDocument(LedgerReminder, req.params.reminderId, uid);
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found',
+      });
+    }
+
+    if (reminder.status !== 'cancelled') {
+      reminder.status = 'cancelled';
+      reminder.processingAt = null;
+      await reminder.save();
+    }
+
+    return res.status(200).json({
+      success: true,
+      reminder: toReminderPayload(reminder),
+    });
+  } catch (error) {
+    console.error('[LEDGER_REMINDER] Cancel error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/ledger/recurring
+router.post('/recurring', verifyToken, async (req, res) => {
   try {
-    const sourceUserId = req.user?.uid;
+    const uid = String(req.user?.uid || '').trim();
     const {
       peerUserId,
-      op,
-      originTxnId,
       amount,
-      note,
-      timestamp,
-      idempotencyKey,
-      version,
-      type,
+      currency,
       entryType,
+      type,
+      note,
+      cadence,
+      startAt,
+      endAt,
       contactRecordId,
-      editHistory,
-      editHistoryJson,
     } = req.body || {};
 
-    if (!sourceUserId) {
+    if (!uid) {
       return res.status(401).json({
         success: false,
         message: 'Unauthorized user',
       });
     }
 
-    if (!peerUserId || !originTxnId) {
+    const cadenceValue = String(cadence || '').trim().toLowerCase();
+    if (!RECURRING_CADENCES.includes(cadenceValue)) {
       return res.status(400).json({
         success: false,
-        message: 'peerUserId and originTxnId are required',
+        message: `cadence must be one of: ${RECURRING_CADENCES.join(', ')}`,
       });
     }
 
-    const opValue = normalizeOp(op);
-    const entryTypeValue = normalizeEntryType(entryType || type);
-    const amountValue = normalizeAmount(amount);
-    const normalizedEditHistoryJson = normalizeEditHistoryJson(
-      editHistoryJson || editHistory
-    );
+    const startAtValue = parseDateParam(startAt, Date.now());
+    const endAtValue = parseDateParam(endAt, 0);
+    if (startAtValue === null || endAtValue === null || (endAtValue && endAtValue < startAtValue)) {
+      return res.status(400).json({
+        success: false,
+        message: 'startAt and endAt must be valid dates with startAt <= endAt',
+      });
+    }
+
+    if (currency && !normalizeCurrencyCode(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'currency must be an ISO 4217 code',
+      });
+    }
+
+    const peer = await resolveLedgerPeer(peerUserId);
+    const receiverId = String(peer?.firebaseUid || '').trim();
+    if (!receiverId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receiver not found',
+      });
+    }
+    if (receiverId === uid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot create a recurring entry with yourself',
+      });
+    }
 
-    if (opValue === 'create' && amountValue <= 0) {
+    const owner = await User.findOne({firebaseUid: uid})
+      .select('currencySymbol country')
+      .lean();
+    const currencyValue = normalizeCurrencyCode(currency) || resolveUserCurrency(owner);
+    const amountMinor = toMinorUnits(normalizeAmount(amount), currencyValue);
+    if (amountMinor <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'amount must be greater than 0 for create operation',
+        message: 'amount must be greater than 0',
       });
     }
 
-    // Step 1: Try username lookup first (new approach)
-    let receiver = await User.findOne({ username: peerUserId.toLowerCase() }).lean();
+    const template = await LedgerRecurringTemplate.create({
+      ownerId: uid,
+      receiverId,
+      peerUserId: String(peerUserId || '').trim(),
+      contactRecordId: String(contactRecordId || '').trim(),
+      entryType: (entryType || type) === 'get' ? 'get' : 'paid',
+      amountMinor,
+      currency: currencyValue,
+      note: String(note || '').trim().slice(0, 1000),
+      cadence: cadenceValue,
+      startAt: new Date(startAtValue),
+      endAt: endAtValue ? new Date(endAtValue) : null,
+      anchorDay: new Date(startAtValue).getUTCDate(),
+      nextRunAt: new Date(startAtValue),
+      status: 'active',
+    });
+
+    return res.status(201).json({
+      success: true,
+      template: toRecurringPayload(template),
+    });
+  } catch (error) {
+    console.error('[LEDGER_RECURRING] Create error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
 
-    // Step 2: Fallback to firebaseUid (for legacy queued events)
-    if (!receiver) {
-      console.log('🔍 [LEDGER] Username lookup failed, trying firebaseUid:', peerUserId);
-      receiver = await User.findOne({ firebaseUid: String(peerUserId) }).lean();
+// GET /api/ledger/recurring
+router.get('/recurring', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
     }
 
-    // Step 3: Fallback to MongoDB _id (if valid ObjectID)
-    if (!receiver && isMongoObjectId(peerUserId)) {
-      console.log('🔍 [LEDGER] FirebaseUid lookup failed, trying MongoDB ID:', peerUserId);
-      try {
-        receiver = await User.findOne({ _id: String(peerUserId) }).lean();
-      } catch (e) {
-        console.log('🔍 [LEDGER] MongoDB ID lookup also failed');
-      }
+    const includeEnded = String(req.query?.includeEnded || '') === 'true';
+    const rows = await LedgerRecurringTemplate.find({
+      ownerId: uid,
+      ...(includeEnded ? {} : {status: {$ne: 'ended'}}),
+    })
+      .sort({nextRunAt: 1})
+      .limit(200)
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      templates: rows.map(toRecurringPayload),
+      count: rows.length,
+    });
+  } catch (error) {
+    console.error('[LEDGER_RECURRING] List error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/ledger/recurring/:templateId/:action (pause | resume | skip-next | cancel)
+router.post('/recurring/:templateId/:action', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const action = String(req.params.action || '').trim().toLowerCase();
+    const validActions = ['pause', 'resume', 'skip-next', 'cancel'];
+    if (!validActions.includes(action)) {
+      return res.status(404).json({
+        success: false,
+        message: `action must be one of: ${validActions.join(', ')}`,
+      });
     }
 
-    if (!receiver) {
-      console.error('❌ [LEDGER] Receiver not found:', peerUserId);
+    const template = await findOwnedDocument(LedgerRecurringTemplate, req.params.templateId, uid);
+    if (!template) {
       return res.status(404).json({
         success: false,
-        message: 'Receiver not found',
+        message: 'Recurring entry not found',
+      });
+    }
+    if (template.status === 'ended') {
+      return res.status(409).json({
+        success: false,
+        message: 'Recurring entry has already ended',
       });
     }
 
-    const sender = await User.findOne({ firebaseUid: String(sourceUserId) })
-      .select('displayName username mobile mobileNormalized')
-      .lean();
+    if (action === 'pause') {
+      template.status = 'paused';
+    } else if (action === 'resume') {
+      // Periods that fell inside the pause are not back-filled.
+      const now = Date.now();
+      while (new Date(template.nextRunAt).getTime() < now) {
+        template.nextRunAt = computeNextRecurringRun(template);
+      }
+      template.status = 'active';
+      template.lastError = null;
+    } else if (action === 'skip-next') {
+      template.skipNext = true;
+    } else {
+      template.status = 'ended';
+    }
+    template.processingAt = null;
+    await template.save();
+
+    return res.status(200).json({
+      success: true,
+      template: toRecurringPayload(template),
+    });
+  } catch (error) {
+    console.error('[LEDGER_RECURRING] Update error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/ledger/summary
+router.get('/summary', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const period = String(req.query?.period || 'month').trim().toLowerCase();
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+    if (!SUMMARY_PERIODS.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: `period must be one of: ${SUMMARY_PERIODS.join(', ')}`,
+      });
+    }
+
+    const summary = await buildLedgerSummary(uid, {period});
 
-    if (!receiver.fcmToken) {
-      return res.status(200).json({
-        success: true,
-        queued: true,
-        message: 'Receiver has no FCM token',
-      });
-    }
-
-    const senderTitle = String(sender?.displayName || sender?.username || 'Contact');
-    const sourceUserPhone = String(
-      sender?.mobileNormalized || sender?.mobile || ''
-    ).trim();
-
-    const eventData = {
-      type: 'ledger_event',
-      op: String(opValue),
-      originTxnId: String(originTxnId),
-      sourceUserId: String(sourceUserId),
-      sourceUserName: senderTitle,
-      sourceUserPhone,
-      peerUserId: String(peerUserId),
-      entryType: String(entryTypeValue),
-      amount: String(amountValue),
-      note: String(note || ''),
-      editHistory: String(normalizedEditHistoryJson || ''),
-      editHistoryJson: String(normalizedEditHistoryJson || ''),
-      timestamp: String(Number(timestamp || Date.now())),
-      idempotencyKey: String(
-        idempotencyKey || `ledger:${String(sourceUserId)}:${String(originTxnId)}:${String(opValue)}`
+    const peerIds = [
+      ...new Set(
+        summary.byCurrency.flatMap(item =>
+          [...item.topContacts, ...item.overdue].map(contact => contact.peerUserId).filter(Boolean),
+        ),
       ),
-      version: String(Number(version || 1)),
-      contactRecordId: String(contactRecordId || ''),
-    };
+    ];
+    const peers = await User.find({firebaseUid: {$in: peerIds}})
+      .select('firebaseUid username displayName photoURL')
+      .lean();
+    const peerById = new Map(peers.map(item => [String(item.firebaseUid), item]));
+    const withPeer = contact => ({
+      ...contact,
+      peer: contact.peerUserId ? toPeerSummary(peerById.get(contact.peerUserId)) : null,
+    });
 
-    const amountLabel = 'Rs ' + Number(amountValue).toLocaleString('en-IN');
-    const noteText = String(note || '').trim();
-    const bodyText = noteText
-      ? `${senderTitle} recorded ${amountLabel} (${entryTypeValue}) - ${noteText}`
-      : `${senderTitle} recorded ${amountLabel} (${entryTypeValue})`;
+    return res.status(200).json({
+      success: true,
+      ...summary,
+      byCurrency: summary.byCurrency.map(item => ({
+        ...item,
+        topContacts: item.topContacts.map(withPeer),
+        overdue: item.overdue.map(withPeer),
+      })),
+    });
+  } catch (error) {
+    console.error('[LEDGER_SUMMARY] Error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
 
-    try {
-      await admin.messaging().send({
-        token: receiver.fcmToken,
-        data: eventData,
-        notification: {
-          title: senderTitle,
-          body: bodyText,
-        },
-        android: {
-          priority: 'high',
-        },
+// GET /api/ledger/balances
+router.get('/balances', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
       });
-    } catch (pushError) {
-      if (isInvalidFcmTokenError(pushError)) {
-        await markUserAsUninstalled(receiver.firebaseUid, pushError);
-      }
-      throw pushError;
     }
 
+    const balances = Array.from((await computeLedgerBalances(uid)).values());
+    const peers = await User.find({
+      firebaseUid: {$in: balances.map(item => item.peerUserId).filter(Boolean)},
+    })
+      .select('firebaseUid username displayName photoURL')
+      .lean();
+    const peerById = new Map(peers.map(item => [String(item.firebaseUid), item]));
+
+    const result = balances
+      .map(item => ({
+        ...serializeBalance(item),
+        peer: toPeerSummary(peerById.get(item.peerUserId)),
+        phoneContact: !item.peerUserId,
+      }))
+      .sort((a, b) => b.lastEntryAt - a.lastEntryAt);
+
     return res.status(200).json({
       success: true,
-      delivered: true,
+      balances: result,
+      count: result.length,
     });
   } catch (error) {
-    console.error('Ledger sync error:', error.message);
+    console.error('[LEDGER_BALANCE] Error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/ledger/balances/:peerUserId
+router.get('/balances/:peerUserId', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const peer = await resolveLedgerPeer(req.params.peerUserId);
+    const peerUid = String(peer?.firebaseUid || '').trim();
+    if (!peerUid) {
+      return res.status(404).json({
+        success: false,
+        message: 'Peer not found',
+      });
+    }
+
+    const balances = await computeLedgerBalances(uid, peerUid);
+    const balance = balances.get(peerUid) || createEmptyBalance(peerUid);
+
+    return res.status(200).json({
+      success: true,
+      balance: {
+        ...serializeBalance(balance),
+        peer: toPeerSummary(peer),
+      },
+    });
+  } catch (error) {
+    console.error('[LEDGER_BALANCE] Error:', error.message);
     return res.status(500).json({
       success: false,
       error: error.message,
@@ -0,0 +1,709 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const LedgerGroup = require('../models/LedgerGroup');
+const LedgerGroupExpense = require('../models/LedgerGroupExpense');
+const { verifyToken } = require('../middleware/authMiddleware');
+const {
+  normalizeCurrencyCode,
+  resolveUserCurrency,
+  resolveUserLocale,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+} = require('../services/currency');
+const {
+  normalizeAmount,
+  resolveLedgerPeer,
+  toPeerSummary,
+  sendLedgerPush,
+  createLedgerEventId,
+} = require('../services/ledgerService');
+const {
+  GROUP_SPLIT_MODES,
+  GROUP_MAX_MEMBERS,
+  computeExpenseSplits,
+  loadGroupBalances,
+} = require('../services/ledgerGroupService');
+const {loadBlockersOf, loadGroupBlockersOf} = require('../services/blockMuteService');
+
+const withMajor = (item, currency) => ({
+  ...item,
+  amount: fromMinorUnits(item.amountMinor, currency),
+});
+
+const toGroupPayload = (group, profilesById = new Map()) => ({
+  groupId: String(group._id),
+  name: group.name,
+  currency: group.currency,
+  createdBy: group.createdBy,
+  status: group.status,
+  members: (group.members || []).map(member => ({
+    userId: member.userId,
+    role: member.role,
+    joinedAt: member.joinedAt,
+    profile: toPeerSummary(profilesById.get(member.userId)),
+  })),
+  createdAt: group.createdAt,
+});
+
+const toExpensePayload = expense => ({
+  expenseId: expense.expenseId,
+  groupId: expense.groupId,
+  createdBy: expense.createdBy,
+  paidBy: expense.paidBy,
+  amountMinor: expense.amountMinor,
+  amount: fromMinorUnits(expense.amountMinor, expense.currency),
+  currency: expense.currency,
+  note: expense.note || '',
+  splitMode: expense.splitMode,
+  splits: (expense.splits || []).map(split => ({
+    userId: split.userId,
+    shareMinor: split.shareMinor,
+    share: fromMinorUnits(split.shareMinor, expense.currency),
+    shares: split.shares,
+  })),
+  timestamp: expense.entryTimestamp,
+  createdAt: expense.createdAt,
+});
+
+const isGroupMember = (group, uid) =>
+  (group?.members || []).some(member => member.userId === uid);
+
+const isGroupAdmin = (group, uid) =>
+  (group?.members || []).some(member => member.userId === uid && member.role === 'admin');
+
+const findGroupForMember = async (groupId, uid) => {
+  const id = String(groupId || '').trim();
+  if (!/^[a-f\d]{24}$/i.test(id) || !uid) {
+    return null;
+  }
+  return LedgerGroup.findOne({_id: id, status: 'active', 'members.userId': uid});
+};
+
+// Accepts usernames, firebase uids or Mongo ids, same as ledger peers.
+const resolveMemberIds = async identifiers => {
+  const resolved = [];
+  const missing = [];
+  for (const identifier of identifiers) {
+    const peer = await resolveLedgerPeer(identifier);
+    const peerUid = String(peer?.firebaseUid || '').trim();
+    if (peerUid) {
+      resolved.push(peerUid);
+    } else {
+      missing.push(String(identifier || ''));
+    }
+  }
+  return {uids: Array.from(new Set(resolved)), missing};
+};
+
+const loadMemberProfiles = async userIds => {
+  const users = await User.find({firebaseUid: {$in: userIds}})
+    .select('firebaseUid username displayName photoURL')
+    .lean();
+  return new Map(users.map(item => [String(item.firebaseUid), item]));
+};
+
+// Members who blocked the expense's creator still carry their share but are
+// not pushed about it.
+const notifyGroupExpense = async (group, expense, creator) => {
+  const splits = expense.splits.filter(split => split.userId !== expense.createdBy);
+  const blockers = new Set(await loadBlockersOf(expense.createdBy, splits.map(split => split.userId)));
+  const targets = splits.filter(split => !blockers.has(split.userId));
+  if (!targets.length) {
+    return;
+  }
+
+  const users = await User.find({firebaseUid: {$in: targets.map(item => item.userId)}})
+    .select('firebaseUid fcmToken appInstallState country')
+    .lean();
+  const userById = new Map(users.map(item => [String(item.firebaseUid), item]));
+  const creatorName = String(creator?.displayName || creator?.username || 'Someone');
+  const noteText = String(expense.note || '').trim();
+
+  await Promise.all(
+    targets.map(async split => {
+      const target = userById.get(split.userId);
+      if (!target || String(target.appInstallState || 'installed') === 'uninstalled') {
+        return;
+      }
+      const locale = resolveUserLocale(target);
+      const amountLabel = formatMoney(expense.amountMinor, expense.currency, locale);
+      const shareLabel = formatMoney(split.shareMinor, expense.currency, locale);
+      const push = await sendLedgerPush(
+        target,
+        {
+          type: 'ledger_group_expense',
+          groupId: String(group._id),
+          groupName: String(group.name || ''),
+          expenseId: String(expense.expenseId),
+          createdBy: String(expense.createdBy),
+          paidBy: String(expense.paidBy),
+          amount: String(fromMinorUnits(expense.amountMinor, expense.currency)),
+          amountMinor: String(expense.amountMinor),
+          shareMinor: String(split.shareMinor),
+          currency: expense.currency,
+          note: noteText,
+          timestamp: String(expense.entryTimestamp),
+          eventId: createLedgerEventId({
+            prefix: 'ledger_group_expense',
+            originTxnId: String(expense.expenseId),
+            sourceUserId: expense.createdBy,
+            targetUserId: split.userId,
+          }),
+        },
+        {
+          title: String(group.name || creatorName),
+          body: `${creatorName} added ${amountLabel}${noteText ? ` for ${noteText}` : ''} - your share ${shareLabel}`,
+        },
+      );
+      if (!push.sent) {
+        console.warn('[LEDGER_GROUP] Expense push failed:', {
+          groupId: String(group._id),
+          targetUserId: split.userId,
+          error: push.error,
+        });
+      }
+    }),
+  );
+};
+
+// POST /api/ledger/groups
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const {name, memberIds, currency} = req.body || {};
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const groupName = String(name || '').trim().slice(0, 80);
+    if (!groupName) {
+      return res.status(400).json({
+        success: false,
+        message: 'name is required',
+      });
+    }
+
+    if (currency && !normalizeCurrencyCode(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'currency must be an ISO 4217 code',
+      });
+    }
+
+    const identifiers = Array.isArray(memberIds) ? memberIds : [];
+    if (identifiers.length + 1 > GROUP_MAX_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        message: `A group can have at most ${GROUP_MAX_MEMBERS} members`,
+      });
+    }
+
+    const {uids, missing} = await resolveMemberIds(identifiers);
+    if (missing.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some members were not found',
+        missing,
+      });
+    }
+
+    const others = uids.filter(memberId => memberId !== uid);
+    // Nobody can be put in a group by someone they have blocked.
+    const blockedBy = await loadBlockersOf(uid, others);
+    if (blockedBy.length) {
+      return res.status(403).json({
+        success: false,
+        code: 'BLOCKED_BY_MEMBER',
+        message: 'Some users cannot be added to a group by you',
+        userIds: blockedBy,
+      });
+    }
+
+    const creator = await User.findOne({firebaseUid: uid})
+      .select('currencySymbol country')
+      .lean();
+    const now = new Date();
+    const group = await LedgerGroup.create({
+      name: groupName,
+      createdBy: uid,
+      currency: normalizeCurrencyCode(currency) || resolveUserCurrency(creator),
+      members: [
+        {userId: uid, role: 'admin', joinedAt: now},
+        ...others.map(memberId => ({userId: memberId, role: 'member', joinedAt: now})),
+      ],
+    });
+
+    const profiles = await loadMemberProfiles(group.members.map(member => member.userId));
+    return res.status(201).json({
+      success: true,
+      group: toGroupPayload(group, profiles),
+    });
+  } catch (error) {
+    console.error('[LEDGER_GROUP] Create error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/ledger/groups
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const groups = await LedgerGroup.find({'members.userId': uid, status: 'active'})
+      .sort({updatedAt: -1})
+      .limit(200)
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      groups: groups.map(group => toGroupPayload(group)),
+      count: groups.length,
+    });
+  } catch (error) {
+    console.error('[LEDGER_GROUP] List error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/ledger/groups/:groupId
+router.get('/:groupId', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const group = await findGroupForMember(req.params.groupId, uid);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    const profiles = await loadMemberProfiles(group.members.map(member => member.userId));
+    return res.status(200).json({
+      success: true,
+      group: toGroupPayload(group, profiles),
+    });
+  } catch (error) {
+    console.error('[LEDGER_GROUP] Fetch error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/ledger/groups/:groupId/members
+router.post('/:groupId/members', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const {memberIds} = req.body || {};
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const group = await findGroupForMember(req.params.groupId, uid);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+    if (!isGroupAdmin(group, uid)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can add members',
+      });
+    }
+
+    const {uids, missing} = await resolveMemberIds(Array.isArray(memberIds) ? memberIds : []);
+    if (missing.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some members were not found',
+        missing,
+      });
+    }
+
+    const additions = uids.filter(memberId => !isGroupMember(group, memberId));
+    if (group.members.length + additions.length > GROUP_MAX_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        message: `A group can have at most ${GROUP_MAX_MEMBERS} members`,
+      });
+    }
+
+    const blockedBy = await loadGroupBlockersOf(group, uid, additions);
+    if (blockedBy.length) {
+      return res.status(403).json({
+        success: false,
+        code: 'BLOCKED_BY_MEMBER',
+        message: 'Some users cannot be added to this group',
+        userIds: blockedBy,
+      });
+    }
+
+    const now = new Date();
+    additions.forEach(memberId => {
+      group.members.push({userId: memberId, role: 'member', joinedAt: now});
+    });
+    await group.save();
+
+    const profiles = await loadMemberProfiles(group.members.map(member => member.userId));
+    return res.status(200).json({
+      success: true,
+      added: additions,
+      group: toGroupPayload(group, profiles),
+    });
+  } catch (error) {
+    console.error('[LEDGER_GROUP] Add members error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/ledger/groups/:groupId/expenses
+router.post('/:groupId/expenses', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const {expenseId, amount, paidBy, note, splitMode, participants, timestamp} = req.body || {};
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const group = await findGroupForMember(req.params.groupId, uid);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    const clientExpenseId = String(expenseId || '').trim();
+    if (clientExpenseId) {
+      const existing = await LedgerGroupExpense.findOne({
+        groupId: String(group._id),
+        expenseId: clientExpenseId,
+      }).lean();
+      if (existing && existing.createdBy !== uid) {
+        return res.status(409).json({
+          success: false,
+          code: 'EXPENSE_ID_CONFLICT',
+          message: 'expenseId is already in use; retry with a new id',
+        });
+      }
+      if (existing) {
+        return res.status(200).json({
+          success: true,
+          duplicate: true,
+          expense: toExpensePayload(existing),
+        });
+      }
+    }
+
+    const mode = String(splitMode || 'equal').trim().toLowerCase();
+    if (!GROUP_SPLIT_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `splitMode must be one of: ${GROUP_SPLIT_MODES.join(', ')}`,
+      });
+    }
+
+    const payerId = String(paidBy || uid).trim();
+    if (!isGroupMember(group, payerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'paidBy must be a group member',
+      });
+    }
+
+    // Participants are plain uids for equal splits, or objects carrying
+    // shares / amount for the other modes. Defaults to every member.
+    const rawParticipants = Array.isArray(participants) && participants.length
+      ? participants
+      : group.members.map(member => member.userId);
+    const normalizedParticipants = rawParticipants.map(item =>
+      typeof item === 'object' && item !== null
+        ? {
+            userId: String(item.userId || '').trim(),
+            shares: item.shares,
+            amountMinor: toMinorUnits(normalizeAmount(item.amount), group.currency),
+          }
+        : {userId: String(item || '').trim()},
+    );
+
+    const participantIds = normalizedParticipants.map(item => item.userId);
+    if (new Set(participantIds).size !== participantIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Participants must be unique',
+      });
+    }
+    const outsiders = participantIds.filter(memberId => !isGroupMember(group, memberId));
+    if (outsiders.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'All participants must be group members',
+        outsiders,
+      });
+    }
+
+    const amountMinor = toMinorUnits(normalizeAmount(amount), group.currency);
+    const {splits, error: splitError} = computeExpenseSplits({
+      amountMinor,
+      splitMode: mode,
+      participants: normalizedParticipants,
+    });
+    if (splitError) {
+      return res.status(400).json({
+        success: false,
+        message: splitError,
+      });
+    }
+
+    const entryTimestamp = Number.isFinite(Number(timestamp)) && Number(timestamp) > 0
+      ? Number(timestamp)
+      : Date.now();
+
+    const resolvedExpenseId = clientExpenseId || `gexp_${uid}_${Date.now()}`;
+    let expense;
+    try {
+      expense = await LedgerGroupExpense.create({
+        groupId: String(group._id),
+        expenseId: resolvedExpenseId,
+        createdBy: uid,
+        paidBy: payerId,
+        amountMinor,
+        currency: group.currency,
+        note: String(note || '').trim().slice(0, 1000),
+        splitMode: mode,
+        splits,
+        entryTimestamp,
+      });
+    } catch (createError) {
+      if (createError?.code !== 11000) {
+        throw createError;
+      }
+      // Only a replay of the caller's own expense counts as a duplicate; an id
+      // taken by someone else, or a row that cannot be read back, is a conflict.
+      const existing = await LedgerGroupExpense.findOne({
+        groupId: String(group._id),
+        expenseId: resolvedExpenseId,
+      }).lean();
+      if (!existing || existing.createdBy !== uid) {
+        return res.status(409).json({
+          success: false,
+          code: 'EXPENSE_ID_CONFLICT',
+          message: 'expenseId is already in use; retry with a new id',
+        });
+      }
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        expense: toExpensePayload(existing),
+      });
+    }
+
+    await LedgerGroup.updateOne({_id: group._id}, {$set: {updatedAt: new Date()}});
+
+    try {
+      const creator = await User.findOne({firebaseUid: uid})
+        .select('displayName username')
+        .lean();
+      await notifyGroupExpense(group, expense, creator);
+    } catch (pushError) {
+      console.warn('[LEDGER_GROUP] Expense notify failed:', pushError?.message || pushError);
+    }
+
+    return res.status(201).json({
+      success: true,
+      expense: toExpensePayload(expense),
+    });
+  } catch (error) {
+    console.error('[LEDGER_GROUP] Add expense error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/ledger/groups/:groupId/expenses
+router.get('/:groupId/expenses', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const group = await findGroupForMember(req.params.groupId, uid);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    const limitRaw = Number.parseInt(String(req.query?.limit || '100'), 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 200) : 100;
+    const expenses = await LedgerGroupExpense.find({groupId: String(group._id), isDeleted: false})
+      .sort({entryTimestamp: -1})
+      .limit(limit)
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      expenses: expenses.map(toExpensePayload),
+      count: expenses.length,
+    });
+  } catch (error) {
+    console.error('[LEDGER_GROUP] List expenses error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/ledger/groups/:groupId/expenses/:expenseId/delete
+router.post('/:groupId/expenses/:expenseId/delete', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const group = await findGroupForMember(req.params.groupId, uid);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    const expense = await LedgerGroupExpense.findOne({
+      groupId: String(group._id),
+      expenseId: String(req.params.expenseId || '').trim(),
+      isDeleted: false,
+    });
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found',
+      });
+    }
+    if (expense.createdBy !== uid && !isGroupAdmin(group, uid)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the creator or a group admin can delete this expense',
+      });
+    }
+
+    expense.isDeleted = true;
+    await expense.save();
+
+    return res.status(200).json({
+      success: true,
+      expenseId: expense.expenseId,
+    });
+  } catch (error) {
+    console.error('[LEDGER_GROUP] Delete expense error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/ledger/groups/:groupId/balances
+router.get('/:groupId/balances', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const group = await findGroupForMember(req.params.groupId, uid);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    const {members, obligations, simplified, expenseCount} = await loadGroupBalances(group._id);
+    const currency = group.currency;
+    const memberTotals = new Map(members.map(item => [item.userId, item]));
+
+    return res.status(200).json({
+      success: true,
+      groupId: String(group._id),
+      currency,
+      expenseCount,
+      members: group.members.map(member => {
+        const totals = memberTotals.get(member.userId) || {paidMinor: 0, owedMinor: 0, netMinor: 0};
+        return {
+          userId: member.userId,
+          paidMinor: totals.paidMinor,
+          owedMinor: totals.owedMinor,
+          netMinor: totals.netMinor,
+          paid: fromMinorUnits(totals.paidMinor, currency),
+          owed: fromMinorUnits(totals.owedMinor, currency),
+          net: fromMinorUnits(totals.netMinor, currency),
+        };
+      }),
+      obligations: obligations.map(item => withMajor(item, currency)),
+      simplified: simplified.map(item => withMajor(item, currency)),
+    });
+  } catch (error) {
+    console.error('[LEDGER_GROUP] Balance error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,88 @@
 const express = require('express');
 const router = express.Router();
-const admin = require('../config/firebase');
 const User = require('../models/User');
 const MessageDelivery = require('../models/MessageDelivery');
+const SentMessage = require('../models/SentMessage');
+const Conversation = require('../models/Conversation');
+const ChatMedia = require('../models/ChatMedia');
 const { verifyToken } = require('../middleware/authMiddleware');
 const {
-  isInvalidFcmTokenError,
-  markUserAsUninstalled,
-} = require('../services/fcmTokenState');
+  CHAT_HISTORY_RETENTION_DAYS,
+  normalizeRetentionDays,
+  toHistorySettings,
+  archiveChatMessage,
+  updateArchivedStatus,
+  updateArchivedMessage,
+  findArchivedMessage,
+  applyRetentionToHistory,
+  purgeChatHistory,
+  fetchConversationHistory,
+} = require('../services/chatHistory');
+const {
+  recordConversationMessage,
+  updateConversationPreview,
+  markMessageRead,
+  markConversationRead,
+  listConversationSummaries,
+} = require('../services/conversationSummary');
+const {buildCanonicalUser} = require('../services/canonicalUser');
+const {
+  FEATURE_NOTIF_PAYLOAD_V3_ENABLED,
+  CHAT_EDIT_WINDOW_MINUTES,
+  CHAT_DELETE_WINDOW_MINUTES,
+  expiryForStatus,
+  createPushEventId,
+  buildChatPushData,
+  saveDeliveryState,
+  recordSentMessage,
+  markCopyPushed,
+  pushCopyByFcm,
+  deliverGroupMessage,
+  countMessageReceipts,
+  relayChatEvent,
+} = require('../services/chatDelivery');
+const {
+  isGroupConversationId,
+  findGroupForMember,
+  resolveConversationPeers,
+  toGroupSummary,
+} = require('../services/groupConversationService');
+const {publishWithAck} = require('../services/realtimeHub');
+const {
+  MUTE_MAX_MINUTES,
+  getBlockState,
+  loadBlockersOf,
+  muteConversation,
+  unmuteConversation,
+  loadMutedOwnerIds,
+  isConversationMuted,
+  loadMutesForOwner,
+} = require('../services/blockMuteService');
+const {
+  normalizeReactionEmoji,
+  setMessageReaction,
+  loadReactionsSince,
+} = require('../services/chatReactionService');
+const {getStorageDriver} = require('../services/fileStorage');
+const {resolvePublicBaseUrl} = require('../services/signedUrl');
+const {sanitizeFileName} = require('../services/uploadValidation');
+const {isConfigurationError, sendConfigurationError} = require('../services/configurationError');
+const {
+  CHAT_MEDIA_MAX_BYTES,
+  CHAT_THUMBNAIL_MAX_BYTES,
+  CHAT_MEDIA_KINDS,
+  validateChatMediaUpload,
+  validateThumbnailUpload,
+  storeChatMediaFile,
+  storeThumbnailFile,
+  parseMediaMetadata,
+  toMediaSnapshot,
+  verifyMediaDownload,
+  toChatMediaPayload,
+  toMediaPushFields,
+  toMediaPreview,
+  needsClientThumbnail,
+} = require('../services/chatMediaService');
 
 const STATUS_ORDER = {
   accepted: 1,
@@ -17,34 +92,6 @@ const STATUS_ORDER = {
   failed: 0,
 };
 
-const DELIVERY_TTL_DAYS = 14;
-const PENDING_TTL_HOURS = 24;
-const DELIVERED_TTL_MINUTES = 2;
-const FEATURE_NOTIF_PAYLOAD_V3_ENABLED =
-  String(process.env.NOTIF_PAYLOAD_V3_ENABLED || 'true').toLowerCase() !==
-  'false';
-const nextExpiryDate = () => {
-  const now = new Date();
-  now.setDate(now.getDate() + DELIVERY_TTL_DAYS);
-  return now;
-};
-
-const expiryForStatus = status => {
-  const normalized = String(status || '').toLowerCase();
-  const now = Date.now();
-  if (normalized === 'delivered' || normalized === 'read') {
-    return new Date(now + DELIVERED_TTL_MINUTES * 60 * 1000);
-  }
-  if (
-    normalized === 'accepted' ||
-    normalized === 'pushed' ||
-    normalized === 'failed'
-  ) {
-    return new Date(now + PENDING_TTL_HOURS * 60 * 60 * 1000);
-  }
-  return nextExpiryDate();
-};
-
 const shouldAdvanceStatus = (currentStatus, nextStatus) => {
   const currentRank = STATUS_ORDER[String(currentStatus || '')] ?? 0;
   const nextRank = STATUS_ORDER[String(nextStatus || '')] ?? 0;
@@ -78,66 +125,280 @@ const isConversationParticipantPair = ({
   return participants.includes(senderId) && participants.includes(receiverId);
 };
 
-const saveDeliveryState = async params => {
+const parseMediaBody = limit => (req, res, next) =>
+  express.raw({type: () => true, limit})(req, res, error => {
+    if (error) {
+      return res.status(error.status === 413 ? 413 : 400).json({
+        success: false,
+        message: error.status === 413
+          ? `Upload exceeds ${limit} bytes`
+          : 'Could not read upload body',
+      });
+    }
+    return next();
+  });
+
+// Loads a message the caller sent for edit/delete. Returns {target} or
+// {status, code, message}. Ownership and age come from the sender-side
+// record, which outlives the delivery rows for the whole window; windows
+// count from when the server accepted the message, not the client timestamp.
+// Without that record nothing can be verified, so the change is refused.
+const findOwnMessageForChange = async (messageId, uid, windowMinutes) => {
+  const id = String(messageId || '').trim();
+  const sent = id ? await SentMessage.findOne({messageId: id}).lean() : null;
+  if (!sent) {
+    return {status: 404, message: 'Message not found or too old to change'};
+  }
+  if (String(sent.senderId) !== uid) {
+    return {status: 403, message: 'Only the sender can change this message'};
+  }
+  if (sent.deletedAt) {
+    return {status: 409, code: 'MESSAGE_DELETED', message: 'Message has been deleted'};
+  }
+  if (Date.now() - new Date(sent.acceptedAt).getTime() > windowMinutes * 60 * 1000) {
+    return {
+      status: 409,
+      code: 'CHANGE_WINDOW_EXPIRED',
+      message: `Messages can only be changed within ${windowMinutes} minutes of sending`,
+    };
+  }
+
+  const peers = await resolveConversationPeers(sent.conversationId, uid);
+  if (!peers) {
+    return {status: 403, message: 'Access denied for conversation'};
+  }
+  // The text is only known while a delivery row or archived copy is left.
+  const stored = await MessageDelivery.findOne({messageId: id}).lean() || await findArchivedMessage(id);
+  return {
+    target: {
+      messageId: id,
+      conversationId: sent.conversationId,
+      senderId: uid,
+      receiverIds: peers.peerIds,
+      isGroup: peers.isGroup,
+      messageText: stored ? String(stored.messageText || '') : null,
+      editedAt: sent.editedAt,
+      mediaId: sent.mediaId || null,
+      mediaKind: sent.mediaKind || null,
+    },
+  };
+};
+
+const buildMessageChangeEvent = (type, target, receiverId, fields) => {
+  const data = {
+    type,
+    messageId: target.messageId,
+    conversationId: target.conversationId,
+    senderId: target.senderId,
+    ...fields,
+  };
+  if (FEATURE_NOTIF_PAYLOAD_V3_ENABLED) {
+    data.notifVersion = 'v3';
+    data.eventId = createPushEventId({
+      prefix: type === 'chat_message_edited' ? 'chat_edit' : 'chat_delete',
+      messageId: target.messageId,
+      senderId: target.senderId,
+      receiverId,
+    });
+  }
+  return data;
+};
+
+// Applies a change to whatever rows of the message are left, its archived
+// copies and previews, and relays the event to every receiver.
+const applyMessageChange = async (target, type, update, {preview, fields}) => {
+  await SentMessage.updateOne(
+    {messageId: target.messageId},
+    {$set: update.deletedAt ? {deletedAt: update.deletedAt} : {editedAt: update.editedAt}},
+  );
+  await MessageDelivery.updateMany({messageId: target.messageId}, {$set: update});
+  await updateArchivedMessage(target.messageId, update);
+  await updateConversationPreview({
+    ownerIds: [target.senderId, ...target.receiverIds],
+    conversationId: target.conversationId,
+    messageId: target.messageId,
+    text: preview,
+  });
+  return Promise.all(
+    target.receiverIds.map(receiverId => relayChatEvent(
+      receiverId,
+      buildMessageChangeEvent(type, target, receiverId, fields),
+    )),
+  );
+};
+
+// Keeps the single-receiver response shape for direct chats.
+const toRelayResult = (isGroup, channels) => (
+  isGroup
+    ? {relayed: channels.some(Boolean), relayedCount: channels.filter(Boolean).length}
+    : {relayed: Boolean(channels[0]), channel: channels[0] || null}
+);
+
+// The quoted row may already have expired; when it is still around it must
+// belong to this conversation.
+const isReplyInConversation = async (replyToMessageId, conversationId) => {
+  if (!replyToMessageId) {
+    return true;
+  }
+  const quoted = await MessageDelivery.findOne({messageId: replyToMessageId})
+    .select('conversationId')
+    .lean();
+  return !quoted || quoted.conversationId === conversationId;
+};
+
+// Binds an upload to the message being sent. Returns {snapshot} or
+// {status, code, message}.
+const attachMediaToMessage = async ({mediaId, kind, senderId, messageId, conversationId, receiverId}) => {
+  const media = await ChatMedia.findOne({_id: mediaId, uploaderId: senderId}).lean();
+  if (!media || media.kind !== kind) {
+    return {status: 404, message: `No ${kind} upload found for mediaId`};
+  }
+  // A retried send may reuse its own media; anything else is a new upload.
+  const attached = await ChatMedia.findOneAndUpdate(
+    {_id: media._id, messageId: {$in: ['', messageId]}},
+    {
+      $set: {
+        messageId,
+        conversationId,
+        receiverId,
+        attachedAt: media.attachedAt || new Date(),
+      },
+    },
+    {new: true},
+  ).lean();
+  if (!attached) {
+    return {
+      status: 409,
+      code: 'MEDIA_ALREADY_SENT',
+      message: 'This media was already sent in another message',
+    };
+  }
+  return {snapshot: toMediaSnapshot(attached)};
+};
+
+// Group branch of /send: every other member gets their own delivery row and
+// push. The send succeeds once accepted, whoever could not be reached yet.
+const sendGroupMessage = async (res, params) => {
   const {
     messageId,
     conversationId,
     senderId,
-    receiverId,
     messageText,
-    messageTimestamp = 0,
-    status,
-    lastError = null,
+    messageTimestamp,
+    messageType,
+    isMediaMessage,
+    mediaId,
+    contactRecordId,
+    replyToMessageId,
+    baseUrl,
   } = params;
 
-  const now = new Date();
-  const update = {
-    conversationId: String(conversationId || ''),
-    senderId: String(senderId || ''),
-    receiverId: String(receiverId || ''),
-    messageText: String(messageText || ''),
-    messageTimestamp: Number(messageTimestamp || 0),
-    expiresAt: expiryForStatus(status),
-    updatedAt: now,
-  };
+  const group = await findGroupForMember(conversationId, senderId);
+  if (!group) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only group members can send to this group',
+    });
+  }
+  if (!(await isReplyInConversation(replyToMessageId, conversationId))) {
+    return res.status(400).json({
+      success: false,
+      message: 'replyToMessageId belongs to a different conversation',
+    });
+  }
 
-  if (status) {
-    update.status = String(status);
+  let mediaSnapshot = null;
+  if (isMediaMessage) {
+    const attached = await attachMediaToMessage({
+      mediaId,
+      kind: messageType,
+      senderId,
+      messageId,
+      conversationId,
+      receiverId: '',
+    });
+    if (!attached.snapshot) {
+      return res.status(attached.status).json({
+        success: false,
+        ...(attached.code ? {code: attached.code} : {}),
+        message: attached.message,
+      });
+    }
+    mediaSnapshot = attached.snapshot;
   }
 
-  if (lastError !== null) {
-    update.lastError = String(lastError || '');
-    update.retryCount = 1;
-  } else {
-    update.lastError = null;
+  const sent = await recordSentMessage({messageId, conversationId, senderId, media: mediaSnapshot});
+  if (sent.senderId !== senderId) {
+    return res.status(409).json({
+      success: false,
+      code: 'MESSAGE_ID_TAKEN',
+      message: 'messageId is already used by another message',
+    });
   }
 
-  await MessageDelivery.findOneAndUpdate(
-    {messageId: String(messageId)},
+  const memberIds = group.members.map(member => member.userId);
+  const receiverIds = memberIds.filter(memberId => memberId !== senderId);
+  const message = {
+    messageId,
+    conversationId,
+    senderId,
+    messageText,
+    messageTimestamp,
+    messageType,
+    contactRecordId,
+    media: mediaSnapshot,
+    replyToMessageId,
+  };
+
+  await archiveChatMessage({...message, receiverId: '', status: 'accepted'}, memberIds);
+  await recordConversationMessage(
     {
-      $set: update,
-      $setOnInsert: {
-        messageId: String(messageId),
-        createdAt: now,
-      },
+      ...message,
+      messageText: mediaSnapshot ? toMediaPreview(mediaSnapshot.kind, messageText) : messageText,
     },
-    {
-      upsert: true,
-      new: true,
-    }
+    memberIds,
   );
-};
 
-const createPushEventId = ({
-  prefix = 'chat',
-  messageId = '',
-  senderId = '',
-  receiverId = '',
-}) => {
-  const mid = String(messageId || '').trim();
-  const sid = String(senderId || '').trim();
-  const rid = String(receiverId || '').trim();
-  return `${prefix}_${mid || 'na'}_${sid || 'na'}_${rid || 'na'}_${Date.now()}`;
+  const [senderUser, mutedIds] = await Promise.all([
+    User.findOne({firebaseUid: senderId})
+      .select('displayName username mobile mobileNormalized')
+      .lean(),
+    loadMutedOwnerIds(conversationId, receiverIds),
+  ]);
+  const {recipientCount, statusCounts} = await deliverGroupMessage({
+    message,
+    receiverIds,
+    buildPushData: receiverUid => buildChatPushData({
+      ...message,
+      senderName: senderUser?.displayName || senderUser?.username || 'New Message',
+      senderPhone: String(senderUser?.mobileNormalized || senderUser?.mobile || '').trim(),
+      mediaFields: mediaSnapshot ? toMediaPushFields(mediaSnapshot, receiverUid, baseUrl) : null,
+      groupName: group.name,
+      muted: mutedIds.has(receiverUid),
+      eventId: createPushEventId({prefix: 'chat', messageId, senderId, receiverId: receiverUid}),
+    }),
+  });
+  const status = statusCounts.pushed > 0 ? 'pushed' : 'accepted';
+  if (status === 'pushed') {
+    await updateArchivedStatus(messageId, 'pushed');
+  }
+
+  console.log('[CHAT_GROUP][SENT]', {
+    messageId,
+    conversationId,
+    senderId,
+    recipientCount,
+    ...statusCounts,
+  });
+
+  return res.status(200).json({
+    success: true,
+    messageId,
+    status,
+    recipientCount,
+    statusCounts,
+    notifVersion: FEATURE_NOTIF_PAYLOAD_V3_ENABLED ? 'v3' : 'v2',
+  });
 };
 
 const tokenSuffix = token => {
@@ -158,6 +419,8 @@ router.post('/send', verifyToken, async (req, res) => {
       messageType = 'text',
       timestamp,
       contactRecordId,
+      mediaId,
+      replyToMessageId,
     } = req.body || {};
 
     const trimmedConversationId = String(conversationId || '').trim();
@@ -168,13 +431,54 @@ router.post('/send', verifyToken, async (req, res) => {
       `msg_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
     const payloadTimestamp = Number(timestamp || Date.now());
     const upstreamLatencyMs = Math.max(0, requestStartedAt - payloadTimestamp);
+    const normalizedMessageType = String(messageType || 'text').trim().toLowerCase() || 'text';
+    const isMediaMessage = CHAT_MEDIA_KINDS.includes(normalizedMessageType);
+    const trimmedMediaId = String(mediaId || '').trim();
+    const trimmedReplyToMessageId = String(replyToMessageId || '').trim();
+    const isGroupMessage = isGroupConversationId(trimmedConversationId);
 
-    if (!trimmedConversationId || !senderId || !trimmedReceiverId || !trimmedMessageText) {
+    if (!trimmedConversationId || !senderId || (!trimmedReceiverId && !isGroupMessage)) {
+      return res.status(400).json({
+        success: false,
+        message: 'conversationId, receiverId, and messageText are required',
+      });
+    }
+    // Media messages may have an empty caption.
+    if (!isMediaMessage && !trimmedMessageText) {
       return res.status(400).json({
         success: false,
         message: 'conversationId, receiverId, and messageText are required',
       });
     }
+    if (trimmedReplyToMessageId.length > 200 || trimmedReplyToMessageId === messageId) {
+      return res.status(400).json({
+        success: false,
+        message: 'replyToMessageId is invalid',
+      });
+    }
+    if (isMediaMessage && !/^[a-f\d]{24}$/i.test(trimmedMediaId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid mediaId is required for media messages',
+      });
+    }
+
+    // Group conversations ignore receiverId and fan out to the members.
+    if (isGroupMessage) {
+      return await sendGroupMessage(res, {
+        messageId,
+        conversationId: trimmedConversationId,
+        senderId,
+        messageText: trimmedMessageText,
+        messageTimestamp: payloadTimestamp,
+        messageType: normalizedMessageType,
+        isMediaMessage,
+        mediaId: trimmedMediaId,
+        contactRecordId: String(contactRecordId || '').trim(),
+        replyToMessageId: trimmedReplyToMessageId,
+        baseUrl: resolvePublicBaseUrl(req),
+      });
+    }
 
     if (senderId === trimmedReceiverId) {
       return res.status(400).json({
@@ -212,6 +516,18 @@ router.post('/send', verifyToken, async (req, res) => {
       });
     }
 
+    // Either side's block stops direct messages; group chats are unaffected.
+    const blockState = await getBlockState(senderId, receiverUid);
+    if (blockState) {
+      return res.status(403).json({
+        success: false,
+        code: blockState === 'blocked' ? 'BLOCKED_BY_RECEIVER' : 'RECEIVER_BLOCKED',
+        message: blockState === 'blocked'
+          ? 'You cannot send messages to this user'
+          : 'Unblock this user to send messages',
+      });
+    }
+
     console.log('[CHAT_LATENCY][SEND_START]', {
       messageId,
       senderId,
@@ -228,6 +544,47 @@ router.post('/send', verifyToken, async (req, res) => {
       });
     }
 
+    if (!(await isReplyInConversation(trimmedReplyToMessageId, trimmedConversationId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'replyToMessageId belongs to a different conversation',
+      });
+    }
+
+    let mediaSnapshot = null;
+    if (isMediaMessage) {
+      const attached = await attachMediaToMessage({
+        mediaId: trimmedMediaId,
+        kind: normalizedMessageType,
+        senderId,
+        messageId,
+        conversationId: trimmedConversationId,
+        receiverId: receiverUid,
+      });
+      if (!attached.snapshot) {
+        return res.status(attached.status).json({
+          success: false,
+          ...(attached.code ? {code: attached.code} : {}),
+          message: attached.message,
+        });
+      }
+      mediaSnapshot = attached.snapshot;
+    }
+
+    const sent = await recordSentMessage({
+      messageId,
+      conversationId: trimmedConversationId,
+      senderId,
+      media: mediaSnapshot,
+    });
+    if (sent.senderId !== senderId) {
+      return res.status(409).json({
+        success: false,
+        code: 'MESSAGE_ID_TAKEN',
+        message: 'messageId is already used by another message',
+      });
+    }
+
     // Persist acceptance before push attempt.
     await saveDeliveryState({
       messageId,
@@ -236,12 +593,42 @@ router.post('/send', verifyToken, async (req, res) => {
       receiverId: receiverUid,
       messageText: trimmedMessageText,
       messageTimestamp: payloadTimestamp,
+      messageType: normalizedMessageType,
+      contactRecordId: String(contactRecordId || '').trim(),
+      media: mediaSnapshot,
+      replyToMessageId: trimmedReplyToMessageId,
+      status: 'accepted',
+    });
+    await archiveChatMessage({
+      messageId,
+      conversationId: trimmedConversationId,
+      senderId,
+      receiverId: receiverUid,
+      messageText: trimmedMessageText,
+      messageType: normalizedMessageType,
+      media: mediaSnapshot,
+      replyToMessageId: trimmedReplyToMessageId,
+      messageTimestamp: payloadTimestamp,
       status: 'accepted',
     });
+    await recordConversationMessage({
+      messageId,
+      conversationId: trimmedConversationId,
+      senderId,
+      receiverId: receiverUid,
+      messageText: mediaSnapshot
+        ? toMediaPreview(mediaSnapshot.kind, trimmedMessageText)
+        : trimmedMessageText,
+      messageType: normalizedMessageType,
+      messageTimestamp: payloadTimestamp,
+    });
 
-    const senderUser = await User.findOne({firebaseUid: senderId})
-      .select('displayName username mobile mobileNormalized')
-      .lean();
+    const [senderUser, receiverMuted] = await Promise.all([
+      User.findOne({firebaseUid: senderId})
+        .select('displayName username mobile mobileNormalized')
+        .lean(),
+      isConversationMuted(receiverUid, trimmedConversationId),
+    ]);
     const senderName = senderUser?.displayName || senderUser?.username || 'New Message';
     const senderPhone = String(
       senderUser?.mobileNormalized || senderUser?.mobile || ''
@@ -278,6 +665,65 @@ router.post('/send', verifyToken, async (req, res) => {
       });
     }
 
+    const pushData = buildChatPushData({
+      messageId,
+      conversationId: trimmedConversationId,
+      senderId,
+      senderName,
+      senderPhone,
+      messageText: trimmedMessageText,
+      messageTimestamp: payloadTimestamp,
+      messageType: normalizedMessageType,
+      contactRecordId: normalizedContactRecordId,
+      replyToMessageId: trimmedReplyToMessageId,
+      mediaFields: mediaSnapshot
+        ? toMediaPushFields(mediaSnapshot, receiverUid, resolvePublicBaseUrl(req))
+        : null,
+      muted: receiverMuted,
+      eventId: pushEventId,
+    });
+
+    const deliveryRow = {
+      messageId,
+      conversationId: trimmedConversationId,
+      senderId,
+      receiverId: receiverUid,
+      messageText: trimmedMessageText,
+      messageTimestamp: payloadTimestamp,
+    };
+
+    // Receiver has the app open: skip the FCM round trip. The row moves on
+    // when a device acks, or FCM is tried after the response when none does.
+    const ackId = publishWithAck(receiverUid, 'chat_message', pushData, {
+      onAcked: () => markCopyPushed(deliveryRow),
+      onMissed: async payload => {
+        const fallback = await pushCopyByFcm({receiver, row: deliveryRow, pushData: payload});
+        console.log('[CHAT_LATENCY][REALTIME_FALLBACK]', {
+          messageId,
+          receiverId: receiverUid,
+          status: fallback.status,
+          error: fallback.error ? String(fallback.error?.message || fallback.error) : undefined,
+        });
+      },
+    });
+    if (ackId) {
+      console.log('[CHAT_LATENCY][REALTIME_PUSHED]', {
+        messageId,
+        receiverId: receiverUid,
+        serverToPushMs: Date.now() - requestStartedAt,
+        upstreamLatencyMs,
+      });
+      return res.status(200).json({
+        success: true,
+        messageId,
+        status: 'pushed',
+        channel: 'realtime',
+        ackId,
+        notifVersion: FEATURE_NOTIF_PAYLOAD_V3_ENABLED ? 'v3' : 'v2',
+        eventId: FEATURE_NOTIF_PAYLOAD_V3_ENABLED ? pushEventId : undefined,
+      });
+    }
+
     if (!receiver.fcmToken) {
       console.log('[CHAT_LATENCY][FCM_SKIP_NO_TOKEN]', {
         messageId,
@@ -294,40 +740,8 @@ router.post('/send', verifyToken, async (req, res) => {
       });
     }
 
-    try {
-      const pushData = {
-        type: 'chat_message',
-        messageId,
-        conversationId: trimmedConversationId,
-        senderId,
-        senderName,
-        messageText: trimmedMessageText,
-        timestamp: String(payloadTimestamp),
-      };
-      if (senderPhone) {
-        pushData.senderPhone = senderPhone;
-      }
-      if (normalizedContactRecordId) {
-        pushData.contactRecordId = normalizedContactRecordId;
-      }
-      if (String(messageType || 'text') !== 'text') {
-        pushData.messageType = String(messageType || 'text');
-      }
-      if (FEATURE_NOTIF_PAYLOAD_V3_ENABLED) {
-        pushData.notifVersion = 'v3';
-        pushData.eventId = pushEventId;
-      }
-
-      const pushPayload = {
-        token: receiver.fcmToken,
-        data: pushData,
-        android: {
-          priority: 'high',
-        },
-      };
-
-      await admin.messaging().send(pushPayload);
-
+    const pushed = await pushCopyByFcm({receiver, row: deliveryRow, pushData});
+    if (pushed.status === 'pushed') {
       console.log('[CHAT_LATENCY][FCM_PUSHED]', {
         messageId,
         receiverId: receiverUid,
@@ -335,72 +749,39 @@ router.post('/send', verifyToken, async (req, res) => {
         serverToPushMs: Date.now() - requestStartedAt,
         upstreamLatencyMs,
       });
-
-      await saveDeliveryState({
-        messageId,
-        conversationId: trimmedConversationId,
-        senderId,
-        receiverId: receiverUid,
-        messageText: trimmedMessageText,
-        messageTimestamp: payloadTimestamp,
-        status: 'pushed',
-      });
-
       return res.status(200).json({
         success: true,
         messageId,
         status: 'pushed',
+        channel: 'fcm',
         notifVersion: FEATURE_NOTIF_PAYLOAD_V3_ENABLED ? 'v3' : 'v2',
         eventId: FEATURE_NOTIF_PAYLOAD_V3_ENABLED ? pushEventId : undefined,
       });
-    } catch (fcmError) {
-      if (isInvalidFcmTokenError(fcmError)) {
-        await markUserAsUninstalled(receiverUid, fcmError);
-        await saveDeliveryState({
-          messageId,
-          conversationId: trimmedConversationId,
-          senderId,
-          receiverId: receiverUid,
-          messageText: trimmedMessageText,
-          messageTimestamp: payloadTimestamp,
-          status: 'failed',
-          lastError: 'Receiver unavailable',
-        });
-        return res.status(410).json({
-          success: false,
-          code: 'RECEIVER_UNAVAILABLE',
-          messageId,
-          message: 'Receiver unavailable',
-          appInstallState: 'uninstalled',
-          retryable: false,
-        });
-      }
-      console.log('[CHAT_LATENCY][FCM_FAILED]', {
-        messageId,
-        receiverId: receiverUid,
-        tokenSuffix: tokenSuffix(receiver.fcmToken),
-        serverToFailureMs: Date.now() - requestStartedAt,
-        error: String(fcmError?.message || fcmError || ''),
-      });
-      await saveDeliveryState({
-        messageId,
-        conversationId: trimmedConversationId,
-        senderId,
-        receiverId: receiverUid,
-        messageText: trimmedMessageText,
-        messageTimestamp: payloadTimestamp,
-        status: 'accepted',
-        lastError: fcmError?.message || 'FCM send failed',
-      });
-
-      return res.status(200).json({
-        success: true,
+    }
+    if (pushed.status === 'failed') {
+      return res.status(410).json({
+        success: false,
+        code: 'RECEIVER_UNAVAILABLE',
         messageId,
-        status: 'accepted',
-        queued: true,
-        note: 'FCM delivery failed, retained for retry',
+        message: 'Receiver unavailable',
+        appInstallState: 'uninstalled',
+        retryable: false,
       });
     }
+    console.log('[CHAT_LATENCY][FCM_FAILED]', {
+      messageId,
+      receiverId: receiverUid,
+      tokenSuffix: tokenSuffix(receiver.fcmToken),
+      serverToFailureMs: Date.now() - requestStartedAt,
+      error: String(pushed.error?.message || pushed.error || ''),
+    });
+    return res.status(200).json({
+      success: true,
+      messageId,
+      status: 'accepted',
+      queued: true,
+      note: 'FCM delivery failed, retained for retry',
+    });
   } catch (error) {
     console.error('[SEND] Message send error:', error.message);
     return res.status(500).json({
@@ -432,20 +813,20 @@ router.post('/delivery-receipt', verifyToken, async (req, res) => {
       });
     }
 
-    const delivery = await MessageDelivery.findOne({messageId: String(messageId).trim()});
+    const delivery = await MessageDelivery.findOne({
+      messageId: String(messageId).trim(),
+      receiverId: receiptBy,
+    });
     if (!delivery) {
-      return res.status(404).json({
+      const exists = await MessageDelivery.exists({messageId: String(messageId).trim()});
+      return res.status(exists ? 403 : 404).json({
         success: false,
-        message: 'Message delivery record not found',
-      });
-    }
-
-    if (String(delivery.receiverId || '').trim() !== receiptBy) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only receiver can send delivery receipt for this message',
+        message: exists
+          ? 'Only receiver can send delivery receipt for this message'
+          : 'Message delivery record not found',
       });
     }
+    const isGroup = isGroupConversationId(delivery.conversationId);
 
     if (shouldAdvanceStatus(delivery.status, normalizedStatus)) {
       delivery.status = normalizedStatus;
@@ -454,46 +835,54 @@ router.post('/delivery-receipt', verifyToken, async (req, res) => {
     if (normalizedStatus === 'delivered' && !delivery.deliveredAt) {
       delivery.deliveredAt = new Date();
     }
-    if (normalizedStatus === 'read' && !delivery.readAt) {
+    const firstRead = normalizedStatus === 'read' && !delivery.readAt;
+    if (firstRead) {
       delivery.readAt = new Date();
       if (!delivery.deliveredAt) {
         delivery.deliveredAt = new Date();
       }
     }
-    delivery.expiresAt = expiryForStatus(normalizedStatus);
+    delivery.expiresAt = expiryForStatus(normalizedStatus, {isGroup});
     await delivery.save();
+    // A group message only counts as delivered/read once every member is.
+    const receipts = isGroup ? await countMessageReceipts(delivery.messageId) : null;
+    if (!isGroup) {
+      await updateArchivedStatus(delivery.messageId, delivery.status);
+    } else if (receipts.readCount === receipts.recipientCount) {
+      await updateArchivedStatus(delivery.messageId, 'read');
+    } else if (receipts.deliveredCount === receipts.recipientCount) {
+      await updateArchivedStatus(delivery.messageId, 'delivered');
+    }
+    if (firstRead) {
+      await markMessageRead(receiptBy, delivery.conversationId);
+    }
 
-    const sender = await User.findOne({firebaseUid: String(delivery.senderId || '').trim()});
-    if (sender?.fcmToken) {
-      try {
-        const receiptEventId = createPushEventId({
-          prefix: `receipt_${normalizedStatus}`,
-          messageId: String(delivery.messageId || ''),
-          senderId: String(delivery.receiverId || ''),
-          receiverId: String(delivery.senderId || ''),
-        });
-        const receiptData = {
-          type: 'delivery_receipt',
-          messageId: String(delivery.messageId || ''),
-          status: String(delivery.status || normalizedStatus),
-          conversationId: String(delivery.conversationId || ''),
-          timestamp: String(Date.now()),
-        };
-        if (FEATURE_NOTIF_PAYLOAD_V3_ENABLED) {
-          receiptData.notifVersion = 'v3';
-          receiptData.eventId = receiptEventId;
-        }
-        await admin.messaging().send({
-          token: sender.fcmToken,
-          data: receiptData,
-          android: {
-            priority: 'high',
-          },
-        });
-      } catch (relayError) {
-        console.error('[RECEIPT] Failed to relay receipt to sender:', relayError.message);
-      }
+    const senderUid = String(delivery.senderId || '').trim();
+    const receiptEventId = createPushEventId({
+      prefix: `receipt_${normalizedStatus}`,
+      messageId: String(delivery.messageId || ''),
+      senderId: String(delivery.receiverId || ''),
+      receiverId: senderUid,
+    });
+    const receiptData = {
+      type: 'delivery_receipt',
+      messageId: String(delivery.messageId || ''),
+      status: String(delivery.status || normalizedStatus),
+      conversationId: String(delivery.conversationId || ''),
+      timestamp: String(Date.now()),
+    };
+    if (receipts) {
+      receiptData.receiptBy = receiptBy;
+      receiptData.recipientCount = String(receipts.recipientCount);
+      receiptData.deliveredCount = String(receipts.deliveredCount);
+      receiptData.readCount = String(receipts.readCount);
     }
+    if (FEATURE_NOTIF_PAYLOAD_V3_ENABLED) {
+      receiptData.notifVersion = 'v3';
+      receiptData.eventId = receiptEventId;
+    }
+
+    await relayChatEvent(senderUid, receiptData);
 
     return res.status(200).json({
       success: true,
@@ -515,6 +904,9 @@ router.get('/pending-sync', verifyToken, async (req, res) => {
     const uid = String(req.user?.uid || '').trim();
     const conversationId = String(req.query?.conversationId || '').trim();
     const sinceTimestamp = Number.parseInt(String(req.query?.sinceTimestamp || '0'), 10) || 0;
+    // Reactions change after their message, so they are tracked by their own
+    // server-issued cursor; reactionsSince is the older name for it.
+    const reactionsCursor = String(req.query?.reactionsCursor || req.query?.reactionsSince || '').trim();
     const limitRaw = Number.parseInt(String(req.query?.limit || '100'), 10);
     const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 200) : 100;
 
@@ -531,8 +923,7 @@ router.get('/pending-sync', verifyToken, async (req, res) => {
       });
     }
 
-    const participants = conversationId.split('_').filter(Boolean);
-    if (!participants.includes(uid)) {
+    if (!(await resolveConversationPeers(conversationId, uid))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied for conversation',
@@ -555,15 +946,23 @@ router.get('/pending-sync', verifyToken, async (req, res) => {
       senderId: String(row.senderId || ''),
       receiverId: String(row.receiverId || ''),
       messageText: String(row.messageText || ''),
-      messageType: 'text',
+      messageType: String(row.messageType || 'text'),
+      media: row.media?.mediaId ? toChatMediaPayload(row.media, uid, resolvePublicBaseUrl(req)) : null,
+      replyToMessageId: row.replyToMessageId || null,
+      editedAt: row.editedAt ? new Date(row.editedAt).getTime() : null,
+      deleted: Boolean(row.deletedAt),
       timestamp: Number(row.messageTimestamp || 0) || new Date(row.createdAt || Date.now()).getTime(),
       status: String(row.status || 'accepted'),
     }));
+    const reactionPage = await loadReactionsSince(conversationId, reactionsCursor);
 
     return res.status(200).json({
       success: true,
       messages,
       count: messages.length,
+      reactions: reactionPage.reactions,
+      reactionsCursor: reactionPage.cursor,
+      reactionsHasMore: reactionPage.hasMore,
       conversationId,
       sinceTimestamp,
     });
@@ -576,4 +975,860 @@ router.get('/pending-sync', verifyToken, async (req, res) => {
   }
 });
 
+// GET /api/messages/history/settings
+router.get('/history/settings', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const user = await User.findOne({firebaseUid: uid}).select('chatHistory').lean();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      settings: toHistorySettings(user),
+      retentionOptions: CHAT_HISTORY_RETENTION_DAYS,
+    });
+  } catch (error) {
+    console.error('[CHAT_HISTORY] Settings fetch error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// PUT /api/messages/history/settings
+router.put('/history/settings', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const {enabled, retentionDays, purge} = req.body || {};
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    if (retentionDays !== undefined && normalizeRetentionDays(retentionDays) === null) {
+      return res.status(400).json({
+        success: false,
+        message: `retentionDays must be one of: ${CHAT_HISTORY_RETENTION_DAYS.join(', ')}`,
+      });
+    }
+
+    const user = await User.findOne({firebaseUid: uid});
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const previous = toHistorySettings(user);
+    if (enabled !== undefined) {
+      user.chatHistory.enabled = enabled === true;
+      if (enabled === true && !previous.enabled) {
+        user.chatHistory.enabledAt = new Date();
+      }
+    }
+    if (retentionDays !== undefined) {
+      user.chatHistory.retentionDays = normalizeRetentionDays(retentionDays);
+    }
+    await user.save();
+
+    const settings = toHistorySettings(user);
+    let purged = 0;
+    if (!settings.enabled && purge === true) {
+      purged = await purgeChatHistory(uid);
+    } else if (settings.retentionDays !== previous.retentionDays) {
+      await applyRetentionToHistory(uid, settings.retentionDays);
+    }
+
+    return res.status(200).json({
+      success: true,
+      settings,
+      purged,
+    });
+  } catch (error) {
+    console.error('[CHAT_HISTORY] Settings update error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Phone number and photo follow the peer's own privacy settings.
+const toConversationPeer = (peerId, peer) => {
+  if (!peer) {
+    return {uid: peerId, available: false};
+  }
+  const profile = buildCanonicalUser(peer, {
+    includeEmail: false,
+    includePrivatePhone: peer.privacy?.phoneNumberVisible !== false,
+  });
+  if (peer.privacy?.profilePhotoVisible === false) {
+    profile.photoURL = null;
+  }
+  return {...profile, available: true};
+};
+
+// GET /api/messages/conversations
+router.get('/conversations', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const limitRaw = Number.parseInt(String(req.query?.limit || '30'), 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 200) : 30;
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const {summaries, nextCursor} = await listConversationSummaries({
+      ownerId: uid,
+      before: req.query?.before,
+      limit,
+    });
+    const peerIds = [...new Set(summaries.map(item => item.peerId).filter(Boolean))];
+    const groupIds = summaries
+      .map(item => item.conversationId)
+      .filter(isGroupConversationId);
+    const [peers, groups] = await Promise.all([
+      peerIds.length ? User.find({firebaseUid: {$in: peerIds}}).lean() : [],
+      groupIds.length
+        ? Conversation.find({conversationId: {$in: groupIds}, 'members.userId': uid}).lean()
+        : [],
+    ]);
+    const peersById = new Map(peers.map(peer => [String(peer.firebaseUid), peer]));
+    const groupsById = new Map(groups.map(group => [group.conversationId, group]));
+    const mutes = await loadMutesForOwner(uid, summaries.map(item => item.conversationId));
+
+    const conversations = summaries.map(item => ({
+      conversationId: item.conversationId,
+      type: isGroupConversationId(item.conversationId) ? 'group' : 'direct',
+      peer: isGroupConversationId(item.conversationId)
+        ? null
+        : toConversationPeer(item.peerId, peersById.get(String(item.peerId))),
+      // Null once the caller has left or been removed from the group.
+      group: groupsById.has(item.conversationId)
+        ? toGroupSummary(groupsById.get(item.conversationId))
+        : null,
+      lastMessage: {
+        messageId: item.lastMessageId,
+        preview: item.lastMessagePreview || '',
+        messageType: item.lastMessageType || 'text',
+        senderId: item.lastSenderId,
+        fromMe: item.lastSenderId === uid,
+        timestamp: Number(item.lastMessageAt || 0),
+      },
+      lastMessageAt: Number(item.lastMessageAt || 0),
+      unreadCount: Math.max(0, Number(item.unreadCount || 0)),
+      muted: mutes.has(item.conversationId),
+      mutedUntil: mutes.get(item.conversationId) ? new Date(mutes.get(item.conversationId)).getTime() : null,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      conversations,
+      count: conversations.length,
+      nextCursor,
+      hasMore: Boolean(nextCursor),
+    });
+  } catch (error) {
+    console.error('[CONVERSATIONS] List error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/messages/conversations/:conversationId/read
+router.post('/conversations/:conversationId/read', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const conversationId = String(req.params.conversationId || '').trim();
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const updated = await markConversationRead(uid, conversationId);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      conversationId,
+      unreadCount: 0,
+    });
+  } catch (error) {
+    console.error('[CONVERSATIONS] Mark read error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/messages/conversations/:conversationId/mute
+router.post('/conversations/:conversationId/mute', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const conversationId = String(req.params.conversationId || '').trim();
+    const rawDuration = req.body?.durationMinutes;
+    // Omitted or null mutes until unmuted.
+    const durationMinutes = rawDuration === undefined || rawDuration === null
+      ? null
+      : Number.parseInt(String(rawDuration), 10);
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+    if (
+      durationMinutes !== null &&
+      (!Number.isFinite(durationMinutes) || durationMinutes < 1 || durationMinutes > MUTE_MAX_MINUTES)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `durationMinutes must be between 1 and ${MUTE_MAX_MINUTES}, or null to mute until unmuted`,
+      });
+    }
+    if (!(await resolveConversationPeers(conversationId, uid))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied for conversation',
+      });
+    }
+
+    const expiresAt = await muteConversation(uid, conversationId, durationMinutes);
+    return res.status(200).json({
+      success: true,
+      conversationId,
+      muted: true,
+      mutedUntil: expiresAt ? expiresAt.getTime() : null,
+    });
+  } catch (error) {
+    console.error('[CONVERSATIONS] Mute error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/messages/conversations/:conversationId/unmute
+router.post('/conversations/:conversationId/unmute', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const conversationId = String(req.params.conversationId || '').trim();
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    await unmuteConversation(uid, conversationId);
+    return res.status(200).json({
+      success: true,
+      conversationId,
+      muted: false,
+      mutedUntil: null,
+    });
+  } catch (error) {
+    console.error('[CONVERSATIONS] Unmute error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/messages/conversations/:conversationId
+router.get('/conversations/:conversationId', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const conversationId = String(req.params.conversationId || '').trim();
+    const limitRaw = Number.parseInt(String(req.query?.limit || '50'), 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 200) : 50;
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    if (!(await resolveConversationPeers(conversationId, uid))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied for conversation',
+      });
+    }
+
+    const user = await User.findOne({firebaseUid: uid}).select('chatHistory').lean();
+    const settings = toHistorySettings(user);
+    const {messages, nextCursor} = await fetchConversationHistory({
+      ownerId: uid,
+      conversationId,
+      before: req.query?.before,
+      limit,
+    });
+
+    return res.status(200).json({
+      success: true,
+      conversationId,
+      historyEnabled: settings.enabled,
+      messages: messages.map(item => ({
+        ...item,
+        media: item.media?.mediaId ? toChatMediaPayload(item.media, uid, resolvePublicBaseUrl(req)) : null,
+      })),
+      count: messages.length,
+      nextCursor,
+      hasMore: Boolean(nextCursor),
+    });
+  } catch (error) {
+    console.error('[CHAT_HISTORY] Conversation fetch error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/messages/media?kind=image|document|voice
+router.post('/media', verifyToken, parseMediaBody(CHAT_MEDIA_MAX_BYTES), async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const kind = String(req.query?.kind || '').trim().toLowerCase();
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const {contentType, error: uploadError} = validateChatMediaUpload(
+      req.body,
+      kind,
+      req.headers['content-type'],
+    );
+    if (uploadError) {
+      return res.status(400).json({
+        success: false,
+        message: uploadError,
+      });
+    }
+
+    const stored = await storeChatMediaFile({
+      buffer: req.body,
+      contentType,
+      uploaderId: uid,
+    });
+    const media = await ChatMedia.create({
+      uploaderId: uid,
+      kind,
+      ...stored,
+      contentType,
+      sizeBytes: req.body.length,
+      fileName: sanitizeFileName(req.query?.fileName || req.headers['x-file-name']),
+      ...parseMediaMetadata(kind, req.query),
+    });
+
+    return res.status(201).json({
+      success: true,
+      media: toChatMediaPayload(media, uid, resolvePublicBaseUrl(req)),
+      thumbnailRequired: needsClientThumbnail(media),
+    });
+  } catch (error) {
+    console.error('[CHAT_MEDIA] Upload error:', error.message);
+    if (isConfigurationError(error)) {
+      return sendConfigurationError(res, error);
+    }
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/messages/media/:mediaId/thumbnail
+router.post(
+  '/media/:mediaId/thumbnail',
+  verifyToken,
+  parseMediaBody(CHAT_THUMBNAIL_MAX_BYTES),
+  async (req, res) => {
+    try {
+      const uid = String(req.user?.uid || '').trim();
+      const mediaId = String(req.params.mediaId || '').trim();
+
+      if (!uid) {
+        return res.status(401).json({
+          success: false,
+          message: 'Unauthorized user',
+        });
+      }
+
+      const media = /^[a-f\d]{24}$/i.test(mediaId)
+        ? await ChatMedia.findOne({_id: mediaId, uploaderId: uid})
+        : null;
+      if (!media) {
+        return res.status(404).json({
+          success: false,
+          message: 'Media not found',
+        });
+      }
+      if (media.kind !== 'image') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only image media can have a thumbnail',
+        });
+      }
+      // The receiver already got the message; changing what it shows is not allowed.
+      if (media.messageId) {
+        return res.status(409).json({
+          success: false,
+          code: 'MEDIA_ALREADY_SENT',
+          message: 'Thumbnail must be uploaded before the message is sent',
+        });
+      }
+
+      const {contentType, error: uploadError} = validateThumbnailUpload(
+        req.body,
+        req.headers['content-type'],
+      );
+      if (uploadError) {
+        return res.status(400).json({
+          success: false,
+          message: uploadError,
+        });
+      }
+
+      const previousKey = media.thumbnail?.storageKey;
+      media.thumbnail = await storeThumbnailFile({buffer: req.body, contentType, uploaderId: uid});
+      await media.save();
+      if (previousKey) {
+        await getStorageDriver(media.storageDriver).remove(previousKey);
+      }
+
+      return res.status(200).json({
+        success: true,
+        media: toChatMediaPayload(media, uid, resolvePublicBaseUrl(req)),
+      });
+    } catch (error) {
+      console.error('[CHAT_MEDIA] Thumbnail upload error:', error.message);
+      if (isConfigurationError(error)) {
+        return sendConfigurationError(res, error);
+      }
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  },
+);
+
+// GET /api/messages/media/:mediaId/download
+// Authenticated by the signed, expiring query string like ledger attachments.
+router.get('/media/:mediaId/download', async (req, res) => {
+  try {
+    const mediaId = String(req.params.mediaId || '').trim();
+    const uid = String(req.query?.uid || '').trim();
+    const variant = String(req.query?.variant || 'original').trim();
+
+    if (
+      !/^[a-f\d]{24}$/i.test(mediaId) ||
+      !uid ||
+      !['original', 'thumbnail'].includes(variant) ||
+      !verifyMediaDownload({
+        mediaId,
+        variant,
+        uid,
+        expires: req.query?.expires,
+        signature: req.query?.signature,
+      })
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Download link is invalid or has expired',
+      });
+    }
+
+    const media = await ChatMedia.findById(mediaId).lean();
+    const canAccess = media && (
+      media.uploaderId === uid ||
+      media.receiverId === uid ||
+      (isGroupConversationId(media.conversationId) &&
+        Boolean(await findGroupForMember(media.conversationId, uid)))
+    );
+    if (!canAccess) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found',
+      });
+    }
+
+    const file = variant === 'thumbnail'
+      ? media.thumbnail
+      : {storageKey: media.storageKey, contentType: media.contentType, sizeBytes: media.sizeBytes};
+    if (!file?.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnail not available',
+      });
+    }
+
+    let stream;
+    try {
+      stream = await getStorageDriver(media.storageDriver).createReadStream(file.storageKey);
+    } catch (readError) {
+      if (readError?.code !== 'ENOENT') {
+        throw readError;
+      }
+      return res.status(410).json({
+        success: false,
+        message: 'Media file is no longer available',
+      });
+    }
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Length', String(file.sizeBytes));
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.setHeader(
+      'Content-Disposition',
+      `${media.kind === 'document' ? 'attachment' : 'inline'}; filename="${media.fileName || `media_${mediaId}`}"`,
+    );
+    stream.on('error', streamError => {
+      console.error('[CHAT_MEDIA] Stream error:', streamError.message);
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
+    return undefined;
+  } catch (error) {
+    console.error('[CHAT_MEDIA] Download error:', error.message);
+    if (isConfigurationError(error)) {
+      return sendConfigurationError(res, error);
+    }
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/messages/:messageId/edit
+router.post('/:messageId/edit', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const messageText = String(req.body?.messageText || '').trim();
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+    if (!messageText || messageText.length > 4000) {
+      return res.status(400).json({
+        success: false,
+        message: 'messageText is required and must be at most 4000 characters',
+      });
+    }
+
+    const {target, status, code, message} = await findOwnMessageForChange(
+      req.params.messageId,
+      uid,
+      CHAT_EDIT_WINDOW_MINUTES,
+    );
+    if (!target) {
+      return res.status(status).json({
+        success: false,
+        ...(code ? {code} : {}),
+        message,
+      });
+    }
+    if (target.messageText === messageText) {
+      return res.status(200).json({
+        success: true,
+        messageId: target.messageId,
+        unchanged: true,
+        editedAt: target.editedAt ? new Date(target.editedAt).getTime() : null,
+      });
+    }
+
+    const editedAt = new Date();
+    const channels = await applyMessageChange(
+      target,
+      'chat_message_edited',
+      {messageText, editedAt},
+      {
+        preview: target.mediaKind ? toMediaPreview(target.mediaKind, messageText) : messageText,
+        fields: {
+          messageText,
+          editedAt: String(editedAt.getTime()),
+        },
+      },
+    );
+
+    return res.status(200).json({
+      success: true,
+      messageId: target.messageId,
+      editedAt: editedAt.getTime(),
+      ...toRelayResult(target.isGroup, channels),
+    });
+  } catch (error) {
+    console.error('[CHAT_EDIT] Edit error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/messages/:messageId/delete
+router.post('/:messageId/delete', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const {target, status, code, message} = await findOwnMessageForChange(
+      req.params.messageId,
+      uid,
+      CHAT_DELETE_WINDOW_MINUTES,
+    );
+    if (!target) {
+      return res.status(status).json({
+        success: false,
+        ...(code ? {code} : {}),
+        message,
+      });
+    }
+
+    const deletedAt = new Date();
+    const {mediaId} = target;
+    const channels = await applyMessageChange(
+      target,
+      'chat_message_deleted',
+      {messageText: '', media: null, deletedAt},
+      {
+        preview: 'This message was deleted',
+        fields: {
+          deletedAt: String(deletedAt.getTime()),
+        },
+      },
+    );
+
+    if (mediaId) {
+      const media = await ChatMedia.findOneAndDelete({_id: mediaId, uploaderId: uid}).lean();
+      if (media) {
+        const storage = getStorageDriver(media.storageDriver);
+        await Promise.all(
+          [media.storageKey, media.thumbnail?.storageKey]
+            .filter(Boolean)
+            .map(key => storage.remove(key).catch(removeError => {
+              console.error('[CHAT_DELETE] Failed to remove media file:', removeError.message);
+            })),
+        );
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      messageId: target.messageId,
+      deletedAt: deletedAt.getTime(),
+      ...toRelayResult(target.isGroup, channels),
+    });
+  } catch (error) {
+    console.error('[CHAT_DELETE] Delete error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/messages/:messageId/receipts
+router.get('/:messageId/receipts', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const messageId = String(req.params.messageId || '').trim();
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const rows = await MessageDelivery.find({messageId})
+      .select('conversationId senderId receiverId status deliveredAt readAt')
+      .lean();
+    if (!rows.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message delivery record not found',
+      });
+    }
+    if (rows[0].senderId !== uid) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the sender can view receipts for this message',
+      });
+    }
+
+    const receipts = rows.map(row => ({
+      userId: row.receiverId,
+      status: row.status,
+      deliveredAt: row.deliveredAt ? new Date(row.deliveredAt).getTime() : null,
+      readAt: row.readAt ? new Date(row.readAt).getTime() : null,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      messageId,
+      conversationId: rows[0].conversationId,
+      recipientCount: receipts.length,
+      deliveredCount: receipts.filter(item => item.deliveredAt).length,
+      readCount: receipts.filter(item => item.readAt).length,
+      receipts,
+    });
+  } catch (error) {
+    console.error('[RECEIPT] Receipt list error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/messages/:messageId/react
+router.post('/:messageId/react', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const messageId = String(req.params.messageId || '').trim();
+    const conversationId = String(req.body?.conversationId || '').trim();
+    const rawEmoji = req.body?.emoji;
+    const removing = rawEmoji === null || String(rawEmoji ?? '').trim() === '';
+    const emoji = removing ? '' : normalizeReactionEmoji(rawEmoji);
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+    if (!conversationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'conversationId is required',
+      });
+    }
+    if (!removing && !emoji) {
+      return res.status(400).json({
+        success: false,
+        message: 'emoji must be a single emoji, or empty to remove the reaction',
+      });
+    }
+
+    const peers = await resolveConversationPeers(conversationId, uid);
+    if (!peers) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied for conversation',
+      });
+    }
+    const delivery = await MessageDelivery.findOne({messageId})
+      .select('conversationId deletedAt')
+      .lean();
+    if (delivery && delivery.conversationId !== conversationId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found in this conversation',
+      });
+    }
+    if (delivery?.deletedAt && !removing) {
+      return res.status(409).json({
+        success: false,
+        code: 'MESSAGE_DELETED',
+        message: 'Message has been deleted',
+      });
+    }
+
+    const reaction = await setMessageReaction({messageId, conversationId, userId: uid, emoji});
+    const buildReactionEvent = peerId => {
+      const eventData = {
+        type: 'chat_reaction',
+        messageId,
+        conversationId,
+        userId: uid,
+        emoji: reaction.emoji,
+        removed: String(reaction.removed),
+        timestamp: String(reaction.updatedAt),
+      };
+      if (FEATURE_NOTIF_PAYLOAD_V3_ENABLED) {
+        eventData.notifVersion = 'v3';
+        eventData.eventId = createPushEventId({
+          prefix: 'reaction',
+          messageId,
+          senderId: uid,
+          receiverId: peerId,
+        });
+      }
+      return eventData;
+    };
+    // Peers who blocked the reactor are not pushed to.
+    const blockers = new Set(await loadBlockersOf(uid, peers.peerIds));
+    const channels = await Promise.all(
+      peers.peerIds.map(peerId => (
+        blockers.has(peerId) ? null : relayChatEvent(peerId, buildReactionEvent(peerId))
+      )),
+    );
+
+    return res.status(200).json({
+      success: true,
+      reaction,
+      ...toRelayResult(peers.isGroup, channels),
+    });
+  } catch (error) {
+    console.error('[CHAT_REACTION] Reaction error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,202 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/authMiddleware');
+const {
+  PRESENCE_TIMEOUT_SECONDS,
+  PRESENCE_QUERY_MAX_USERS,
+  recordHeartbeat,
+  markOffline,
+  toHiddenPresence,
+  loadPresence,
+  resolvePresenceAudience,
+  setTyping,
+  getTypingUserIds,
+} = require('../services/presenceService');
+const { resolveConversationPeers } = require('../services/groupConversationService');
+const { loadBlockedPeerIds } = require('../services/blockMuteService');
+
+// POST /api/presence/heartbeat
+router.post('/heartbeat', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const presence = await recordHeartbeat(uid);
+    return res.status(200).json({
+      success: true,
+      ...presence,
+    });
+  } catch (error) {
+    console.error('[PRESENCE] Heartbeat error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/presence/offline
+router.post('/offline', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    await markOffline(uid);
+    return res.status(200).json({
+      success: true,
+      online: false,
+    });
+  } catch (error) {
+    console.error('[PRESENCE] Offline error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/presence/users?ids=uid1,uid2
+router.get('/users', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const ids = String(req.query?.ids || '').split(',').map(value => value.trim()).filter(Boolean);
+    if (!ids.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids is required',
+      });
+    }
+    if (ids.length > PRESENCE_QUERY_MAX_USERS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${PRESENCE_QUERY_MAX_USERS} ids per request`,
+      });
+    }
+
+    // Users outside the caller's chats and ledger look the same as users who
+    // hide their last seen.
+    const audience = await resolvePresenceAudience(uid, ids);
+    const visible = await loadPresence([...audience]);
+    const visibleIds = new Set(visible.map(item => item.uid));
+    const presence = [
+      ...visible,
+      ...[...new Set(ids)].filter(id => !visibleIds.has(id)).map(toHiddenPresence),
+    ];
+    return res.status(200).json({
+      success: true,
+      timeoutSeconds: PRESENCE_TIMEOUT_SECONDS,
+      presence,
+    });
+  } catch (error) {
+    console.error('[PRESENCE] Query error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /api/presence/typing
+router.post('/typing', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const conversationId = String(req.body?.conversationId || '').trim();
+    const isTyping = req.body?.isTyping !== false;
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+    if (!conversationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'conversationId is required',
+      });
+    }
+
+    const peers = await resolveConversationPeers(conversationId, uid);
+    if (!peers) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied for conversation',
+      });
+    }
+
+    const result = await setTyping({conversationId, uid, peerIds: peers.peerIds, isTyping});
+    return res.status(200).json({
+      success: true,
+      conversationId,
+      isTyping,
+      ...result,
+    });
+  } catch (error) {
+    console.error('[PRESENCE] Typing error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /api/presence/conversations/:conversationId
+router.get('/conversations/:conversationId', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const conversationId = String(req.params.conversationId || '').trim();
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const peers = await resolveConversationPeers(conversationId, uid);
+    if (!peers) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied for conversation',
+      });
+    }
+
+    // Group chats go on across a block, but presence and typing do not.
+    const blocked = await loadBlockedPeerIds(uid);
+    const [presence, typingUserIds] = await Promise.all([
+      loadPresence(peers.peerIds.filter(peerId => !blocked.has(peerId))),
+      getTypingUserIds(conversationId, uid),
+    ]);
+    return res.status(200).json({
+      success: true,
+      conversationId,
+      presence,
+      typingUserIds: typingUserIds.filter(userId => !blocked.has(userId)),
+    });
+  } catch (error) {
+    console.error('[PRESENCE] Conversation presence error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/authMiddleware');
+const { openRealtimeStream, acknowledgeEvents } = require('../services/realtimeHub');
+const { recordHeartbeat } = require('../services/presenceService');
+
+// GET /api/realtime/stream
+router.get('/stream', verifyToken, (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const client = openRealtimeStream(req, res, uid);
+    console.log('[REALTIME] Stream opened', {
+      uid,
+      connectionId: client.id,
+    });
+    // An open stream means the app is in the foreground.
+    recordHeartbeat(uid).catch(heartbeatError => {
+      console.error('[REALTIME] Failed to record presence:', heartbeatError.message);
+    });
+  } catch (error) {
+    console.error('[REALTIME] Stream error:', error.message);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    res.end();
+  }
+});
+
+// POST /api/realtime/ack
+router.post('/ack', verifyToken, (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const ackIds = Array.isArray(req.body?.ackIds) ? req.body.ackIds.slice(0, 100) : [];
+
+    if (!uid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+    if (!ackIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'ackIds is required',
+      });
+    }
+
+    // Acks for events sent from another instance, or after the wait ended,
+    // match nothing here; those events already went out through FCM.
+    return res.status(200).json({
+      success: true,
+      acked: acknowledgeEvents(uid, ackIds),
+    });
+  } catch (error) {
+    console.error('[REALTIME] Ack error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
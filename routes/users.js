@@ -9,6 +9,12 @@ const {
   PHONE_RECLAIM_GRACE_MINUTES,
   detachTokenFromOtherUsers,
 } = require('../services/fcmTokenState');
+const {
+  blockUser,
+  unblockUser,
+  listBlockedUsers,
+  loadBlockedPeerIds,
+} = require('../services/blockMuteService');
 
 const normalizePhoneForLookup = value => {
   if (!value) return '';
@@ -235,12 +241,15 @@ router.post('/search', verifyToken, async (req, res) => {
       return res.status(400).json({ success: false, message: 'query parameter is required and must be a non-empty string' });
     }
 
+    // Blocks hide users from each other's search in both directions.
+    const hiddenIds = await loadBlockedPeerIds(req.user.uid);
     const users = await User.find({
       $or: [
         { searchableTerms: { $regex: query, $options: 'i' } },
         { username: { $regex: query, $options: 'i' } },
         { displayName: { $regex: query, $options: 'i' } },
       ],
+      ...(hiddenIds.size ? { firebaseUid: { $nin: Array.from(hiddenIds) } } : {}),
     })
       .select('firebaseUid username displayName photoURL mobile email privacy appInstallState')
       .limit(20)
@@ -268,6 +277,68 @@ router.post('/search', verifyToken, async (req, res) => {
   }
 });
 
+router.get('/blocks', verifyToken, async (req, res) => {
+  try {
+    const blocks = await listBlockedUsers(req.user.uid);
+    const users = blocks.length
+      ? await User.find({ firebaseUid: { $in: blocks.map(block => block.blockedId) } })
+        .select('firebaseUid username displayName photoURL')
+        .lean()
+      : [];
+    const usersById = new Map(users.map(user => [String(user.firebaseUid), user]));
+
+    return res.status(200).json({
+      success: true,
+      blocked: blocks.map(block => {
+        const user = usersById.get(block.blockedId);
+        return {
+          firebaseUid: block.blockedId,
+          username: user?.username || '',
+          displayName: user?.displayName || '',
+          photoURL: user?.photoURL || null,
+          blockedAt: block.createdAt,
+        };
+      }),
+      count: blocks.length,
+    });
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/blocks', verifyToken, async (req, res) => {
+  try {
+    const uid = String(req.user?.uid || '').trim();
+    const userId = String(req.body?.userId || '').trim();
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'userId is required' });
+    }
+    if (userId === uid) {
+      return res.status(400).json({ success: false, message: 'You cannot block yourself' });
+    }
+
+    const target = await User.exists({ firebaseUid: userId });
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await blockUser(uid, userId);
+    return res.status(200).json({ success: true, userId, blocked: true });
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/blocks/:userId/remove', verifyToken, async (req, res) => {
+  try {
+    const userId = String(req.params.userId || '').trim();
+    const removed = await unblockUser(req.user.uid, userId);
+    return res.status(200).json({ success: true, userId, blocked: false, removed });
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 router.post('/update-fcm-token', verifyToken, async (req, res) => {
   try {
     const {
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const MessageDelivery = require('../models/MessageDelivery');
+
+// Group messages store one delivery row per receiver, so the old unique
+// index on messageId alone has to go before the first group send.
+const LEGACY_INDEX_NAME = 'messageId_1';
+
+const args = process.argv.slice(2);
+const isApply = args.includes('--apply');
+const dryRun = !isApply;
+
+const main = async () => {
+  const startedAt = Date.now();
+  await connectDB();
+
+  try {
+    console.log(`[DELIVERY_INDEX] mode=${dryRun ? 'dry-run' : 'apply'}`);
+
+    const indexes = await MessageDelivery.collection.indexes();
+    const legacy = indexes.find(index => index.name === LEGACY_INDEX_NAME);
+    const hasCompound = indexes.some(
+      index => index.unique && index.key?.messageId === 1 && index.key?.receiverId === 1,
+    );
+
+    console.log(
+      `[DELIVERY_INDEX] ${LEGACY_INDEX_NAME}: ${
+        legacy ? (legacy.unique ? 'unique' : 'non-unique') : 'missing'
+      }`,
+    );
+    console.log(`[DELIVERY_INDEX] messageId_1_receiverId_1 unique: ${hasCompound}`);
+
+    if (!dryRun) {
+      if (legacy?.unique) {
+        await MessageDelivery.collection.dropIndex(LEGACY_INDEX_NAME);
+        console.log(`[DELIVERY_INDEX] dropped ${LEGACY_INDEX_NAME}`);
+      }
+      await MessageDelivery.createIndexes();
+      console.log('[DELIVERY_INDEX] schema indexes ensured');
+    }
+
+    console.log(
+      `[DELIVERY_INDEX] completed in ${Math.max(
+        0,
+        Math.round((Date.now() - startedAt) / 1000),
+      )}s`,
+    );
+
+    if (dryRun) {
+      console.log('[DELIVERY_INDEX] dry-run only; no DB writes performed.');
+      console.log('[DELIVERY_INDEX] run with --apply to execute migration.');
+    }
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+main().catch(error => {
+  console.error('[DELIVERY_INDEX] migration failed:', error?.message || error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,155 @@
+const UserBlock = require('../models/UserBlock');
+const ConversationMute = require('../models/ConversationMute');
+
+const BLOCK_LIST_MAX = 1000;
+// Longest timed mute; anything longer should be an indefinite mute.
+const MUTE_MAX_MINUTES = 365 * 24 * 60;
+
+const blockUser = async (blockerId, blockedId) => {
+  await UserBlock.updateOne(
+    {blockerId: String(blockerId), blockedId: String(blockedId)},
+    {$setOnInsert: {blockerId: String(blockerId), blockedId: String(blockedId)}},
+    {upsert: true},
+  );
+};
+
+const unblockUser = async (blockerId, blockedId) => {
+  const result = await UserBlock.deleteOne({blockerId: String(blockerId), blockedId: String(blockedId)});
+  return result.deletedCount > 0;
+};
+
+const listBlockedUsers = async blockerId =>
+  UserBlock.find({blockerId: String(blockerId)})
+    .sort({createdAt: -1})
+    .limit(BLOCK_LIST_MAX)
+    .lean();
+
+// Returns 'blocked' when targetId has blocked actorId, 'blocking' when actorId
+// has blocked targetId, or null. The target's block wins when both exist.
+const getBlockState = async (actorId, targetId) => {
+  const rows = await UserBlock.find({
+    $or: [
+      {blockerId: String(targetId), blockedId: String(actorId)},
+      {blockerId: String(actorId), blockedId: String(targetId)},
+    ],
+  })
+    .select('blockerId')
+    .lean();
+  if (rows.some(row => row.blockerId === String(targetId))) {
+    return 'blocked';
+  }
+  return rows.length ? 'blocking' : null;
+};
+
+const isBlockedBy = async (targetId, actorId) =>
+  Boolean(await UserBlock.exists({blockerId: String(targetId), blockedId: String(actorId)}));
+
+// The targets among targetIds who have blocked actorId, or any of the uids
+// when actorId is an array.
+const loadBlockersOf = async (actorId, targetIds) => {
+  if (!targetIds.length) {
+    return [];
+  }
+  const rows = await UserBlock.find({
+    blockerId: {$in: targetIds.map(String)},
+    blockedId: Array.isArray(actorId) ? {$in: actorId.map(String)} : String(actorId),
+  })
+    .select('blockerId')
+    .lean();
+  const blockers = new Set(rows.map(row => row.blockerId));
+  return targetIds.map(String).filter(targetId => blockers.has(targetId));
+};
+
+// Targets who blocked the actor, the group's creator or any of its admins;
+// nobody is put into a group run by someone they have blocked. Works for
+// chat and ledger groups alike.
+const loadGroupBlockersOf = (group, actorId, targetIds) =>
+  loadBlockersOf(
+    [
+      ...new Set([
+        String(actorId),
+        String(group.createdBy || ''),
+        ...group.members.filter(member => member.role === 'admin').map(member => member.userId),
+      ]),
+    ].filter(Boolean),
+    targetIds,
+  );
+
+// Everyone on either side of a block with uid, for filtering listings.
+const loadBlockedPeerIds = async uid => {
+  const rows = await UserBlock.find({
+    $or: [{blockerId: String(uid)}, {blockedId: String(uid)}],
+  })
+    .select('blockerId blockedId')
+    .limit(BLOCK_LIST_MAX * 2)
+    .lean();
+  return new Set(rows.map(row => (row.blockerId === String(uid) ? row.blockedId : row.blockerId)));
+};
+
+const muteConversation = async (ownerId, conversationId, durationMinutes = null) => {
+  const expiresAt = durationMinutes
+    ? new Date(Date.now() + durationMinutes * 60 * 1000)
+    : null;
+  await ConversationMute.updateOne(
+    {ownerId: String(ownerId), conversationId: String(conversationId)},
+    {$set: {expiresAt}},
+    {upsert: true},
+  );
+  return expiresAt;
+};
+
+const unmuteConversation = async (ownerId, conversationId) => {
+  await ConversationMute.deleteOne({ownerId: String(ownerId), conversationId: String(conversationId)});
+};
+
+const activeMuteFilter = () => ({$or: [{expiresAt: null}, {expiresAt: {$gt: new Date()}}]});
+
+// Owners among ownerIds who have the conversation muted right now.
+const loadMutedOwnerIds = async (conversationId, ownerIds) => {
+  if (!ownerIds.length) {
+    return new Set();
+  }
+  const rows = await ConversationMute.find({
+    conversationId: String(conversationId),
+    ownerId: {$in: ownerIds.map(String)},
+    ...activeMuteFilter(),
+  })
+    .select('ownerId')
+    .lean();
+  return new Set(rows.map(row => row.ownerId));
+};
+
+const isConversationMuted = async (ownerId, conversationId) =>
+  (await loadMutedOwnerIds(conversationId, [ownerId])).has(String(ownerId));
+
+// conversationId -> expiresAt (null for indefinite) for the given owner.
+const loadMutesForOwner = async (ownerId, conversationIds) => {
+  if (!conversationIds.length) {
+    return new Map();
+  }
+  const rows = await ConversationMute.find({
+    ownerId: String(ownerId),
+    conversationId: {$in: conversationIds.map(String)},
+    ...activeMuteFilter(),
+  })
+    .select('conversationId expiresAt')
+    .lean();
+  return new Map(rows.map(row => [row.conversationId, row.expiresAt]));
+};
+
+module.exports = {
+  MUTE_MAX_MINUTES,
+  blockUser,
+  unblockUser,
+  listBlockedUsers,
+  getBlockState,
+  isBlockedBy,
+  loadBlockersOf,
+  loadGroupBlockersOf,
+  loadBlockedPeerIds,
+  muteConversation,
+  unmuteConversation,
+  loadMutedOwnerIds,
+  isConversationMuted,
+  loadMutesForOwner,
+};
@@ -0,0 +1,698 @@
+const admin = require('../config/firebase');
+const User = require('../models/User');
+const MessageDelivery = require('../models/MessageDelivery');
+const SentMessage = require('../models/SentMessage');
+const Conversation = require('../models/Conversation');
+const {
+  isInvalidFcmTokenError,
+  markUserAsUninstalled,
+} = require('./fcmTokenState');
+const {updateArchivedStatus} = require('./chatHistory');
+const {isUserConnected, publishWithAck} = require('./realtimeHub');
+const {toMediaPushFields} = require('./chatMediaService');
+const {isGroupConversationId} = require('./groupConversationService');
+const {isConversationMuted} = require('./blockMuteService');
+
+const DELIVERY_TTL_DAYS = 14;
+const PENDING_TTL_HOURS = 24;
+const DELIVERED_TTL_MINUTES = 2;
+const FEATURE_NOTIF_PAYLOAD_V3_ENABLED =
+  String(process.env.NOTIF_PAYLOAD_V3_ENABLED || 'true').toLowerCase() !==
+  'false';
+
+const CHAT_RETRY_BATCH_SIZE = Math.max(
+  1,
+  Math.min(500, Number(process.env.CHAT_RETRY_BATCH_SIZE || 100) || 100),
+);
+// Failed push attempts, the one made by /send included, before giving up.
+const CHAT_RETRY_MAX_ATTEMPTS = Math.max(
+  1,
+  Math.min(20, Number(process.env.CHAT_RETRY_MAX_ATTEMPTS || 8) || 8),
+);
+// How long after sending the sender may still edit or delete for everyone.
+const CHAT_EDIT_WINDOW_MINUTES = Math.max(
+  1,
+  Math.min(1440, Number(process.env.CHAT_EDIT_WINDOW_MINUTES || 15) || 15),
+);
+const CHAT_DELETE_WINDOW_MINUTES = Math.max(
+  1,
+  Math.min(1440, Number(process.env.CHAT_DELETE_WINDOW_MINUTES || 60) || 60),
+);
+const CHAT_RETRY_BASE_SECONDS = 60;
+const CHAT_RETRY_MAX_DELAY_MINUTES = 60;
+const CHAT_RETRY_LOCK_MINUTES = 5;
+
+const nextExpiryDate = () => {
+  const now = new Date();
+  now.setDate(now.getDate() + DELIVERY_TTL_DAYS);
+  return now;
+};
+
+// Group rows keep delivered/read for the pending TTL too, so "read by N of M"
+// stays answerable for a day rather than minutes.
+const expiryForStatus = (status, options = {}) => {
+  const normalized = String(status || '').toLowerCase();
+  const now = Date.now();
+  if (!options.isGroup && (normalized === 'delivered' || normalized === 'read')) {
+    return new Date(now + DELIVERED_TTL_MINUTES * 60 * 1000);
+  }
+  if (
+    normalized === 'accepted' ||
+    normalized === 'pushed' ||
+    normalized === 'failed' ||
+    normalized === 'delivered' ||
+    normalized === 'read'
+  ) {
+    return new Date(now + PENDING_TTL_HOURS * 60 * 60 * 1000);
+  }
+  return nextExpiryDate();
+};
+
+// 1m, 2m, 4m ... capped at an hour, so every attempt fits well inside the
+// pending TTL.
+const computeNextRetryAt = (failedAttempts, from = new Date()) => {
+  const exponent = Math.max(0, Number(failedAttempts || 1) - 1);
+  const delayMs = Math.min(
+    CHAT_RETRY_BASE_SECONDS * 1000 * 2 ** exponent,
+    CHAT_RETRY_MAX_DELAY_MINUTES * 60 * 1000,
+  );
+  return new Date(from.getTime() + delayMs);
+};
+
+const createPushEventId = ({
+  prefix = 'chat',
+  messageId = '',
+  senderId = '',
+  receiverId = '',
+}) => {
+  const mid = String(messageId || '').trim();
+  const sid = String(senderId || '').trim();
+  const rid = String(receiverId || '').trim();
+  return `${prefix}_${mid || 'na'}_${sid || 'na'}_${rid || 'na'}_${Date.now()}`;
+};
+
+const buildChatPushData = ({
+  messageId,
+  conversationId,
+  senderId,
+  senderName,
+  senderPhone,
+  messageText,
+  messageTimestamp,
+  messageType = 'text',
+  contactRecordId,
+  replyToMessageId,
+  mediaFields = null,
+  groupName = '',
+  muted = false,
+  eventId,
+}) => {
+  const pushData = {
+    type: 'chat_message',
+    messageId: String(messageId),
+    conversationId: String(conversationId),
+    senderId: String(senderId),
+    senderName: String(senderName || 'New Message'),
+    messageText: String(messageText || ''),
+    timestamp: String(messageTimestamp),
+  };
+  if (senderPhone) {
+    pushData.senderPhone = String(senderPhone);
+  }
+  if (contactRecordId) {
+    pushData.contactRecordId = String(contactRecordId);
+  }
+  if (replyToMessageId) {
+    pushData.replyToMessageId = String(replyToMessageId);
+  }
+  if (isGroupConversationId(conversationId)) {
+    pushData.conversationType = 'group';
+    pushData.groupName = String(groupName || '');
+  }
+  if (String(messageType || 'text') !== 'text') {
+    pushData.messageType = String(messageType || 'text');
+  }
+  // Media messages carry a download reference; messageText is the caption.
+  if (mediaFields) {
+    Object.assign(pushData, mediaFields);
+  }
+  // Muted conversations still sync; the app just shows no notification.
+  if (muted) {
+    pushData.muted = 'true';
+  }
+  if (FEATURE_NOTIF_PAYLOAD_V3_ENABLED) {
+    pushData.notifVersion = 'v3';
+    pushData.eventId = String(eventId);
+  }
+  return pushData;
+};
+
+// Upserts the row for one receiver of a message.
+const saveDeliveryState = async params => {
+  const {
+    messageId,
+    conversationId,
+    senderId,
+    receiverId,
+    messageText,
+    messageTimestamp = 0,
+    messageType,
+    contactRecordId,
+    media,
+    replyToMessageId,
+    status,
+    lastError = null,
+  } = params;
+
+  const now = new Date();
+  const update = {
+    conversationId: String(conversationId || ''),
+    senderId: String(senderId || ''),
+    receiverId: String(receiverId || ''),
+    messageText: String(messageText || ''),
+    messageTimestamp: Number(messageTimestamp || 0),
+    expiresAt: expiryForStatus(status, {isGroup: isGroupConversationId(conversationId)}),
+    updatedAt: now,
+  };
+
+  if (status) {
+    update.status = String(status);
+    // Accepted rows are picked up by the retry worker if nothing moves them
+    // on, including when the process dies before the first push.
+    update.nextRetryAt = status === 'accepted' ? computeNextRetryAt(1, now) : null;
+  }
+  if (messageType) {
+    update.messageType = String(messageType);
+  }
+  if (contactRecordId !== undefined) {
+    update.contactRecordId = String(contactRecordId || '');
+  }
+  if (media !== undefined) {
+    update.media = media;
+  }
+  if (replyToMessageId !== undefined) {
+    update.replyToMessageId = String(replyToMessageId || '');
+  }
+
+  if (lastError !== null) {
+    update.lastError = String(lastError || '');
+  } else {
+    update.lastError = null;
+  }
+
+  await MessageDelivery.findOneAndUpdate(
+    {messageId: String(messageId), receiverId: String(receiverId || '')},
+    {
+      $set: update,
+      // retryCount counts failed push attempts; the retry worker continues it.
+      ...(lastError !== null ? {$inc: {retryCount: 1}} : {}),
+      $setOnInsert: {
+        messageId: String(messageId),
+        createdAt: now,
+      },
+    },
+    {
+      upsert: true,
+      new: true,
+    }
+  );
+};
+
+// Written once per message at send; a retried send keeps the first record,
+// so nobody else can claim a messageId that is already taken. Returns the
+// record, whose senderId the caller must check.
+const recordSentMessage = async ({messageId, conversationId, senderId, media}) => {
+  const acceptedAt = new Date();
+  const keepMinutes = Math.max(CHAT_EDIT_WINDOW_MINUTES, CHAT_DELETE_WINDOW_MINUTES);
+  return SentMessage.findOneAndUpdate(
+    {messageId: String(messageId)},
+    {
+      $setOnInsert: {
+        messageId: String(messageId),
+        conversationId: String(conversationId),
+        senderId: String(senderId),
+        mediaId: String(media?.mediaId || ''),
+        mediaKind: String(media?.kind || ''),
+        acceptedAt,
+        expiresAt: new Date(acceptedAt.getTime() + keepMinutes * 60 * 1000),
+      },
+    },
+    {upsert: true, new: true},
+  ).lean();
+};
+
+// A device acked the realtime copy. Conditional, so an ack that lands after
+// a delivery or read receipt does not move the row back.
+const markCopyPushed = async ({messageId, conversationId, receiverId}) => {
+  const result = await MessageDelivery.updateOne(
+    {messageId: String(messageId), receiverId: String(receiverId), status: 'accepted'},
+    {
+      $set: {
+        status: 'pushed',
+        lastError: null,
+        nextRetryAt: null,
+        processingAt: null,
+        expiresAt: expiryForStatus('pushed', {isGroup: isGroupConversationId(conversationId)}),
+        updatedAt: new Date(),
+      },
+    },
+  );
+  if (result.modifiedCount > 0 && !isGroupConversationId(conversationId)) {
+    await updateArchivedStatus(messageId, 'pushed');
+  }
+};
+
+// FCM leg of a message copy, also used as the fallback when a realtime copy
+// is not acked. Returns the status the row ended in and the FCM error, if any.
+// A receiver without a token stays accepted for pending-sync and the retry
+// worker.
+const pushCopyByFcm = async ({receiver, row, pushData}) => {
+  if (!receiver.fcmToken) {
+    return {status: 'accepted', error: null};
+  }
+
+  try {
+    await admin.messaging().send({
+      token: receiver.fcmToken,
+      data: pushData,
+      android: {
+        priority: 'high',
+      },
+    });
+    await saveDeliveryState({...row, status: 'pushed'});
+    return {status: 'pushed', error: null};
+  } catch (fcmError) {
+    if (isInvalidFcmTokenError(fcmError)) {
+      await markUserAsUninstalled(receiver.firebaseUid, fcmError);
+      await saveDeliveryState({...row, status: 'failed', lastError: 'Receiver unavailable'});
+      return {status: 'failed', error: fcmError};
+    }
+    await saveDeliveryState({
+      ...row,
+      status: 'accepted',
+      lastError: fcmError?.message || 'FCM send failed',
+    });
+    return {status: 'accepted', error: fcmError};
+  }
+};
+
+const GROUP_FANOUT_CONCURRENCY = 20;
+
+// Pushes one member's copy of a group message, realtime first. Returns the
+// status the member's row ended in; a realtime copy counts as pushed and
+// settles in the background.
+const pushGroupMemberCopy = async ({member, message, buildPushData}) => {
+  const row = {...message, receiverId: member.firebaseUid};
+  if (String(member.appInstallState || '') === 'uninstalled') {
+    await saveDeliveryState({...row, status: 'failed', lastError: 'Receiver unavailable'});
+    return 'failed';
+  }
+
+  const pushData = buildPushData(member.firebaseUid);
+  const ackId = publishWithAck(member.firebaseUid, 'chat_message', pushData, {
+    onAcked: () => markCopyPushed(row),
+    onMissed: payload => pushCopyByFcm({receiver: member, row, pushData: payload}),
+  });
+  if (ackId) {
+    return 'pushed';
+  }
+  return (await pushCopyByFcm({receiver: member, row, pushData})).status;
+};
+
+// Fan-out for a group send: one accepted row per member first, then a push
+// per member. A member who cannot be reached never fails the send; their row
+// is left to the retry worker or marked failed.
+const deliverGroupMessage = async ({message, receiverIds, buildPushData}) => {
+  const statusCounts = {pushed: 0, accepted: 0, failed: 0};
+  const members = await User.find({firebaseUid: {$in: receiverIds}})
+    .select('firebaseUid appInstallState fcmToken')
+    .lean();
+  const found = new Set(members.map(member => member.firebaseUid));
+  const missing = receiverIds.filter(receiverId => !found.has(receiverId));
+
+  for (let index = 0; index < members.length; index += GROUP_FANOUT_CONCURRENCY) {
+    await Promise.all(
+      members.slice(index, index + GROUP_FANOUT_CONCURRENCY).map(member =>
+        saveDeliveryState({...message, receiverId: member.firebaseUid, status: 'accepted'}),
+      ),
+    );
+  }
+  for (const receiverId of missing) {
+    await saveDeliveryState({...message, receiverId, status: 'failed', lastError: 'Receiver not found'});
+    statusCounts.failed += 1;
+  }
+
+  for (let index = 0; index < members.length; index += GROUP_FANOUT_CONCURRENCY) {
+    const chunk = members.slice(index, index + GROUP_FANOUT_CONCURRENCY);
+    const results = await Promise.all(
+      chunk.map(member =>
+        pushGroupMemberCopy({member, message, buildPushData}).catch(error => {
+          console.error('[CHAT_GROUP] Failed to push member copy:', {
+            messageId: String(message.messageId),
+            receiverId: member.firebaseUid,
+            message: error?.message || String(error),
+          });
+          return 'accepted';
+        }),
+      ),
+    );
+    results.forEach(status => {
+      statusCounts[status] += 1;
+    });
+  }
+
+  return {recipientCount: receiverIds.length, statusCounts};
+};
+
+// "Read by 3 of 5": counts over the rows still retained for a message.
+const countMessageReceipts = async messageId => {
+  const rows = await MessageDelivery.find({messageId: String(messageId)})
+    .select('status')
+    .lean();
+  return {
+    recipientCount: rows.length,
+    deliveredCount: rows.filter(row => row.status === 'delivered' || row.status === 'read').length,
+    readCount: rows.filter(row => row.status === 'read').length,
+  };
+};
+
+const claimDueDelivery = async now => {
+  const staleLock = new Date(now.getTime() - CHAT_RETRY_LOCK_MINUTES * 60 * 1000);
+  return MessageDelivery.findOneAndUpdate(
+    {
+      status: 'accepted',
+      deletedAt: null,
+      nextRetryAt: {$lte: now},
+      $or: [{processingAt: null}, {processingAt: {$lte: staleLock}}],
+    },
+    {$set: {processingAt: now}},
+    {sort: {nextRetryAt: 1}, new: true},
+  );
+};
+
+const notifySenderOfFailure = async (delivery, reason) => {
+  const sender = await User.findOne({firebaseUid: String(delivery.senderId)})
+    .select('firebaseUid fcmToken appInstallState')
+    .lean();
+  if (!sender?.fcmToken || String(sender.appInstallState || '') === 'uninstalled') {
+    return false;
+  }
+
+  const data = {
+    type: 'chat_message_failed',
+    messageId: String(delivery.messageId),
+    conversationId: String(delivery.conversationId),
+    receiverId: String(delivery.receiverId),
+    reason: String(reason),
+    retryCount: String(delivery.retryCount),
+    timestamp: String(Date.now()),
+  };
+  if (FEATURE_NOTIF_PAYLOAD_V3_ENABLED) {
+    data.notifVersion = 'v3';
+    data.eventId = createPushEventId({
+      prefix: 'chat_failed',
+      messageId: delivery.messageId,
+      senderId: delivery.senderId,
+      receiverId: delivery.receiverId,
+    });
+  }
+
+  try {
+    await admin.messaging().send({
+      token: sender.fcmToken,
+      data,
+      android: {
+        priority: 'high',
+      },
+    });
+    return true;
+  } catch (error) {
+    if (isInvalidFcmTokenError(error)) {
+      await markUserAsUninstalled(sender.firebaseUid, error);
+    }
+    console.error('[CHAT_RETRY] Failed to notify sender:', {
+      messageId: String(delivery.messageId),
+      message: error?.message || String(error),
+    });
+    return false;
+  }
+};
+
+// Every write is conditional on the row still being accepted: a delivery
+// receipt that lands mid-attempt must win over the worker.
+const finishAttempt = (delivery, update) =>
+  MessageDelivery.updateOne(
+    {_id: delivery._id, status: 'accepted'},
+    {$set: {...update, processingAt: null}},
+  );
+
+const giveUp = async (delivery, reason, failedAttempts, summary) => {
+  const result = await finishAttempt(delivery, {
+    status: 'failed',
+    lastError: reason,
+    retryCount: failedAttempts,
+    nextRetryAt: null,
+    expiresAt: expiryForStatus('failed', {isGroup: isGroupConversationId(delivery.conversationId)}),
+  });
+  if (result.modifiedCount === 0) {
+    return;
+  }
+  summary.failed += 1;
+  delivery.retryCount = failedAttempts;
+  // One unreachable member does not fail a group message for everyone.
+  if (!isGroupConversationId(delivery.conversationId)) {
+    await updateArchivedStatus(delivery.messageId, 'failed');
+  }
+  if (await notifySenderOfFailure(delivery, reason)) {
+    summary.sendersNotified += 1;
+  }
+};
+
+const recordFailedAttempt = async (delivery, reason, now, summary) => {
+  const failedAttempts = Number(delivery.retryCount || 0) + 1;
+  if (failedAttempts >= CHAT_RETRY_MAX_ATTEMPTS) {
+    await giveUp(delivery, reason, failedAttempts, summary);
+    return;
+  }
+  await finishAttempt(delivery, {
+    lastError: reason,
+    retryCount: failedAttempts,
+    nextRetryAt: computeNextRetryAt(failedAttempts, now),
+  });
+  summary.rescheduled += 1;
+};
+
+const createRetrySummary = () => ({
+  selected: 0,
+  pushed: 0,
+  rescheduled: 0,
+  failed: 0,
+  sendersNotified: 0,
+  errors: 0,
+});
+
+const finishPushedAttempt = async (delivery, isGroup) => {
+  const result = await finishAttempt(delivery, {
+    status: 'pushed',
+    lastError: null,
+    nextRetryAt: null,
+    expiresAt: expiryForStatus('pushed', {isGroup}),
+  });
+  if (result.modifiedCount > 0 && !isGroup) {
+    await updateArchivedStatus(delivery.messageId, 'pushed');
+  }
+};
+
+const pushRetryByFcm = async ({delivery, receiver, pushData, now, summary}) => {
+  const failedSoFar = Number(delivery.retryCount || 0);
+  try {
+    await admin.messaging().send({
+      token: receiver.fcmToken,
+      data: pushData,
+      android: {
+        priority: 'high',
+      },
+    });
+  } catch (fcmError) {
+    if (isInvalidFcmTokenError(fcmError)) {
+      await markUserAsUninstalled(receiver.firebaseUid, fcmError);
+      await giveUp(delivery, 'Receiver unavailable', failedSoFar + 1, summary);
+      return;
+    }
+    await recordFailedAttempt(delivery, String(fcmError?.message || 'FCM send failed'), now, summary);
+    return;
+  }
+
+  await finishPushedAttempt(delivery, isGroupConversationId(delivery.conversationId));
+  summary.pushed += 1;
+};
+
+// baseUrl is the public origin for media links, from the job's request.
+const retryDelivery = async (delivery, now, summary, baseUrl) => {
+  const isGroup = isGroupConversationId(delivery.conversationId);
+  const [receiver, sender, group, muted] = await Promise.all([
+    User.findOne({firebaseUid: String(delivery.receiverId)})
+      .select('firebaseUid appInstallState fcmToken')
+      .lean(),
+    User.findOne({firebaseUid: String(delivery.senderId)})
+      .select('displayName username mobile mobileNormalized')
+      .lean(),
+    isGroup
+      ? Conversation.findOne({conversationId: String(delivery.conversationId)}).select('name').lean()
+      : null,
+    isConversationMuted(delivery.receiverId, delivery.conversationId),
+  ]);
+
+  const failedSoFar = Number(delivery.retryCount || 0);
+  if (!receiver || String(receiver.appInstallState || '') === 'uninstalled') {
+    await giveUp(delivery, 'Receiver unavailable', failedSoFar, summary);
+    return;
+  }
+  if (!receiver.fcmToken && !isUserConnected(receiver.firebaseUid)) {
+    await recordFailedAttempt(delivery, 'Receiver FCM token missing', now, summary);
+    return;
+  }
+
+  const pushData = buildChatPushData({
+    messageId: delivery.messageId,
+    conversationId: delivery.conversationId,
+    senderId: delivery.senderId,
+    senderName: sender?.displayName || sender?.username,
+    senderPhone: String(sender?.mobileNormalized || sender?.mobile || '').trim(),
+    messageText: delivery.messageText,
+    messageTimestamp: delivery.messageTimestamp,
+    messageType: delivery.messageType,
+    contactRecordId: delivery.contactRecordId,
+    replyToMessageId: delivery.replyToMessageId,
+    mediaFields: delivery.media?.mediaId
+      ? toMediaPushFields(delivery.media, delivery.receiverId, baseUrl)
+      : null,
+    groupName: group?.name,
+    muted,
+    eventId: createPushEventId({
+      prefix: 'chat',
+      messageId: delivery.messageId,
+      senderId: delivery.senderId,
+      receiverId: delivery.receiverId,
+    }),
+  });
+
+  // A written realtime copy counts as pushed; the run summary is logged
+  // before its fallback settles, so that reports into its own counters.
+  const ackId = publishWithAck(receiver.firebaseUid, 'chat_message', pushData, {
+    onAcked: () => finishPushedAttempt(delivery, isGroup),
+    onMissed: payload =>
+      receiver.fcmToken
+        ? pushRetryByFcm({delivery, receiver, pushData: payload, now, summary: createRetrySummary()})
+        : recordFailedAttempt(delivery, 'Receiver did not ack', now, createRetrySummary()),
+  });
+  if (ackId) {
+    summary.pushed += 1;
+    return;
+  }
+  await pushRetryByFcm({delivery, receiver, pushData, now, summary});
+};
+
+const relayChatEventByFcm = async (targetUid, data) => {
+  const target = await User.findOne({firebaseUid: String(targetUid)})
+    .select('firebaseUid fcmToken')
+    .lean();
+  if (!target?.fcmToken) {
+    return null;
+  }
+  try {
+    await admin.messaging().send({
+      token: target.fcmToken,
+      data,
+      android: {
+        priority: 'high',
+      },
+    });
+    return 'fcm';
+  } catch (error) {
+    if (isInvalidFcmTokenError(error)) {
+      await markUserAsUninstalled(target.firebaseUid, error);
+    }
+    console.error('[CHAT_EVENT] Failed to relay event:', {
+      type: data.type,
+      messageId: String(data.messageId || ''),
+      message: error?.message || String(error),
+    });
+    return null;
+  }
+};
+
+// Realtime first, FCM otherwise. Returns the channel used, or null when the
+// user could not be reached; an unacked realtime event falls back to FCM in
+// the background.
+const relayChatEvent = async (targetUid, data) => {
+  const ackId = publishWithAck(targetUid, data.type, data, {
+    onMissed: payload => relayChatEventByFcm(targetUid, payload),
+  });
+  if (ackId) {
+    return 'realtime';
+  }
+  return relayChatEventByFcm(targetUid, data);
+};
+
+const runChatDeliveryRetries = async (options = {}) => {
+  const {
+    batchSize = CHAT_RETRY_BATCH_SIZE,
+    reason = 'manual',
+    baseUrl,
+  } = options;
+
+  const now = new Date();
+  const summary = {
+    reason,
+    batchSize,
+    maxAttempts: CHAT_RETRY_MAX_ATTEMPTS,
+    ...createRetrySummary(),
+  };
+
+  for (let index = 0; index < batchSize; index += 1) {
+    const delivery = await claimDueDelivery(now);
+    if (!delivery) {
+      break;
+    }
+    summary.selected += 1;
+
+    try {
+      await retryDelivery(delivery, now, summary, baseUrl);
+    } catch (error) {
+      summary.errors += 1;
+      console.error('[CHAT_RETRY] Failed to retry message:', {
+        messageId: String(delivery.messageId),
+        message: error?.message || String(error),
+      });
+      // Back off instead of leaving the lock to expire, so one bad row
+      // cannot monopolise every run.
+      await MessageDelivery.updateOne(
+        {_id: delivery._id},
+        {$set: {processingAt: null, nextRetryAt: computeNextRetryAt(Number(delivery.retryCount || 0) + 1, now)}},
+      ).catch(() => {});
+    }
+  }
+
+  console.log('[CHAT_RETRY] Completed retry run', summary);
+  return summary;
+};
+
+module.exports = {
+  FEATURE_NOTIF_PAYLOAD_V3_ENABLED,
+  CHAT_RETRY_MAX_ATTEMPTS,
+  CHAT_EDIT_WINDOW_MINUTES,
+  CHAT_DELETE_WINDOW_MINUTES,
+  expiryForStatus,
+  computeNextRetryAt,
+  createPushEventId,
+  buildChatPushData,
+  saveDeliveryState,
+  recordSentMessage,
+  markCopyPushed,
+  pushCopyByFcm,
+  deliverGroupMessage,
+  countMessageReceipts,
+  relayChatEvent,
+  runChatDeliveryRetries,
+};
@@ -0,0 +1,175 @@
+const User = require('../models/User');
+const ChatMessage = require('../models/ChatMessage');
+
+const CHAT_HISTORY_RETENTION_DAYS = [0, 30, 90, 180, 365];
+const DEFAULT_RETENTION_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeRetentionDays = value => {
+  const days = Number(value);
+  return CHAT_HISTORY_RETENTION_DAYS.includes(days) ? days : null;
+};
+
+const retentionExpiry = (retentionDays, from = new Date()) =>
+  Number(retentionDays) > 0 ? new Date(from.getTime() + Number(retentionDays) * DAY_MS) : null;
+
+const toHistorySettings = user => ({
+  enabled: user?.chatHistory?.enabled === true,
+  retentionDays: Number(user?.chatHistory?.retentionDays ?? DEFAULT_RETENTION_DAYS),
+  enabledAt: user?.chatHistory?.enabledAt || null,
+});
+
+// Stores a copy for every participant who opted in. Best effort: history must
+// never block live delivery. Group messages pass the member list.
+const archiveChatMessage = async (message, participantIds = null) => {
+  try {
+    const participants = Array.isArray(participantIds)
+      ? participantIds.map(String)
+      : [String(message.senderId), String(message.receiverId)];
+    const owners = await User.find({
+      firebaseUid: {$in: participants},
+      'chatHistory.enabled': true,
+    })
+      .select('firebaseUid chatHistory')
+      .lean();
+    if (!owners.length) {
+      return 0;
+    }
+
+    const now = new Date();
+    await ChatMessage.bulkWrite(
+      owners.map(owner => ({
+        updateOne: {
+          filter: {ownerId: String(owner.firebaseUid), messageId: String(message.messageId)},
+          update: {
+            $set: {
+              conversationId: String(message.conversationId),
+              senderId: String(message.senderId),
+              receiverId: String(message.receiverId || ''),
+              messageText: String(message.messageText || ''),
+              messageType: String(message.messageType || 'text'),
+              media: message.media || null,
+              replyToMessageId: String(message.replyToMessageId || ''),
+              messageTimestamp: Number(message.messageTimestamp || 0),
+              status: String(message.status || 'accepted'),
+            },
+            $setOnInsert: {
+              storedAt: now,
+              expiresAt: retentionExpiry(toHistorySettings(owner).retentionDays, now),
+            },
+          },
+          upsert: true,
+        },
+      })),
+      {ordered: false},
+    );
+    return owners.length;
+  } catch (error) {
+    console.error('[CHAT_HISTORY] Failed to archive message:', {
+      messageId: String(message?.messageId || ''),
+      message: error?.message || String(error),
+    });
+    return 0;
+  }
+};
+
+const updateArchivedStatus = async (messageId, status) => {
+  try {
+    await ChatMessage.updateMany({messageId: String(messageId)}, {$set: {status: String(status)}});
+  } catch (error) {
+    console.error('[CHAT_HISTORY] Failed to update archived status:', error.message);
+  }
+};
+
+// Mirrors an edit or delete-for-everyone onto every owner's copy.
+const updateArchivedMessage = async (messageId, fields) => {
+  try {
+    await ChatMessage.updateMany({messageId: String(messageId)}, {$set: fields});
+  } catch (error) {
+    console.error('[CHAT_HISTORY] Failed to update archived message:', error.message);
+  }
+};
+
+// Any participant's copy of a message, for when its delivery row has expired.
+const findArchivedMessage = async messageId =>
+  ChatMessage.findOne({messageId: String(messageId)})
+    .select('conversationId senderId messageText media storedAt editedAt deletedAt')
+    .lean();
+
+// Re-dates existing rows so a retention change applies to old messages too.
+const applyRetentionToHistory = async (ownerId, retentionDays) => {
+  const update = Number(retentionDays) > 0
+    ? [{$set: {expiresAt: {$add: ['$storedAt', Number(retentionDays) * DAY_MS]}}}]
+    : {$set: {expiresAt: null}};
+  const result = await ChatMessage.updateMany({ownerId: String(ownerId)}, update);
+  return result.modifiedCount;
+};
+
+const purgeChatHistory = async ownerId => {
+  const result = await ChatMessage.deleteMany({ownerId: String(ownerId)});
+  return result.deletedCount;
+};
+
+// Cursors are "<timestamp>_<id>" so rows sharing a timestamp are not
+// skipped; a bare timestamp is accepted too.
+const parseTimestampCursor = value => {
+  const match = /^(\d+)(?:_(.+))?$/.exec(String(value || '').trim());
+  return match ? {timestamp: Number(match[1]), id: match[2] || ''} : null;
+};
+
+const formatTimestampCursor = (timestamp, id) => `${Number(timestamp || 0)}_${id}`;
+
+const fetchConversationHistory = async ({ownerId, conversationId, before, limit}) => {
+  const query = {ownerId: String(ownerId), conversationId: String(conversationId)};
+  const cursor = parseTimestampCursor(before);
+  if (cursor) {
+    query.$or = cursor.id
+      ? [
+          {messageTimestamp: {$lt: cursor.timestamp}},
+          {messageTimestamp: cursor.timestamp, messageId: {$lt: cursor.id}},
+        ]
+      : [{messageTimestamp: {$lt: cursor.timestamp}}];
+  }
+
+  const rows = await ChatMessage.find(query)
+    .sort({messageTimestamp: -1, messageId: -1})
+    .limit(limit + 1)
+    .lean();
+  const page = rows.slice(0, limit);
+
+  return {
+    messages: page.map(row => ({
+      messageId: row.messageId,
+      conversationId: row.conversationId,
+      senderId: row.senderId,
+      receiverId: row.receiverId,
+      messageText: row.messageText || '',
+      messageType: row.messageType || 'text',
+      media: row.media || null,
+      replyToMessageId: row.replyToMessageId || null,
+      editedAt: row.editedAt || null,
+      deletedAt: row.deletedAt || null,
+      timestamp: Number(row.messageTimestamp || 0),
+      status: row.status,
+    })),
+    nextCursor: rows.length > limit
+      ? formatTimestampCursor(page[page.length - 1].messageTimestamp, page[page.length - 1].messageId)
+      : null,
+  };
+};
+
+module.exports = {
+  CHAT_HISTORY_RETENTION_DAYS,
+  DEFAULT_RETENTION_DAYS,
+  normalizeRetentionDays,
+  toHistorySettings,
+  archiveChatMessage,
+  updateArchivedStatus,
+  updateArchivedMessage,
+  findArchivedMessage,
+  applyRetentionToHistory,
+  purgeChatHistory,
+  parseTimestampCursor,
+  formatTimestampCursor,
+  fetchConversationHistory,
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const {getStorageDriver, STORAGE_DRIVER, UPLOAD_BODY_MAX_BYTES} = require('./fileStorage');
+const {signParts, verifySignedParts} = require('./signedUrl');
+const {FILE_EXTENSIONS, normalizeContentType, matchesFileSignature} = require('./uploadValidation');
+
+const CHAT_MEDIA_MAX_BYTES = Math.max(
+  1024,
+  Math.min(
+    UPLOAD_BODY_MAX_BYTES,
+    Number(process.env.CHAT_MEDIA_MAX_BYTES || UPLOAD_BODY_MAX_BYTES) || UPLOAD_BODY_MAX_BYTES,
+  ),
+);
+const CHAT_THUMBNAIL_MAX_BYTES = 64 * 1024;
+const CHAT_VOICE_MAX_DURATION_MS = 30 * 60 * 1000;
+const CHAT_MEDIA_URL_TTL_SECONDS = Math.max(
+  60,
+  Math.min(7 * 86400, Number(process.env.CHAT_MEDIA_URL_TTL_SECONDS || 86400) || 86400),
+);
+
+// Per message type, the accepted MIME types.
+const CHAT_MEDIA_TYPES = {
+  image: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/heic'],
+  document: [
+    'application/pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'text/plain',
+  ],
+  voice: ['audio/ogg', 'audio/mp4', 'audio/aac', 'audio/mpeg', 'audio/amr'],
+};
+const CHAT_MEDIA_KINDS = Object.keys(CHAT_MEDIA_TYPES);
+const THUMBNAIL_TYPES = ['image/jpeg', 'image/webp'];
+
+const MEDIA_PREVIEW_LABELS = {
+  image: 'Photo',
+  document: 'Document',
+  voice: 'Voice message',
+};
+
+const toBoundedInt = (value, min, max) => {
+  const parsed = Number.parseInt(String(value ?? ''), 10);
+  return Number.isFinite(parsed) && parsed >= min && parsed <= max ? parsed : null;
+};
+
+// Returns {contentType} or {error}.
+const validateChatMediaUpload = (buffer, kind, declaredType) => {
+  const allowedTypes = CHAT_MEDIA_TYPES[kind];
+  if (!allowedTypes) {
+    return {error: `kind must be one of: ${CHAT_MEDIA_KINDS.join(', ')}`};
+  }
+  const contentType = normalizeContentType(declaredType);
+  if (!allowedTypes.includes(contentType)) {
+    return {error: `Content-Type for ${kind} must be one of: ${allowedTypes.join(', ')}`};
+  }
+  if (!Buffer.isBuffer(buffer) || !buffer.length) {
+    return {error: 'Media body is empty'};
+  }
+  if (buffer.length > CHAT_MEDIA_MAX_BYTES) {
+    return {error: `Media exceeds ${CHAT_MEDIA_MAX_BYTES} bytes`};
+  }
+  if (!matchesFileSignature(buffer, contentType)) {
+    return {error: 'Media content does not match its Content-Type'};
+  }
+  return {contentType};
+};
+
+const validateThumbnailUpload = (buffer, declaredType) => {
+  const contentType = normalizeContentType(declaredType);
+  if (!THUMBNAIL_TYPES.includes(contentType)) {
+    return {error: `Thumbnail Content-Type must be one of: ${THUMBNAIL_TYPES.join(', ')}`};
+  }
+  if (!Buffer.isBuffer(buffer) || !buffer.length) {
+    return {error: 'Thumbnail body is empty'};
+  }
+  if (buffer.length > CHAT_THUMBNAIL_MAX_BYTES) {
+    return {error: `Thumbnail exceeds ${CHAT_THUMBNAIL_MAX_BYTES} bytes`};
+  }
+  if (!matchesFileSignature(buffer, contentType)) {
+    return {error: 'Thumbnail content does not match its Content-Type'};
+  }
+  return {contentType};
+};
+
+const buildStorageKey = (uploaderId, contentType, suffix = '') =>
+  [
+    'chat-media',
+    String(uploaderId).replace(/[^\w-]/g, '_'),
+    `${Date.now()}_${crypto.randomBytes(8).toString('hex')}${suffix}.${FILE_EXTENSIONS[contentType]}`,
+  ].join('/');
+
+const storeThumbnailFile = async ({buffer, contentType, uploaderId}) => {
+  const storage = getStorageDriver(STORAGE_DRIVER);
+  const storageKey = buildStorageKey(uploaderId, contentType, '_thumb');
+  await storage.put(storageKey, buffer, {contentType});
+  return {storageKey, contentType, sizeBytes: buffer.length};
+};
+
+const storeChatMediaFile = async ({buffer, contentType, uploaderId}) => {
+  const storage = getStorageDriver(STORAGE_DRIVER);
+  const storageKey = buildStorageKey(uploaderId, contentType);
+  await storage.put(storageKey, buffer, {contentType});
+
+  return {
+    storageDriver: storage.name,
+    storageKey,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+  };
+};
+
+// The server does not resize images: clients upload a thumbnail for any image
+// larger than CHAT_THUMBNAIL_MAX_BYTES through POST /media/:mediaId/thumbnail.
+// Smaller images serve as their own thumbnail.
+const needsClientThumbnail = media =>
+  media.kind === 'image' &&
+  !media.thumbnail?.storageKey &&
+  Number(media.sizeBytes || 0) > CHAT_THUMBNAIL_MAX_BYTES;
+
+// Client-reported metadata; only kept when it is plausible.
+const parseMediaMetadata = (kind, source = {}) => ({
+  width: kind === 'image' ? toBoundedInt(source.width, 1, 20000) : null,
+  height: kind === 'image' ? toBoundedInt(source.height, 1, 20000) : null,
+  durationMs: kind === 'voice' ? toBoundedInt(source.durationMs, 0, CHAT_VOICE_MAX_DURATION_MS) : null,
+});
+
+// What MessageDelivery keeps about a message's media.
+const toMediaSnapshot = media => ({
+  mediaId: String(media._id),
+  kind: media.kind,
+  contentType: media.contentType,
+  sizeBytes: media.sizeBytes,
+  fileName: media.fileName || '',
+  width: media.width ?? null,
+  height: media.height ?? null,
+  durationMs: media.durationMs ?? null,
+  hasThumbnail: Boolean(media.thumbnail?.storageKey),
+});
+
+// baseUrl is the public origin from resolvePublicBaseUrl.
+const buildMediaUrl = (mediaId, variant, viewerId, baseUrl) => {
+  const {expires, signature} = signParts(
+    ['chat-media', mediaId, variant, viewerId],
+    CHAT_MEDIA_URL_TTL_SECONDS,
+  );
+  const query = new URLSearchParams({uid: viewerId, variant, expires: String(expires), signature});
+  return {
+    url: `${baseUrl}/api/messages/media/${mediaId}/download?${query.toString()}`,
+    expiresAt: expires * 1000,
+  };
+};
+
+const verifyMediaDownload = ({mediaId, variant, uid, expires, signature}) =>
+  verifySignedParts(['chat-media', String(mediaId), String(variant), String(uid)], expires, signature);
+
+// Accepts a ChatMedia row or a MessageDelivery snapshot. Small images stand in
+// as their own thumbnail when none was uploaded.
+const toChatMediaPayload = (media, viewerId, baseUrl) => {
+  const snapshot = media.mediaId ? media : toMediaSnapshot(media);
+  const original = buildMediaUrl(snapshot.mediaId, 'original', viewerId, baseUrl);
+  let thumbnailUrl = null;
+  if (snapshot.hasThumbnail) {
+    thumbnailUrl = buildMediaUrl(snapshot.mediaId, 'thumbnail', viewerId, baseUrl).url;
+  } else if (snapshot.kind === 'image' && snapshot.sizeBytes <= CHAT_THUMBNAIL_MAX_BYTES) {
+    thumbnailUrl = original.url;
+  }
+  return {
+    mediaId: snapshot.mediaId,
+    kind: snapshot.kind,
+    contentType: snapshot.contentType,
+    sizeBytes: snapshot.sizeBytes,
+    fileName: snapshot.fileName || '',
+    width: snapshot.width ?? null,
+    height: snapshot.height ?? null,
+    durationMs: snapshot.durationMs ?? null,
+    url: original.url,
+    thumbnailUrl,
+    urlExpiresAt: original.expiresAt,
+  };
+};
+
+// FCM data values must be strings; empty fields are left out to stay well
+// under the payload limit.
+const toMediaPushFields = (snapshot, receiverId, baseUrl) => {
+  const payload = toChatMediaPayload(snapshot, receiverId, baseUrl);
+  const fields = {
+    mediaId: payload.mediaId,
+    mediaKind: payload.kind,
+    mediaContentType: payload.contentType,
+    mediaSize: String(payload.sizeBytes),
+    mediaUrl: payload.url,
+    mediaUrlExpiresAt: String(payload.urlExpiresAt),
+  };
+  if (payload.fileName) fields.mediaFileName = payload.fileName;
+  if (payload.thumbnailUrl) fields.mediaThumbnailUrl = payload.thumbnailUrl;
+  if (payload.width) fields.mediaWidth = String(payload.width);
+  if (payload.height) fields.mediaHeight = String(payload.height);
+  if (payload.durationMs !== null) fields.mediaDurationMs = String(payload.durationMs);
+  return fields;
+};
+
+const toMediaPreview = (kind, caption) =>
+  String(caption || '').trim() || MEDIA_PREVIEW_LABELS[kind] || 'Attachment';
+
+module.exports = {
+  CHAT_MEDIA_MAX_BYTES,
+  CHAT_THUMBNAIL_MAX_BYTES,
+  CHAT_MEDIA_KINDS,
+  validateChatMediaUpload,
+  validateThumbnailUpload,
+  needsClientThumbnail,
+  storeChatMediaFile,
+  storeThumbnailFile,
+  parseMediaMetadata,
+  toMediaSnapshot,
+  verifyMediaDownload,
+  toChatMediaPayload,
+  toMediaPushFields,
+  toMediaPreview,
+};
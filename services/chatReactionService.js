@@ -0,0 +1,71 @@
+const MessageReaction = require('../models/MessageReaction');
+const {parseTimestampCursor, formatTimestampCursor} = require('./chatHistory');
+
+const REACTION_SYNC_LIMIT = 500;
+
+const graphemes = new Intl.Segmenter(undefined, {granularity: 'grapheme'});
+
+// A reaction is a single emoji; modifiers, flags and ZWJ sequences count as
+// one.
+const normalizeReactionEmoji = value => {
+  const emoji = String(value || '').trim();
+  if (!emoji || emoji.length > 32 || /\s/.test(emoji)) {
+    return null;
+  }
+  if ([...graphemes.segment(emoji)].length !== 1) {
+    return null;
+  }
+  return /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(emoji) ? emoji : null;
+};
+
+const toReactionPayload = row => ({
+  messageId: row.messageId,
+  conversationId: row.conversationId,
+  userId: row.userId,
+  emoji: row.emoji || '',
+  removed: !row.emoji,
+  updatedAt: new Date(row.updatedAt).getTime(),
+});
+
+// An empty emoji removes the caller's reaction.
+const setMessageReaction = async ({messageId, conversationId, userId, emoji}) => {
+  const row = await MessageReaction.findOneAndUpdate(
+    {messageId: String(messageId), userId: String(userId)},
+    {$set: {conversationId: String(conversationId), emoji: emoji || ''}},
+    {upsert: true, new: true},
+  ).lean();
+  return toReactionPayload(row);
+};
+
+// `since` is a cursor this function handed out, "<updatedAt ms>_<row id>",
+// so paging never depends on the device clock. Returns the reactions and the
+// cursor to pass next time; with nothing new the cursor stays as it was.
+const loadReactionsSince = async (conversationId, since) => {
+  const query = {conversationId: String(conversationId)};
+  const cursor = parseTimestampCursor(since);
+  if (cursor) {
+    const after = new Date(cursor.timestamp);
+    query.$or = cursor.id && /^[a-f\d]{24}$/i.test(cursor.id)
+      ? [{updatedAt: {$gt: after}}, {updatedAt: after, _id: {$gt: cursor.id}}]
+      : [{updatedAt: {$gt: after}}];
+  }
+  const rows = await MessageReaction.find(query)
+    .sort({updatedAt: 1, _id: 1})
+    .limit(REACTION_SYNC_LIMIT + 1)
+    .lean();
+  const page = rows.slice(0, REACTION_SYNC_LIMIT);
+  const last = page[page.length - 1];
+  return {
+    reactions: page.map(toReactionPayload),
+    cursor: last
+      ? formatTimestampCursor(new Date(last.updatedAt).getTime(), String(last._id))
+      : cursor ? formatTimestampCursor(cursor.timestamp, cursor.id) : '',
+    hasMore: rows.length > REACTION_SYNC_LIMIT,
+  };
+};
+
+module.exports = {
+  normalizeReactionEmoji,
+  setMessageReaction,
+  loadReactionsSince,
+};
@@ -0,0 +1,22 @@
+// Thrown when an optional feature (file storage, signed links) is used on a
+// deployment that has not configured it. Routes answer these with a 503 so an
+// operator problem is not reported as a client error.
+const CONFIGURATION_ERROR_CODE = 'SERVICE_NOT_CONFIGURED';
+
+const createConfigurationError = message =>
+  Object.assign(new Error(message), {code: CONFIGURATION_ERROR_CODE});
+
+const isConfigurationError = error => error?.code === CONFIGURATION_ERROR_CODE;
+
+const sendConfigurationError = (res, error) =>
+  res.status(503).json({
+    success: false,
+    code: CONFIGURATION_ERROR_CODE,
+    message: error.message,
+  });
+
+module.exports = {
+  createConfigurationError,
+  isConfigurationError,
+  sendConfigurationError,
+};
@@ -0,0 +1,145 @@
+const ConversationSummary = require('../models/ConversationSummary');
+const {parseTimestampCursor, formatTimestampCursor} = require('./chatHistory');
+
+const PREVIEW_MAX_LENGTH = 200;
+
+const toPreview = text => {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > PREVIEW_MAX_LENGTH ? `${value.slice(0, PREVIEW_MAX_LENGTH - 1)}…` : value;
+};
+
+// Pipeline upsert so an out-of-order or retried send never replaces a newer
+// preview or counts the same message as unread twice. Values go through
+// $literal because message text may start with "$".
+const buildSummaryUpdate = ({ownerId, peerId, message, countUnread}) => {
+  const messageId = String(message.messageId);
+  const timestamp = Number(message.messageTimestamp || 0);
+  const isNewer = {$gte: [timestamp, {$ifNull: ['$lastMessageAt', -1]}]};
+  const isRepeat = {$eq: ['$lastMessageId', messageId]};
+  const latest = (value, field) => ({$cond: [isNewer, {$literal: value}, `$${field}`]});
+
+  return [
+    {
+      $set: {
+        ownerId: {$literal: ownerId},
+        peerId: {$literal: peerId},
+        lastMessageId: latest(messageId, 'lastMessageId'),
+        lastMessagePreview: latest(toPreview(message.messageText), 'lastMessagePreview'),
+        lastMessageType: latest(String(message.messageType || 'text'), 'lastMessageType'),
+        lastSenderId: latest(String(message.senderId), 'lastSenderId'),
+        lastMessageAt: {$max: [timestamp, {$ifNull: ['$lastMessageAt', 0]}]},
+        unreadCount: {
+          $add: [{$ifNull: ['$unreadCount', 0]}, countUnread ? {$cond: [isRepeat, 0, 1]} : 0],
+        },
+        lastReadAt: {$ifNull: ['$lastReadAt', null]},
+        createdAt: {$ifNull: ['$createdAt', '$$NOW']},
+        updatedAt: '$$NOW',
+      },
+    },
+  ];
+};
+
+// Best effort, like the history archive: the list is a convenience and must
+// not fail a send that was already accepted.
+// Group messages pass memberIds; their summaries carry no single peer.
+const recordConversationMessage = async (message, memberIds = null) => {
+  try {
+    const conversationId = String(message.conversationId);
+    const senderId = String(message.senderId);
+    const owners = Array.isArray(memberIds)
+      ? memberIds.map(memberId => ({
+          ownerId: String(memberId),
+          peerId: '',
+          countUnread: String(memberId) !== senderId,
+        }))
+      : [
+          {ownerId: senderId, peerId: String(message.receiverId), countUnread: false},
+          {ownerId: String(message.receiverId), peerId: senderId, countUnread: true},
+        ];
+
+    await ConversationSummary.bulkWrite(
+      owners.map(owner => ({
+        updateOne: {
+          filter: {ownerId: owner.ownerId, conversationId},
+          update: buildSummaryUpdate({...owner, message}),
+          upsert: true,
+        },
+      })),
+      {ordered: false},
+    );
+  } catch (error) {
+    console.error('[CONVERSATIONS] Failed to record message:', {
+      messageId: String(message?.messageId || ''),
+      message: error?.message || String(error),
+    });
+  }
+};
+
+// Only rewrites the preview where this message is still the latest one.
+const updateConversationPreview = async ({ownerIds, conversationId, messageId, text}) => {
+  try {
+    await ConversationSummary.updateMany(
+      {
+        ownerId: {$in: ownerIds.map(String)},
+        conversationId: String(conversationId),
+        lastMessageId: String(messageId),
+      },
+      {$set: {lastMessagePreview: toPreview(text)}},
+    );
+  } catch (error) {
+    console.error('[CONVERSATIONS] Failed to update preview:', error.message);
+  }
+};
+
+const markMessageRead = async (ownerId, conversationId) => {
+  try {
+    await ConversationSummary.updateOne(
+      {ownerId: String(ownerId), conversationId: String(conversationId), unreadCount: {$gt: 0}},
+      {$inc: {unreadCount: -1}, $set: {lastReadAt: new Date()}},
+    );
+  } catch (error) {
+    console.error('[CONVERSATIONS] Failed to update unread count:', error.message);
+  }
+};
+
+const markConversationRead = async (ownerId, conversationId) => {
+  const result = await ConversationSummary.updateOne(
+    {ownerId: String(ownerId), conversationId: String(conversationId)},
+    {$set: {unreadCount: 0, lastReadAt: new Date()}},
+  );
+  return result.matchedCount > 0;
+};
+
+const listConversationSummaries = async ({ownerId, before, limit}) => {
+  const query = {ownerId: String(ownerId)};
+  const cursor = parseTimestampCursor(before);
+  if (cursor) {
+    query.$or = cursor.id
+      ? [
+          {lastMessageAt: {$lt: cursor.timestamp}},
+          {lastMessageAt: cursor.timestamp, conversationId: {$lt: cursor.id}},
+        ]
+      : [{lastMessageAt: {$lt: cursor.timestamp}}];
+  }
+
+  const rows = await ConversationSummary.find(query)
+    .sort({lastMessageAt: -1, conversationId: -1})
+    .limit(limit + 1)
+    .lean();
+  const page = rows.slice(0, limit);
+
+  return {
+    summaries: page,
+    nextCursor: rows.length > limit
+      ? formatTimestampCursor(page[page.length - 1].lastMessageAt, page[page.length - 1].conversationId)
+      : null,
+  };
+};
+
+module.exports = {
+  recordConversationMessage,
+  updateConversationPreview,
+  markMessageRead,
+  markConversationRead,
+  listConversationSummaries,
+};
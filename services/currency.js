@@ -0,0 +1,142 @@
+const DEFAULT_CURRENCY = String(process.env.LEDGER_DEFAULT_CURRENCY || 'INR').trim().toUpperCase();
+const DEFAULT_LOCALE = 'en-IN';
+
+const SYMBOL_TO_CURRENCY = {
+  '₹': 'INR',
+  rs: 'INR',
+  'rs.': 'INR',
+  $: 'USD',
+  'us$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  'c$': 'CAD',
+  'a$': 'AUD',
+  'د.إ': 'AED',
+  'aed': 'AED',
+  '৳': 'BDT',
+  'रू': 'NPR',
+  'sar': 'SAR',
+};
+
+const COUNTRY_ALIASES = {
+  india: 'IN',
+  'united states': 'US',
+  usa: 'US',
+  'united kingdom': 'GB',
+  uk: 'GB',
+  canada: 'CA',
+  australia: 'AU',
+  'united arab emirates': 'AE',
+  uae: 'AE',
+  pakistan: 'PK',
+  bangladesh: 'BD',
+  nepal: 'NP',
+  'sri lanka': 'LK',
+  singapore: 'SG',
+  'saudi arabia': 'SA',
+  germany: 'DE',
+  france: 'FR',
+};
+
+const COUNTRY_TO_CURRENCY = {
+  IN: 'INR',
+  US: 'USD',
+  GB: 'GBP',
+  CA: 'CAD',
+  AU: 'AUD',
+  AE: 'AED',
+  PK: 'PKR',
+  BD: 'BDT',
+  NP: 'NPR',
+  LK: 'LKR',
+  SG: 'SGD',
+  SA: 'SAR',
+  DE: 'EUR',
+  FR: 'EUR',
+};
+
+const SUPPORTED_CURRENCIES = new Set(
+  typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('currency') : [],
+);
+
+const normalizeCurrencyCode = value => {
+  const code = String(value || '').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) {
+    return null;
+  }
+  if (SUPPORTED_CURRENCIES.size && !SUPPORTED_CURRENCIES.has(code)) {
+    return null;
+  }
+  return code;
+};
+
+const normalizeCountryCode = value => {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  if (/^[a-z]{2}$/i.test(raw)) return raw.toUpperCase();
+  return COUNTRY_ALIASES[raw.toLowerCase()] || null;
+};
+
+const resolveUserCurrency = user => {
+  const symbol = String(user?.currencySymbol || '').trim();
+  const fromCode = normalizeCurrencyCode(symbol);
+  if (fromCode) {
+    return fromCode;
+  }
+  const fromSymbol = SYMBOL_TO_CURRENCY[symbol.toLowerCase()];
+  if (fromSymbol) {
+    return fromSymbol;
+  }
+  const countryCode = normalizeCountryCode(user?.country);
+  return (countryCode && COUNTRY_TO_CURRENCY[countryCode]) || DEFAULT_CURRENCY;
+};
+
+const resolveUserLocale = user => {
+  const countryCode = normalizeCountryCode(user?.country);
+  return countryCode ? `en-${countryCode}` : DEFAULT_LOCALE;
+};
+
+const getMinorDigits = currency => {
+  try {
+    return new Intl.NumberFormat('en', {
+      style: 'currency',
+      currency: normalizeCurrencyCode(currency) || DEFAULT_CURRENCY,
+    }).resolvedOptions().maximumFractionDigits;
+  } catch (error) {
+    return 2;
+  }
+};
+
+const toMinorUnits = (amount, currency) => {
+  const parsed = Number(amount);
+  if (!Number.isFinite(parsed)) return 0;
+  return Math.round(parsed * 10 ** getMinorDigits(currency));
+};
+
+const fromMinorUnits = (amountMinor, currency) => {
+  const parsed = Number(amountMinor);
+  if (!Number.isFinite(parsed)) return 0;
+  return parsed / 10 ** getMinorDigits(currency);
+};
+
+// options go straight to Intl.NumberFormat, e.g. {currencyDisplay: 'code'}.
+const formatMoney = (amountMinor, currency, locale = DEFAULT_LOCALE, options = {}) => {
+  const code = normalizeCurrencyCode(currency) || DEFAULT_CURRENCY;
+  const amount = fromMinorUnits(amountMinor, code);
+  try {
+    return new Intl.NumberFormat(locale, {...options, style: 'currency', currency: code}).format(amount);
+  } catch (error) {
+    return `${code} ${amount.toLocaleString(DEFAULT_LOCALE)}`;
+  }
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  normalizeCurrencyCode,
+  resolveUserCurrency,
+  resolveUserLocale,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+};
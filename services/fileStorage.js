@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const {createConfigurationError} = require('./configurationError');
+
+// A storage driver stores opaque blobs by key:
+//   put(key, buffer, {contentType}) -> Promise<void>
+//   createReadStream(key)           -> Promise<Readable>  (rejects with code 'ENOENT' when missing)
+//   remove(key)                     -> Promise<void>
+// The default is local disk. Cloud Storage ('gcs') and other object stores
+// plug in through registerStorageDriver and are selected with
+// FILE_STORAGE_DRIVER. Drivers are built on first upload or download, so a
+// missing setting only fails the attachment routes.
+
+const STORAGE_DRIVER = String(process.env.FILE_STORAGE_DRIVER || 'local').trim().toLowerCase();
+const STORAGE_BUCKET = String(process.env.FIREBASE_STORAGE_BUCKET || '').trim();
+
+// Point this at a persistent volume in production; serverless hosts need the
+// gcs driver instead because their disk is per instance.
+const LOCAL_STORAGE_DIR = String(
+  process.env.FILE_STORAGE_DIR || path.join(__dirname, '..', 'uploads'),
+).trim();
+
+// Uploads arrive as a single request body, and Vercel functions reject bodies
+// over 4.5 MB, so no upload limit may go above this.
+const UPLOAD_BODY_MAX_BYTES = 4 * 1024 * 1024;
+
+const assertSafeKey = key => {
+  const value = String(key || '');
+  if (!value || value.includes('..') || path.isAbsolute(value) || !/^[\w\-./]+$/.test(value)) {
+    throw new Error(`Invalid storage key: ${value}`);
+  }
+  return value;
+};
+
+const createLocalDiskStorage = ({rootDir = LOCAL_STORAGE_DIR} = {}) => {
+  const resolvePath = key => path.join(rootDir, assertSafeKey(key));
+
+  return {
+    name: 'local',
+    put: async (key, buffer) => {
+      const target = resolvePath(key);
+      await fs.promises.mkdir(path.dirname(target), {recursive: true});
+      await fs.promises.writeFile(target, buffer);
+    },
+    createReadStream: async key => {
+      const target = resolvePath(key);
+      await fs.promises.access(target, fs.constants.R_OK);
+      return fs.createReadStream(target);
+    },
+    remove: async key => {
+      try {
+        await fs.promises.unlink(resolvePath(key));
+      } catch (error) {
+        if (error?.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+  };
+};
+
+const createCloudStorage = ({bucketName = STORAGE_BUCKET} = {}) => {
+  if (!bucketName) {
+    throw createConfigurationError('FIREBASE_STORAGE_BUCKET is required for the gcs storage driver');
+  }
+  // Required lazily so the local driver does not need firebase credentials.
+  const admin = require('../config/firebase');
+  const bucket = admin.storage().bucket(bucketName);
+
+  return {
+    name: 'gcs',
+    put: async (key, buffer, {contentType} = {}) => {
+      await bucket.file(assertSafeKey(key)).save(buffer, {
+        resumable: false,
+        contentType: contentType || 'application/octet-stream',
+      });
+    },
+    createReadStream: async key => {
+      const file = bucket.file(assertSafeKey(key));
+      const [exists] = await file.exists();
+      if (!exists) {
+        const error = new Error(`Stored file not found: ${key}`);
+        error.code = 'ENOENT';
+        throw error;
+      }
+      return file.createReadStream();
+    },
+    remove: async key => {
+      await bucket.file(assertSafeKey(key)).delete({ignoreNotFound: true});
+    },
+  };
+};
+
+const driverFactories = new Map([
+  ['gcs', createCloudStorage],
+  ['local', createLocalDiskStorage],
+]);
+const driverInstances = new Map();
+
+const registerStorageDriver = (name, factory) => {
+  driverFactories.set(String(name).trim().toLowerCase(), factory);
+  driverInstances.delete(String(name).trim().toLowerCase());
+};
+
+// Stored rows remember their driver so switching FILE_STORAGE_DRIVER does not
+// orphan files written by the previous one.
+const getStorageDriver = (name = STORAGE_DRIVER) => {
+  const driverName = String(name || STORAGE_DRIVER).trim().toLowerCase();
+  if (!driverInstances.has(driverName)) {
+    const factory = driverFactories.get(driverName);
+    if (!factory) {
+      throw createConfigurationError(`Unknown file storage driver: ${driverName}`);
+    }
+    driverInstances.set(driverName, factory());
+  }
+  return driverInstances.get(driverName);
+};
+
+module.exports = {
+  STORAGE_DRIVER,
+  UPLOAD_BODY_MAX_BYTES,
+  createLocalDiskStorage,
+  createCloudStorage,
+  registerStorageDriver,
+  getStorageDriver,
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const Conversation = require('../models/Conversation');
+
+// Group ids never contain "_", so they cannot be mistaken for a direct
+// "uidA_uidB" pair.
+const GROUP_CONVERSATION_PREFIX = 'grp-';
+const CHAT_GROUP_MAX_MEMBERS = Math.max(
+  3,
+  Math.min(1024, Number(process.env.CHAT_GROUP_MAX_MEMBERS || 256) || 256),
+);
+
+const isGroupConversationId = value =>
+  String(value || '').startsWith(GROUP_CONVERSATION_PREFIX);
+
+const createGroupConversationId = () =>
+  `${GROUP_CONVERSATION_PREFIX}${crypto.randomBytes(12).toString('hex')}`;
+
+const isGroupMember = (group, uid) =>
+  (group?.members || []).some(member => member.userId === uid);
+
+const isGroupAdmin = (group, uid) =>
+  (group?.members || []).some(member => member.userId === uid && member.role === 'admin');
+
+const findGroupForMember = async (conversationId, uid) => {
+  const id = String(conversationId || '').trim();
+  if (!isGroupConversationId(id) || !uid) {
+    return null;
+  }
+  return Conversation.findOne({conversationId: id, status: 'active', 'members.userId': uid});
+};
+
+// Everyone else in a conversation the caller belongs to, direct or group.
+// Returns null when the caller is not a participant.
+const resolveConversationPeers = async (conversationId, uid) => {
+  const id = String(conversationId || '').trim();
+  if (isGroupConversationId(id)) {
+    const group = await findGroupForMember(id, uid);
+    return group
+      ? {
+          isGroup: true,
+          group,
+          peerIds: group.members.map(member => member.userId).filter(memberId => memberId !== uid),
+        }
+      : null;
+  }
+
+  const participants = id
+    .split('_')
+    .map(value => String(value || '').trim())
+    .filter(Boolean);
+  if (participants.length !== 2 || !participants.includes(uid)) {
+    return null;
+  }
+  return {isGroup: false, group: null, peerIds: participants.filter(value => value !== uid)};
+};
+
+const toGroupSummary = group => ({
+  conversationId: group.conversationId,
+  name: group.name,
+  avatarUrl: group.avatarUrl || '',
+  memberCount: (group.members || []).length,
+});
+
+module.exports = {
+  GROUP_CONVERSATION_PREFIX,
+  CHAT_GROUP_MAX_MEMBERS,
+  isGroupConversationId,
+  createGroupConversationId,
+  isGroupMember,
+  isGroupAdmin,
+  findGroupForMember,
+  resolveConversationPeers,
+  toGroupSummary,
+};
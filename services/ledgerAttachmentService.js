@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const {getStorageDriver, STORAGE_DRIVER, UPLOAD_BODY_MAX_BYTES} = require('./fileStorage');
+const {signParts, verifySignedParts} = require('./signedUrl');
+const {FILE_EXTENSIONS, normalizeContentType, matchesFileSignature} = require('./uploadValidation');
+
+const ATTACHMENT_MAX_BYTES = Math.max(
+  1024,
+  Math.min(
+    UPLOAD_BODY_MAX_BYTES,
+    Number(process.env.LEDGER_ATTACHMENT_MAX_BYTES || UPLOAD_BODY_MAX_BYTES) || UPLOAD_BODY_MAX_BYTES,
+  ),
+);
+const ATTACHMENT_MAX_PER_ENTRY = 5;
+const ATTACHMENT_URL_TTL_SECONDS = Math.max(
+  60,
+  Math.min(86400, Number(process.env.LEDGER_ATTACHMENT_URL_TTL_SECONDS || 900) || 900),
+);
+
+const ATTACHMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'application/pdf'];
+
+// Returns {contentType} or {error}.
+const validateAttachmentUpload = (buffer, declaredType) => {
+  const contentType = normalizeContentType(declaredType);
+  if (!ATTACHMENT_MIME_TYPES.includes(contentType)) {
+    return {error: `Content-Type must be one of: ${ATTACHMENT_MIME_TYPES.join(', ')}`};
+  }
+  if (!Buffer.isBuffer(buffer) || !buffer.length) {
+    return {error: 'Attachment body is empty'};
+  }
+  if (buffer.length > ATTACHMENT_MAX_BYTES) {
+    return {error: `Attachment exceeds ${ATTACHMENT_MAX_BYTES} bytes`};
+  }
+  if (!matchesFileSignature(buffer, contentType)) {
+    return {error: 'Attachment content does not match its Content-Type'};
+  }
+  return {contentType};
+};
+
+const storeAttachmentFile = async ({buffer, contentType, sourceUserId}) => {
+  const storage = getStorageDriver(STORAGE_DRIVER);
+  const storageKey = [
+    'ledger-attachments',
+    String(sourceUserId).replace(/[^\w-]/g, '_'),
+    `${Date.now()}_${crypto.randomBytes(8).toString('hex')}.${FILE_EXTENSIONS[contentType]}`,
+  ].join('/');
+  await storage.put(storageKey, buffer, {contentType});
+  return {
+    storageDriver: storage.name,
+    storageKey,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+  };
+};
+
+// The link is bound to the viewer so it cannot be handed to a third party
+// beyond its short lifetime; the download route re-checks entry membership.
+// baseUrl is the public origin from resolvePublicBaseUrl.
+const buildAttachmentDownloadUrl = (attachment, viewerId, baseUrl) => {
+  const attachmentId = String(attachment._id);
+  const {expires, signature} = signParts(
+    ['ledger-attachment', attachmentId, viewerId],
+    ATTACHMENT_URL_TTL_SECONDS,
+  );
+  const query = new URLSearchParams({uid: viewerId, expires: String(expires), signature});
+  return {
+    url: `${baseUrl}/api/ledger/attachments/${attachmentId}/download?${query.toString()}`,
+    expiresAt: expires * 1000,
+  };
+};
+
+const verifyAttachmentDownload = ({attachmentId, uid, expires, signature}) =>
+  verifySignedParts(['ledger-attachment', String(attachmentId), String(uid)], expires, signature);
+
+const toAttachmentPayload = (attachment, viewerId, baseUrl) => {
+  const download = buildAttachmentDownloadUrl(attachment, viewerId, baseUrl);
+  return {
+    attachmentId: String(attachment._id),
+    sourceUserId: attachment.sourceUserId,
+    originTxnId: attachment.originTxnId,
+    uploaderId: attachment.uploaderId,
+    fileName: attachment.fileName || '',
+    contentType: attachment.contentType,
+    sizeBytes: attachment.sizeBytes,
+    createdAt: attachment.createdAt,
+    downloadUrl: download.url,
+    downloadUrlExpiresAt: download.expiresAt,
+  };
+};
+
+module.exports = {
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_MAX_PER_ENTRY,
+  ATTACHMENT_MIME_TYPES,
+  validateAttachmentUpload,
+  storeAttachmentFile,
+  verifyAttachmentDownload,
+  toAttachmentPayload,
+};
@@ -0,0 +1,189 @@
+const LedgerGroupExpense = require('../models/LedgerGroupExpense');
+
+const GROUP_SPLIT_MODES = ['equal', 'shares', 'exact'];
+const GROUP_MAX_MEMBERS = Math.max(
+  2,
+  Math.min(200, Number(process.env.LEDGER_GROUP_MAX_MEMBERS || 50) || 50),
+);
+
+// Leftover minor units go to the largest fractional parts first, then to the
+// earlier participants, so the split always adds up to the expense total.
+const distributeRemainder = (rawShares, totalMinor) => {
+  const floored = rawShares.map(value => Math.floor(value));
+  let remainder = totalMinor - floored.reduce((sum, value) => sum + value, 0);
+  const order = rawShares
+    .map((value, index) => ({index, fraction: value - Math.floor(value)}))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+
+  for (let cursor = 0; remainder > 0 && order.length; cursor += 1) {
+    floored[order[cursor % order.length].index] += 1;
+    remainder -= 1;
+  }
+  return floored;
+};
+
+// participants: [{userId, shares, amountMinor}]. Returns {splits} or {error}.
+const computeExpenseSplits = ({amountMinor, splitMode, participants}) => {
+  const total = Number(amountMinor);
+  if (!Number.isInteger(total) || total <= 0) {
+    return {error: 'amount must be greater than zero'};
+  }
+  if (!Array.isArray(participants) || !participants.length) {
+    return {error: 'At least one participant is required'};
+  }
+
+  if (splitMode === 'equal') {
+    const shares = distributeRemainder(
+      participants.map(() => total / participants.length),
+      total,
+    );
+    return {
+      splits: participants.map((item, index) => ({
+        userId: item.userId,
+        shareMinor: shares[index],
+        shares: 1,
+      })),
+    };
+  }
+
+  if (splitMode === 'shares') {
+    const weights = participants.map(item => Number(item.shares));
+    if (weights.some(value => !Number.isFinite(value) || value <= 0)) {
+      return {error: 'Each participant needs a positive shares value'};
+    }
+    const weightTotal = weights.reduce((sum, value) => sum + value, 0);
+    const shares = distributeRemainder(
+      weights.map(value => (total * value) / weightTotal),
+      total,
+    );
+    return {
+      splits: participants.map((item, index) => ({
+        userId: item.userId,
+        shareMinor: shares[index],
+        shares: weights[index],
+      })),
+    };
+  }
+
+  if (splitMode === 'exact') {
+    const amounts = participants.map(item => Number(item.amountMinor));
+    if (amounts.some(value => !Number.isInteger(value) || value < 0)) {
+      return {error: 'Each participant needs a non-negative amount'};
+    }
+    const sum = amounts.reduce((acc, value) => acc + value, 0);
+    if (sum !== total) {
+      return {error: 'Exact amounts must add up to the expense amount'};
+    }
+    return {
+      splits: participants.map((item, index) => ({
+        userId: item.userId,
+        shareMinor: amounts[index],
+        shares: 0,
+      })),
+    };
+  }
+
+  return {error: `splitMode must be one of: ${GROUP_SPLIT_MODES.join(', ')}`};
+};
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+// Nets every expense into per-member totals and direct pairwise obligations.
+const computeGroupBalances = expenses => {
+  const members = new Map();
+  const pairs = new Map();
+  const ensureMember = userId => {
+    if (!members.has(userId)) {
+      members.set(userId, {userId, paidMinor: 0, owedMinor: 0, netMinor: 0});
+    }
+    return members.get(userId);
+  };
+
+  for (const expense of expenses) {
+    const payerId = String(expense.paidBy);
+    ensureMember(payerId).paidMinor += Number(expense.amountMinor || 0);
+
+    for (const split of expense.splits || []) {
+      const debtorId = String(split.userId);
+      const shareMinor = Number(split.shareMinor || 0);
+      ensureMember(debtorId).owedMinor += shareMinor;
+      if (debtorId === payerId || shareMinor <= 0) {
+        continue;
+      }
+
+      // Stored as "low owes high" so both directions cancel in one bucket.
+      const key = pairKey(debtorId, payerId);
+      const current = pairs.get(key) || 0;
+      pairs.set(key, current + (debtorId < payerId ? shareMinor : -shareMinor));
+    }
+  }
+
+  for (const member of members.values()) {
+    member.netMinor = member.paidMinor - member.owedMinor;
+  }
+
+  const obligations = [];
+  for (const [key, amount] of pairs.entries()) {
+    if (!amount) continue;
+    const [low, high] = key.split('|');
+    obligations.push(
+      amount > 0
+        ? {fromUserId: low, toUserId: high, amountMinor: amount}
+        : {fromUserId: high, toUserId: low, amountMinor: -amount},
+    );
+  }
+  obligations.sort((a, b) => b.amountMinor - a.amountMinor);
+
+  return {members: Array.from(members.values()), obligations};
+};
+
+// Greedy settle-up: repeatedly pair the largest debtor with the largest
+// creditor. Needs at most (members - 1) transfers.
+const simplifyDebts = memberBalances => {
+  const byAmount = (a, b) => b.amountMinor - a.amountMinor || a.userId.localeCompare(b.userId);
+  const creditors = memberBalances
+    .filter(item => item.netMinor > 0)
+    .map(item => ({userId: item.userId, amountMinor: item.netMinor}))
+    .sort(byAmount);
+  const debtors = memberBalances
+    .filter(item => item.netMinor < 0)
+    .map(item => ({userId: item.userId, amountMinor: -item.netMinor}))
+    .sort(byAmount);
+
+  const transfers = [];
+  while (creditors.length && debtors.length) {
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const amountMinor = Math.min(creditor.amountMinor, debtor.amountMinor);
+    transfers.push({fromUserId: debtor.userId, toUserId: creditor.userId, amountMinor});
+
+    creditor.amountMinor -= amountMinor;
+    debtor.amountMinor -= amountMinor;
+    if (!creditor.amountMinor) creditors.shift();
+    if (!debtor.amountMinor) debtors.shift();
+    creditors.sort(byAmount);
+    debtors.sort(byAmount);
+  }
+  return transfers;
+};
+
+const loadGroupBalances = async groupId => {
+  const expenses = await LedgerGroupExpense.find({groupId: String(groupId), isDeleted: false})
+    .select('paidBy amountMinor splits')
+    .lean();
+  const balances = computeGroupBalances(expenses);
+  return {
+    ...balances,
+    simplified: simplifyDebts(balances.members),
+    expenseCount: expenses.length,
+  };
+};
+
+module.exports = {
+  GROUP_SPLIT_MODES,
+  GROUP_MAX_MEMBERS,
+  computeExpenseSplits,
+  computeGroupBalances,
+  simplifyDebts,
+  loadGroupBalances,
+};
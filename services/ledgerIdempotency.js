@@ -0,0 +1,85 @@
+const LedgerIdempotencyKey = require('../models/LedgerIdempotencyKey');
+
+const IDEMPOTENCY_TTL_HOURS = Math.max(
+  1,
+  Math.min(24 * 7, Number(process.env.LEDGER_IDEMPOTENCY_TTL_HOURS || 24) || 24),
+);
+
+const isDuplicateKeyError = error => Number(error?.code || 0) === 11000;
+
+const nextExpiryDate = () =>
+  new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000);
+
+// Claims the key before the operation runs so concurrent retries cannot both
+// push. Completed keys hand back the stored response for replay.
+const reserveIdempotencyKey = async (sourceUserId, key) => {
+  const filter = {
+    sourceUserId: String(sourceUserId || ''),
+    key: String(key || ''),
+  };
+
+  try {
+    await LedgerIdempotencyKey.create({
+      ...filter,
+      state: 'processing',
+      expiresAt: nextExpiryDate(),
+    });
+    return {reserved: true};
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) {
+      throw error;
+    }
+  }
+
+  const existing = await LedgerIdempotencyKey.findOne(filter).lean();
+  if (!existing) {
+    // Expired between the insert attempt and the lookup; try once more.
+    return reserveIdempotencyKey(sourceUserId, key);
+  }
+  if (existing.state === 'completed') {
+    return {
+      replay: {
+        statusCode: Number(existing.statusCode || 200),
+        responseBody: existing.responseBody || {},
+      },
+    };
+  }
+  return {inProgress: true};
+};
+
+const completeIdempotencyKey = async (sourceUserId, key, statusCode, responseBody) => {
+  try {
+    await LedgerIdempotencyKey.updateOne(
+      {sourceUserId: String(sourceUserId || ''), key: String(key || '')},
+      {
+        $set: {
+          state: 'completed',
+          statusCode: Number(statusCode || 200),
+          responseBody: responseBody || {},
+          expiresAt: nextExpiryDate(),
+        },
+      },
+    );
+  } catch (error) {
+    console.error('[LEDGER_IDEMPOTENCY] Failed to store response:', error.message);
+  }
+};
+
+const releaseIdempotencyKey = async (sourceUserId, key) => {
+  try {
+    await LedgerIdempotencyKey.deleteOne({
+      sourceUserId: String(sourceUserId || ''),
+      key: String(key || ''),
+      state: 'processing',
+    });
+  } catch (error) {
+    console.error('[LEDGER_IDEMPOTENCY] Failed to release key:', error.message);
+  }
+};
+
+module.exports = {
+  IDEMPOTENCY_TTL_HOURS,
+  reserveIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+};
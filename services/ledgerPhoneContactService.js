@@ -0,0 +1,111 @@
+const User = require('../models/User');
+const PhoneLink = require('../models/PhoneLink');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {normalizePhoneForLookup} = require('./canonicalUser');
+const {signParts, verifySignedParts} = require('./signedUrl');
+
+const SHARE_LINK_DEFAULT_DAYS = 30;
+const SHARE_LINK_MAX_DAYS = 90;
+const DAY_SECONDS = 24 * 60 * 60;
+
+const normalizeContactPhone = value => normalizePhoneForLookup(value) || '';
+
+// Current owner of a phone: the active PhoneLink first, then the legacy
+// mobileNormalized field.
+const resolvePhoneOwner = async phoneNormalized => {
+  if (!phoneNormalized) {
+    return null;
+  }
+  const link = await PhoneLink.findOne({phoneNormalized, isCurrent: true}).lean();
+  if (link?.userId) {
+    const owner = await User.findOne({firebaseUid: String(link.userId)}).lean();
+    if (owner) {
+      return owner;
+    }
+  }
+  return User.findOne({mobileNormalized: phoneNormalized}).lean();
+};
+
+// Hands entries recorded against a phone to the account that now owns it.
+// Callers must have proven the phone (SMS-verified token or approved claim).
+// lastOpAt/deliveryStatus are reset so they show up in the new user's
+// pending-sync like freshly pushed entries.
+const attachPhoneContactEntries = async (userId, phoneNormalized) => {
+  const uid = String(userId || '').trim();
+  if (!uid || !phoneNormalized) {
+    return 0;
+  }
+
+  const result = await LedgerTransaction.updateMany(
+    {
+      receiverPhone: phoneNormalized,
+      receiverId: '',
+      sourceUserId: {$ne: uid},
+    },
+    {
+      $set: {
+        receiverId: uid,
+        deliveryStatus: 'accepted',
+        lastOpAt: Date.now(),
+      },
+    },
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log('[LEDGER_PHONE_CONTACT] Attached phone-contact entries', {
+      userId: uid,
+      phoneLastFour: phoneNormalized.slice(-4),
+      count: result.modifiedCount,
+    });
+  }
+  return result.modifiedCount;
+};
+
+// Firebase only sets phone_number on the ID token once the number has been
+// confirmed by SMS code, so it proves ownership where the profile mobile
+// (typed in freely) does not.
+const verifiedPhoneFromToken = decodedToken =>
+  normalizeContactPhone(decodedToken?.phone_number);
+
+// Statement links are opened in a browser by someone without an account, so
+// the owner/phone pair is authenticated by the signature alone.
+const buildStatementShareLink = (ownerId, phoneNormalized, days = SHARE_LINK_DEFAULT_DAYS) => {
+  const ttlDays = Math.min(Math.max(Number(days) || SHARE_LINK_DEFAULT_DAYS, 1), SHARE_LINK_MAX_DAYS);
+  const {expires, signature} = signParts(
+    ['ledger-statement', ownerId, phoneNormalized],
+    ttlDays * DAY_SECONDS,
+  );
+  const query = new URLSearchParams({
+    owner: ownerId,
+    phone: phoneNormalized,
+    expires: String(expires),
+    signature,
+  });
+  return {
+    path: `/api/ledger/shared/statement?${query.toString()}`,
+    expiresAt: expires * 1000,
+  };
+};
+
+const verifyStatementShareLink = ({owner, phone, expires, signature}) =>
+  verifySignedParts(['ledger-statement', String(owner || ''), String(phone || '')], expires, signature);
+
+const loadPhoneContactRows = (ownerId, phoneNormalized) =>
+  LedgerTransaction.find({
+    sourceUserId: ownerId,
+    receiverPhone: phoneNormalized,
+    isDeleted: false,
+  })
+    .select('sourceUserId receiverId originTxnId kind settles entryType amount amountMinor currency note entryTimestamp')
+    .sort({entryTimestamp: 1, createdAt: 1})
+    .lean();
+
+module.exports = {
+  normalizeContactPhone,
+  resolvePhoneOwner,
+  attachPhoneContactEntries,
+  verifiedPhoneFromToken,
+  buildStatementShareLink,
+  verifyStatementShareLink,
+  loadPhoneContactRows,
+};
@@ -0,0 +1,166 @@
+const LedgerRecurringTemplate = require('../models/LedgerRecurringTemplate');
+const {fromMinorUnits} = require('./currency');
+const {syncLedgerOperation} = require('./ledgerService');
+
+const RECURRING_BATCH_SIZE = Math.max(
+  1,
+  Math.min(500, Number(process.env.LEDGER_RECURRING_BATCH_SIZE || 100) || 100),
+);
+// Cap how many missed periods one run back-fills for a single template.
+const RECURRING_MAX_CATCH_UP = 12;
+const RECURRING_LOCK_MINUTES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addMonthsOnAnchorDay = (date, months, anchorDay) => {
+  const next = new Date(date.getTime());
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + months);
+  const daysInMonth = new Date(
+    Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0),
+  ).getUTCDate();
+  next.setUTCDate(Math.min(Math.max(Number(anchorDay || 1), 1), daysInMonth));
+  return next;
+};
+
+const computeNextRecurringRun = (template, fromDate = template.nextRunAt) => {
+  const current = new Date(fromDate);
+  if (template.cadence === 'daily') {
+    return new Date(current.getTime() + DAY_MS);
+  }
+  if (template.cadence === 'weekly') {
+    return new Date(current.getTime() + 7 * DAY_MS);
+  }
+  return addMonthsOnAnchorDay(current, 1, template.anchorDay);
+};
+
+const hasPassedEnd = template =>
+  Boolean(template.endAt) && new Date(template.nextRunAt).getTime() > new Date(template.endAt).getTime();
+
+const buildOccurrencePayload = template => {
+  const runAt = new Date(template.nextRunAt).getTime();
+  return {
+    peerUserId: template.receiverId,
+    op: 'create',
+    originTxnId: `recurring_${String(template._id)}_${runAt}`,
+    amount: fromMinorUnits(template.amountMinor, template.currency),
+    currency: template.currency,
+    entryType: template.entryType,
+    note: template.note,
+    timestamp: runAt,
+    version: 1,
+    idempotencyKey: `recurring:${String(template._id)}:${runAt}`,
+    contactRecordId: template.contactRecordId,
+  };
+};
+
+const claimDueTemplate = async now => {
+  const staleLock = new Date(now.getTime() - RECURRING_LOCK_MINUTES * 60 * 1000);
+  return LedgerRecurringTemplate.findOneAndUpdate(
+    {
+      status: 'active',
+      nextRunAt: {$lte: now},
+      $or: [{processingAt: null}, {processingAt: {$lte: staleLock}}],
+    },
+    {$set: {processingAt: now}},
+    {sort: {nextRunAt: 1}, new: true},
+  );
+};
+
+const materializeTemplate = async (template, now, summary) => {
+  for (let index = 0; index < RECURRING_MAX_CATCH_UP; index += 1) {
+    if (template.status !== 'active' || new Date(template.nextRunAt) > now) {
+      break;
+    }
+    if (hasPassedEnd(template)) {
+      template.status = 'ended';
+      summary.ended += 1;
+      break;
+    }
+
+    if (template.skipNext) {
+      template.skipNext = false;
+      template.nextRunAt = computeNextRecurringRun(template);
+      summary.skipped += 1;
+      continue;
+    }
+
+    const payload = buildOccurrencePayload(template);
+    // The receiver was resolved when the template was created; peerUserId may
+    // be a username that has since changed hands.
+    const result = await syncLedgerOperation(template.ownerId, payload, {receiverUid: template.receiverId});
+    const code = String(result.body?.code || '');
+
+    if (code === 'REQUEST_IN_PROGRESS') {
+      break;
+    }
+
+    // A version conflict means this occurrence was already written by an
+    // earlier run that died before advancing the template.
+    if ((result.statusCode >= 200 && result.statusCode < 300) || code === 'VERSION_CONFLICT') {
+      template.occurrenceCount = Number(template.occurrenceCount || 0) + 1;
+      template.lastOriginTxnId = payload.originTxnId;
+      template.lastRunAt = now;
+      template.lastError = null;
+      template.nextRunAt = computeNextRecurringRun(template);
+      summary.materialized += 1;
+      continue;
+    }
+
+    template.status = 'paused';
+    template.lastError = String(result.body?.message || result.body?.error || 'sync_failed').slice(0, 300);
+    summary.paused += 1;
+    break;
+  }
+
+  if (template.status === 'active' && hasPassedEnd(template)) {
+    template.status = 'ended';
+    summary.ended += 1;
+  }
+  template.processingAt = null;
+  await template.save();
+};
+
+const runDueRecurringEntries = async (options = {}) => {
+  const {
+    batchSize = RECURRING_BATCH_SIZE,
+    reason = 'manual',
+  } = options;
+
+  const now = new Date();
+  const summary = {
+    reason,
+    batchSize,
+    selected: 0,
+    materialized: 0,
+    skipped: 0,
+    ended: 0,
+    paused: 0,
+    errors: 0,
+  };
+
+  for (let index = 0; index < batchSize; index += 1) {
+    const template = await claimDueTemplate(now);
+    if (!template) {
+      break;
+    }
+    summary.selected += 1;
+
+    try {
+      await materializeTemplate(template, now, summary);
+    } catch (error) {
+      summary.errors += 1;
+      console.error('[LEDGER_RECURRING] Failed to materialize template:', {
+        templateId: String(template._id),
+        message: error?.message || String(error),
+      });
+    }
+  }
+
+  console.log('[LEDGER_RECURRING] Completed recurring run', summary);
+  return summary;
+};
+
+module.exports = {
+  computeNextRecurringRun,
+  runDueRecurringEntries,
+};
@@ -0,0 +1,192 @@
+const User = require('../models/User');
+const LedgerReminder = require('../models/LedgerReminder');
+const {
+  normalizeCurrencyCode,
+  resolveUserLocale,
+  fromMinorUnits,
+  formatMoney,
+} = require('./currency');
+const {
+  computeLedgerBalances,
+  createLedgerEventId,
+  sendLedgerPush,
+  serializeBalance,
+} = require('./ledgerService');
+const {isBlockedBy} = require('./blockMuteService');
+
+const REMINDER_BATCH_SIZE = Math.max(
+  1,
+  Math.min(500, Number(process.env.LEDGER_REMINDER_BATCH_SIZE || 100) || 100),
+);
+const REMINDER_LOCK_MINUTES = 10;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// The first of anchorAt, anchorAt + 1 week, ... that is later than now.
+const computeNextWeeklyRun = (anchorAt, now = new Date()) => {
+  const anchor = new Date(anchorAt).getTime();
+  const weeks = Math.max(0, Math.floor((now.getTime() - anchor) / WEEK_MS) + 1);
+  return new Date(anchor + weeks * WEEK_MS);
+};
+
+// Positive result means the debtor still owes the owner in that currency.
+const getOutstandingForReminder = async reminder => {
+  const balances = await computeLedgerBalances(reminder.ownerId, reminder.debtorId);
+  const balance = balances.get(String(reminder.debtorId));
+  if (!balance) {
+    return null;
+  }
+
+  const {byCurrency} = serializeBalance(balance);
+  const currency = normalizeCurrencyCode(reminder.currency);
+  const totals = currency
+    ? byCurrency.find(item => item.currency === currency)
+    : byCurrency.length === 1
+    ? byCurrency[0]
+    : null;
+
+  return totals
+    ? {currency: totals.currency, outstandingMinor: totals.netBalanceMinor}
+    : null;
+};
+
+const claimDueReminder = async now => {
+  const staleLock = new Date(now.getTime() - REMINDER_LOCK_MINUTES * 60 * 1000);
+  return LedgerReminder.findOneAndUpdate(
+    {
+      status: {$in: ['scheduled', 'snoozed']},
+      nextRunAt: {$lte: now},
+      $or: [{processingAt: null}, {processingAt: {$lte: staleLock}}],
+    },
+    {$set: {processingAt: now}},
+    {sort: {nextRunAt: 1}, new: true},
+  );
+};
+
+const dispatchReminder = async (reminder, now) => {
+  const outstanding = await getOutstandingForReminder(reminder);
+  if (!outstanding || outstanding.outstandingMinor <= 0) {
+    reminder.status = 'completed';
+    reminder.processingAt = null;
+    await reminder.save();
+    return 'settled';
+  }
+
+  const amountMinor =
+    Number(reminder.amountMinor || 0) > 0 ? Number(reminder.amountMinor) : outstanding.outstandingMinor;
+  const [owner, debtor, blocked] = await Promise.all([
+    User.findOne({firebaseUid: reminder.ownerId}).select('displayName username').lean(),
+    User.findOne({firebaseUid: reminder.debtorId})
+      .select('firebaseUid fcmToken appInstallState country')
+      .lean(),
+    isBlockedBy(reminder.debtorId, reminder.ownerId),
+  ]);
+
+  const ownerName = String(owner?.displayName || owner?.username || 'Contact');
+  const amountLabel = formatMoney(amountMinor, outstanding.currency, resolveUserLocale(debtor));
+  const noteText = String(reminder.note || '').trim();
+
+  // A debtor who blocked the owner gets no reminders; the schedule carries on
+  // so reminders resume if the block is lifted.
+  let push = {sent: false, error: blocked ? 'Blocked by debtor' : 'Debtor unavailable'};
+  if (debtor && !blocked && String(debtor.appInstallState || 'installed') !== 'uninstalled') {
+    push = await sendLedgerPush(
+      debtor,
+      {
+        type: 'ledger_reminder',
+        reminderId: String(reminder._id),
+        ownerId: String(reminder.ownerId),
+        ownerName,
+        amount: String(fromMinorUnits(amountMinor, outstanding.currency)),
+        amountMinor: String(amountMinor),
+        outstandingMinor: String(outstanding.outstandingMinor),
+        currency: outstanding.currency,
+        note: noteText,
+        timestamp: String(now.getTime()),
+        eventId: createLedgerEventId({
+          prefix: 'ledger_reminder',
+          originTxnId: String(reminder._id),
+          sourceUserId: reminder.ownerId,
+          targetUserId: reminder.debtorId,
+        }),
+      },
+      {
+        title: ownerName,
+        body: noteText
+          ? `${ownerName} reminded you about ${amountLabel} - ${noteText}`
+          : `${ownerName} reminded you about ${amountLabel}`,
+      },
+    );
+  }
+
+  reminder.dispatches.push({
+    sentAt: now,
+    amountMinor,
+    currency: outstanding.currency,
+    delivered: push.sent,
+    error: push.sent ? null : String(push.error || '').slice(0, 300),
+  });
+  reminder.sentCount = Number(reminder.sentCount || 0) + 1;
+  reminder.lastSentAt = now;
+  reminder.processingAt = null;
+  if (reminder.recurrence === 'weekly') {
+    reminder.status = 'scheduled';
+    // Reminders created before anchorAt existed fall back to their last run.
+    reminder.nextRunAt = computeNextWeeklyRun(reminder.anchorAt || reminder.nextRunAt, now);
+  } else {
+    reminder.status = 'completed';
+  }
+  await reminder.save();
+
+  if (blocked) {
+    return 'blocked';
+  }
+  return push.sent ? 'sent' : 'failed';
+};
+
+const runDueLedgerReminders = async (options = {}) => {
+  const {
+    batchSize = REMINDER_BATCH_SIZE,
+    reason = 'manual',
+  } = options;
+
+  const now = new Date();
+  const summary = {
+    reason,
+    batchSize,
+    selected: 0,
+    sent: 0,
+    failed: 0,
+    blocked: 0,
+    settled: 0,
+    errors: 0,
+  };
+
+  for (let index = 0; index < batchSize; index += 1) {
+    const reminder = await claimDueReminder(now);
+    if (!reminder) {
+      break;
+    }
+    summary.selected += 1;
+
+    try {
+      const outcome = await dispatchReminder(reminder, now);
+      summary[outcome] += 1;
+    } catch (error) {
+      summary.errors += 1;
+      console.error('[LEDGER_REMINDER] Failed to dispatch reminder:', {
+        reminderId: String(reminder._id),
+        message: error?.message || String(error),
+      });
+      // Leave the lock to expire so the next run retries it.
+    }
+  }
+
+  console.log('[LEDGER_REMINDER] Completed reminder run', summary);
+  return summary;
+};
+
+module.exports = {
+  computeNextWeeklyRun,
+  getOutstandingForReminder,
+  runDueLedgerReminders,
+};
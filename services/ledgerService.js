@@ -0,0 +1,827 @@
+const admin = require('../config/firebase');
+const User = require('../models/User');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {
+  isInvalidFcmTokenError,
+  markUserAsUninstalled,
+} = require('./fcmTokenState');
+const {
+  DEFAULT_CURRENCY,
+  normalizeCurrencyCode,
+  resolveUserCurrency,
+  resolveUserLocale,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+} = require('./currency');
+const {
+  reserveIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+} = require('./ledgerIdempotency');
+const {normalizeContactPhone, resolvePhoneOwner} = require('./ledgerPhoneContactService');
+const {isUserConnected, publishWithAck} = require('./realtimeHub');
+const {isBlockedBy} = require('./blockMuteService');
+
+const normalizeOp = (value) => {
+  return value === 'delete' || value === 'update' ? value : 'create';
+};
+
+const normalizeEntryType = (value) => {
+  return value === 'get' ? 'get' : 'paid';
+};
+
+const normalizeAmount = (value) => {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return 0;
+  return Math.abs(parsed);
+};
+
+const normalizeEditHistoryJson = (value) => {
+  const rawList = Array.isArray(value)
+    ? value
+    : typeof value === 'string' && value.trim()
+    ? (() => {
+        try {
+          const parsed = JSON.parse(value);
+          return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+          return [];
+        }
+      })()
+    : [];
+
+  const cleaned = rawList
+    .map(item => Number(item))
+    .filter(item => Number.isFinite(item) && item >= 0)
+    .slice(-10);
+
+  return cleaned.length > 0 ? JSON.stringify(cleaned) : '';
+};
+
+// Rows stored before currencies were tracked only carry a major-unit amount in
+// the default currency.
+const rowCurrency = row => normalizeCurrencyCode(row?.currency) || DEFAULT_CURRENCY;
+
+const rowAmountMinor = row =>
+  row?.currency && Number.isInteger(row?.amountMinor)
+    ? Math.abs(row.amountMinor)
+    : toMinorUnits(normalizeAmount(row?.amount), rowCurrency(row));
+
+const formatLedgerAmount = (row, viewer) =>
+  formatMoney(rowAmountMinor(row), rowCurrency(row), resolveUserLocale(viewer));
+
+const createLedgerEventId = ({
+  prefix = 'ledger',
+  originTxnId = '',
+  sourceUserId = '',
+  targetUserId = '',
+}) => {
+  const tid = String(originTxnId || '').trim() || 'na';
+  const sid = String(sourceUserId || '').trim() || 'na';
+  const rid = String(targetUserId || '').trim() || 'na';
+  return `${prefix}_${tid}_${sid}_${rid}_${Date.now()}`;
+};
+
+// Newest ops kept per entry for the audit trail; older ones are dropped.
+const LEDGER_OPERATION_LOG_MAX = Math.max(
+  10,
+  Math.min(1000, Number(process.env.LEDGER_OPERATION_LOG_MAX || 200) || 200),
+);
+
+const isMongoObjectId = value => /^[a-f\\d]{24}$/i.test(String(value || ''));
+
+const resolveLedgerPeer = async peerUserId => {
+  const target = String(peerUserId || '').trim();
+  if (!target) {
+    return null;
+  }
+
+  // Step 1: Try username lookup first (new approach)
+  let peer = await User.findOne({ username: target.toLowerCase() }).lean();
+
+  // Step 2: Fallback to firebaseUid (for legacy queued events)
+  if (!peer) {
+    console.log('🔍 [LEDGER] Username lookup failed, trying firebaseUid:', target);
+    peer = await User.findOne({ firebaseUid: target }).lean();
+  }
+
+  // Step 3: Fallback to MongoDB _id (if valid ObjectID)
+  if (!peer && isMongoObjectId(target)) {
+    console.log('🔍 [LEDGER] FirebaseUid lookup failed, trying MongoDB ID:', target);
+    try {
+      peer = await User.findOne({ _id: target }).lean();
+    } catch (e) {
+      console.log('🔍 [LEDGER] MongoDB ID lookup also failed');
+    }
+  }
+
+  return peer;
+};
+
+const createEmptyTotals = currency => ({
+  currency,
+  totalGetMinor: 0,
+  totalPaidMinor: 0,
+  settledMinor: 0,
+  netBalanceMinor: 0,
+  entryCount: 0,
+});
+
+const createEmptyBalance = (peerUserId, peerPhone = '') => ({
+  peerUserId,
+  peerPhone,
+  byCurrency: new Map(),
+  entryCount: 0,
+  lastEntryAt: 0,
+});
+
+const withMajorUnits = totals => ({
+  ...totals,
+  totalGet: fromMinorUnits(totals.totalGetMinor, totals.currency),
+  totalPaid: fromMinorUnits(totals.totalPaidMinor, totals.currency),
+  settled: fromMinorUnits(totals.settledMinor, totals.currency),
+  netBalance: fromMinorUnits(totals.netBalanceMinor, totals.currency),
+  openBalanceMinor: totals.netBalanceMinor,
+  openBalance: fromMinorUnits(totals.netBalanceMinor, totals.currency),
+});
+
+// Amounts in different currencies are never summed together: a peer with
+// entries in more than one currency is flagged and only gets per-currency
+// totals.
+const serializeBalance = balance => {
+  const currencies = Array.from(balance.byCurrency.values()).map(withMajorUnits);
+  const base = {
+    peerUserId: balance.peerUserId,
+    peerPhone: balance.peerPhone || null,
+    entryCount: balance.entryCount,
+    lastEntryAt: balance.lastEntryAt,
+    mixedCurrency: currencies.length > 1,
+    byCurrency: currencies,
+  };
+
+  if (currencies.length > 1) {
+    return {
+      ...base,
+      currency: null,
+      totalGet: null,
+      totalPaid: null,
+      settled: null,
+      netBalance: null,
+      openBalance: null,
+      totalGetMinor: null,
+      totalPaidMinor: null,
+      settledMinor: null,
+      netBalanceMinor: null,
+      openBalanceMinor: null,
+    };
+  }
+
+  const totals = currencies[0] || withMajorUnits(createEmptyTotals(DEFAULT_CURRENCY));
+  return {
+    ...base,
+    ...totals,
+    entryCount: balance.entryCount,
+  };
+};
+
+// Balances are always expressed from the caller's side: an entry recorded by
+// the peer is mirrored, so the peer's "get" is the caller's "paid".
+// netBalance > 0 means the peer owes the caller. Settlements are kept out of
+// totalGet/totalPaid and only move netBalance, which is the still-open amount.
+const toCallerEntryType = (row, uid) => {
+  const recordedType = normalizeEntryType(row.entryType);
+  if (String(row.sourceUserId) === uid) {
+    return recordedType;
+  }
+  return recordedType === 'get' ? 'paid' : 'get';
+};
+
+const toCallerNetMinor = (row, uid) => {
+  const amountMinor = rowAmountMinor(row);
+  return toCallerEntryType(row, uid) === 'paid' ? amountMinor : -amountMinor;
+};
+
+const computeLedgerBalances = async (uid, peerUid = '') => {
+  const rows = await LedgerTransaction.find({
+    isDeleted: false,
+    $or: peerUid
+      ? [
+          {sourceUserId: uid, receiverId: peerUid},
+          {sourceUserId: peerUid, receiverId: uid},
+        ]
+      : [{sourceUserId: uid}, {receiverId: uid}],
+  })
+    .select('sourceUserId receiverId receiverPhone kind entryType amount amountMinor currency entryTimestamp')
+    .lean();
+
+  // Entries for contacts without an account are keyed by phone until the
+  // number is claimed and the rows get a receiverId.
+  const balances = new Map();
+  rows.forEach(row => {
+    const isSource = String(row.sourceUserId) === uid;
+    const peerUserId = String(isSource ? row.receiverId : row.sourceUserId);
+    const peerPhone = isSource && !peerUserId ? String(row.receiverPhone || '') : '';
+    const balanceKey = peerUserId || (peerPhone ? `phone:${peerPhone}` : '');
+    if (!balanceKey || peerUserId === uid) {
+      return;
+    }
+
+    const callerType = toCallerEntryType(row, uid);
+    const amountMinor = rowAmountMinor(row);
+    const currency = rowCurrency(row);
+
+    const balance = balances.get(balanceKey) || createEmptyBalance(peerUserId, peerPhone);
+    const totals = balance.byCurrency.get(currency) || createEmptyTotals(currency);
+    if (row.kind === 'settlement') {
+      totals.settledMinor += amountMinor;
+    } else if (callerType === 'get') {
+      totals.totalGetMinor += amountMinor;
+    } else {
+      totals.totalPaidMinor += amountMinor;
+    }
+    totals.netBalanceMinor += callerType === 'paid' ? amountMinor : -amountMinor;
+    totals.entryCount += 1;
+    balance.byCurrency.set(currency, totals);
+    balance.entryCount += 1;
+    balance.lastEntryAt = Math.max(balance.lastEntryAt, Number(row.entryTimestamp || 0));
+    balances.set(balanceKey, balance);
+  });
+
+  return balances;
+};
+
+const toPeerSummary = user =>
+  user
+    ? {
+        firebaseUid: user.firebaseUid || null,
+        username: user.username || '',
+        displayName: user.displayName || '',
+        photoURL: user.photoURL || null,
+      }
+    : null;
+
+const sendLedgerFcm = async (targetUser, data, notification) => {
+  const fcmToken = String(targetUser?.fcmToken || '').trim();
+  if (!fcmToken) {
+    return {sent: false, error: 'Receiver has no FCM token'};
+  }
+
+  const message = {
+    token: fcmToken,
+    data,
+    android: {
+      priority: 'high',
+    },
+  };
+  if (notification) {
+    message.notification = notification;
+  }
+
+  try {
+    await admin.messaging().send(message);
+    return {sent: true, error: null, channel: 'fcm'};
+  } catch (pushError) {
+    if (isInvalidFcmTokenError(pushError)) {
+      await markUserAsUninstalled(targetUser.firebaseUid, pushError);
+    }
+    return {sent: false, error: pushError?.message || 'FCM send failed'};
+  }
+};
+
+// Connected devices get the event over the realtime channel; FCM is the
+// fallback, sent in the background when no device acks it, and its result
+// goes to onFallback. The notification is dropped from the realtime copy
+// since the app is in use.
+const sendLedgerPush = async (targetUser, data, notification = null, onFallback = null) => {
+  const ackId = publishWithAck(targetUser?.firebaseUid, data.type, data, {
+    onMissed: async payload => {
+      const fallback = await sendLedgerFcm(targetUser, payload, notification);
+      if (!fallback.sent) {
+        console.error('[LEDGER] Fallback push failed:', fallback.error);
+      }
+      if (onFallback) {
+        await onFallback(fallback);
+      }
+    },
+  });
+  if (ackId) {
+    return {sent: true, error: null, channel: 'realtime'};
+  }
+  return sendLedgerFcm(targetUser, data, notification);
+};
+
+const persistLedgerOperation = async params => {
+  const {
+    sourceUserId,
+    originTxnId,
+    receiverId,
+    receiverPhone,
+    peerUserId,
+    contactRecordId,
+    op,
+    entryType,
+    amount,
+    amountMinor,
+    currency,
+    note,
+    editHistoryJson,
+    entryTimestamp,
+    version,
+    idempotencyKey,
+    kind,
+    settles,
+    actorId,
+  } = params;
+
+  const now = new Date();
+  const update = {
+    peerUserId: String(peerUserId || ''),
+    version: Number(version || 1),
+    lastOp: op,
+    lastOpAt: now.getTime(),
+    deliveryStatus: 'accepted',
+    lastError: null,
+  };
+
+  // A phone-only op must not detach an entry already attached to an account.
+  if (receiverId) {
+    update.receiverId = String(receiverId);
+  }
+  if (receiverPhone) {
+    update.receiverPhone = String(receiverPhone);
+  }
+
+  if (contactRecordId) {
+    update.contactRecordId = String(contactRecordId);
+  }
+
+  if (op === 'delete') {
+    update.isDeleted = true;
+  } else {
+    // A changed entry has to be confirmed again by the peer.
+    update.isDeleted = false;
+    update.confirmationStatus = 'pending';
+    update.disputeReason = '';
+    update.entryType = entryType;
+    update.amount = Number(amount || 0);
+    update.amountMinor = Number(amountMinor || 0);
+    update.currency = String(currency || '');
+    update.note = String(note || '');
+    update.editHistoryJson = String(editHistoryJson || '');
+    update.entryTimestamp = Number(entryTimestamp || 0);
+    if (kind) {
+      update.kind = kind;
+    }
+    if (Array.isArray(settles)) {
+      update.settles = settles;
+    }
+  }
+
+  // The version guard makes a concurrent stale write collide with the unique
+  // index instead of overwriting a newer op.
+  return LedgerTransaction.findOneAndUpdate(
+    {
+      sourceUserId: String(sourceUserId),
+      originTxnId: String(originTxnId),
+      version: {$lt: Number(version || 1)},
+    },
+    {
+      $set: update,
+      $push: {
+        operations: {
+          $each: [
+            {
+              op,
+              version: Number(version || 1),
+              entryType,
+              amount: Number(amount || 0),
+              amountMinor: Number(amountMinor || 0),
+              currency: String(currency || ''),
+              note: String(note || ''),
+              editHistoryJson: String(editHistoryJson || ''),
+              entryTimestamp: Number(entryTimestamp || 0),
+              idempotencyKey: String(idempotencyKey || ''),
+              actorId: String(actorId || sourceUserId),
+              recordedAt: now,
+            },
+          ],
+          $slice: -LEDGER_OPERATION_LOG_MAX,
+        },
+      },
+      $setOnInsert: {
+        sourceUserId: String(sourceUserId),
+        originTxnId: String(originTxnId),
+      },
+    },
+    {
+      upsert: true,
+      new: true,
+      runValidators: true,
+    }
+  );
+};
+
+const REVISION_FIELDS = ['entryType', 'amountMinor', 'currency', 'note', 'entryTimestamp'];
+
+const toRevisionState = operation => ({
+  entryType: operation.entryType,
+  amount: fromMinorUnits(rowAmountMinor(operation), rowCurrency(operation)),
+  amountMinor: rowAmountMinor(operation),
+  currency: rowCurrency(operation),
+  note: String(operation.note || ''),
+  entryTimestamp: Number(operation.entryTimestamp || 0),
+});
+
+// Every op stores the full resulting state, so the previous state of a
+// revision is the state left by the op before it. An update with nothing
+// before it predates op tracking, or had its predecessors trimmed from the
+// log, and has previous: null.
+const buildEntryRevisions = (operations = []) => {
+  let current = null;
+  return operations.map(operation => {
+    const previous = current;
+    const next = operation.op === 'delete' ? null : toRevisionState(operation);
+    current = next;
+    return {
+      op: operation.op,
+      version: Number(operation.version || 1),
+      editorId: String(operation.actorId || '') || null,
+      editedAt: operation.recordedAt || null,
+      previous,
+      next,
+      changedFields: previous && next
+        ? REVISION_FIELDS.filter(field => previous[field] !== next[field])
+        : [],
+    };
+  });
+};
+
+const buildLedgerEventData = (transaction, sender, extra = {}) => {
+  const senderTitle = String(sender?.displayName || sender?.username || 'Contact');
+  const sourceUserPhone = String(
+    sender?.mobileNormalized || sender?.mobile || ''
+  ).trim();
+  const editHistoryJson = String(transaction.editHistoryJson || '');
+
+  return {
+    type: 'ledger_event',
+    op: String(transaction.lastOp || 'create'),
+    originTxnId: String(transaction.originTxnId || ''),
+    sourceUserId: String(transaction.sourceUserId || ''),
+    sourceUserName: senderTitle,
+    sourceUserPhone,
+    peerUserId: String(transaction.peerUserId || transaction.receiverId || ''),
+    entryType: String(transaction.entryType || 'paid'),
+    amount: String(fromMinorUnits(rowAmountMinor(transaction), rowCurrency(transaction))),
+    amountMinor: String(rowAmountMinor(transaction)),
+    currency: rowCurrency(transaction),
+    note: String(transaction.note || ''),
+    editHistory: editHistoryJson,
+    editHistoryJson,
+    timestamp: String(Number(transaction.entryTimestamp || 0)),
+    version: String(Number(transaction.version || 1)),
+    contactRecordId: String(transaction.contactRecordId || ''),
+    kind: String(transaction.kind || 'entry'),
+    settlesJson: transaction.kind === 'settlement'
+      ? JSON.stringify(
+          (transaction.settles || []).map(link => ({
+            sourceUserId: link.sourceUserId,
+            originTxnId: link.originTxnId,
+            amountMinor: link.amountMinor,
+          })),
+        )
+      : '',
+    ...extra,
+  };
+};
+
+const saveLedgerDeliveryState = async (transactionId, status, lastError = null) => {
+  try {
+    await LedgerTransaction.updateOne(
+      {_id: transactionId},
+      {
+        $set: {
+          deliveryStatus: status,
+          lastError: lastError === null ? null : String(lastError || '').slice(0, 300),
+        },
+      }
+    );
+  } catch (updateError) {
+    console.error('[LEDGER] Failed to persist delivery state:', updateError.message);
+  }
+};
+
+// Runs one create/update/delete op end to end: idempotency, version guard,
+// persistence and the peer push. Shared by POST /api/ledger/sync, settlements
+// and the recurring-entry cron so all produce identical ledger events.
+// `options.kind`/`options.settles` are server-set and never read from payload.
+// `options.receiverUid` pins the receiver to a stored firebase uid, skipping
+// the username lookup that peerUserId goes through.
+const syncLedgerOperation = async (sourceUserId, payload, options = {}) => {
+  const reply = (statusCode, body) => ({statusCode, body});
+  let reservedKey = '';
+  try {
+    const {
+      peerUserId,
+      peerPhone,
+      op,
+      originTxnId,
+      amount,
+      currency,
+      note,
+      timestamp,
+      idempotencyKey,
+      version,
+      type,
+      entryType,
+      contactRecordId,
+      editHistory,
+      editHistoryJson,
+    } = payload || {};
+
+    if (!sourceUserId) {
+      return reply(401, {
+        success: false,
+        message: 'Unauthorized user',
+      });
+    }
+
+    const receiverPhone = normalizeContactPhone(peerPhone);
+    if ((!peerUserId && !receiverPhone) || !originTxnId) {
+      return reply(400, {
+        success: false,
+        message: 'originTxnId and either peerUserId or a valid peerPhone are required',
+      });
+    }
+
+    const opValue = normalizeOp(op);
+    const entryTypeValue = normalizeEntryType(entryType || type);
+    const amountValue = normalizeAmount(amount);
+    const normalizedEditHistoryJson = normalizeEditHistoryJson(
+      editHistoryJson || editHistory
+    );
+
+    if (opValue !== 'delete' && amountValue <= 0) {
+      return reply(400, {
+        success: false,
+        message: `amount must be greater than 0 for ${opValue} operation`,
+      });
+    }
+
+    if (currency && !normalizeCurrencyCode(currency)) {
+      return reply(400, {
+        success: false,
+        message: 'currency must be an ISO 4217 code',
+      });
+    }
+
+    const entryTimestamp = Number(timestamp || Date.now());
+    const versionValue = Number(version || 1);
+    const resolvedIdempotencyKey = String(
+      idempotencyKey ||
+        `ledger:${String(sourceUserId)}:${String(originTxnId)}:${String(opValue)}:${versionValue}`
+    );
+
+    const reservation = await reserveIdempotencyKey(sourceUserId, resolvedIdempotencyKey);
+    if (reservation.replay) {
+      return reply(reservation.replay.statusCode, {
+        ...reservation.replay.responseBody,
+        replayed: true,
+      });
+    }
+    if (reservation.inProgress) {
+      return reply(409, {
+        success: false,
+        code: 'REQUEST_IN_PROGRESS',
+        message: 'A request with this idempotencyKey is still being processed',
+      });
+    }
+    reservedKey = resolvedIdempotencyKey;
+
+    // Only successful outcomes are replayed; failures free the key for a retry.
+    const respond = async (statusCode, body) => {
+      if (statusCode >= 200 && statusCode < 300) {
+        await completeIdempotencyKey(sourceUserId, reservedKey, statusCode, body);
+      } else {
+        await releaseIdempotencyKey(sourceUserId, reservedKey);
+      }
+      reservedKey = '';
+      return reply(statusCode, body);
+    };
+
+    // Peers without an account are addressed by phone; the entry is kept
+    // server-side until that phone registers.
+    const receiver = options.receiverUid
+      ? await User.findOne({firebaseUid: String(options.receiverUid)}).lean()
+      : (peerUserId ? await resolveLedgerPeer(peerUserId) : null) ||
+        (receiverPhone ? await resolvePhoneOwner(receiverPhone) : null);
+
+    if (!receiver && !receiverPhone) {
+      console.error('❌ [LEDGER] Receiver not found:', peerUserId);
+      return respond(404, {
+        success: false,
+        message: 'Receiver not found',
+      });
+    }
+    if (receiver && String(receiver.firebaseUid) === String(sourceUserId)) {
+      return respond(400, {
+        success: false,
+        message: 'Cannot record a ledger entry with yourself',
+      });
+    }
+    if (receiver && await isBlockedBy(receiver.firebaseUid, sourceUserId)) {
+      return respond(403, {
+        success: false,
+        code: 'BLOCKED_BY_RECEIVER',
+        message: 'This user is not accepting ledger entries from you',
+      });
+    }
+
+    const [sender, existing] = await Promise.all([
+      User.findOne({ firebaseUid: String(sourceUserId) })
+        .select('displayName username mobile mobileNormalized currencySymbol country')
+        .lean(),
+      LedgerTransaction.findOne({
+        sourceUserId: String(sourceUserId),
+        originTxnId: String(originTxnId),
+      })
+        .select('currency kind')
+        .lean(),
+    ]);
+
+    const currencyValue =
+      normalizeCurrencyCode(currency) ||
+      normalizeCurrencyCode(existing?.currency) ||
+      resolveUserCurrency(sender);
+    const amountMinor = toMinorUnits(amountValue, currencyValue);
+
+    if (opValue !== 'delete' && amountMinor <= 0) {
+      return respond(400, {
+        success: false,
+        message: `amount is below the smallest ${currencyValue} unit`,
+      });
+    }
+
+    if (existing?.currency && existing.currency !== currencyValue && opValue !== 'delete') {
+      return respond(409, {
+        success: false,
+        code: 'CURRENCY_MISMATCH',
+        message: 'An entry cannot change currency once recorded',
+        currentCurrency: existing.currency,
+      });
+    }
+
+    // Settlement links are computed against the balance at settle time, so
+    // their amount cannot be edited afterwards; delete and settle again.
+    if (existing?.kind === 'settlement' && opValue !== 'delete' && options.kind !== 'settlement') {
+      return respond(409, {
+        success: false,
+        code: 'SETTLEMENT_IMMUTABLE',
+        message: 'Settlements cannot be edited; delete it and record a new one',
+      });
+    }
+
+    // Persist before push so the server stays the source of truth even when
+    // the receiver cannot be reached right now.
+    let transaction;
+    try {
+      transaction = await persistLedgerOperation({
+        sourceUserId,
+        originTxnId,
+        receiverId: receiver?.firebaseUid || '',
+        receiverPhone,
+        peerUserId: peerUserId || receiverPhone,
+        contactRecordId,
+        op: opValue,
+        entryType: entryTypeValue,
+        amount: fromMinorUnits(amountMinor, currencyValue),
+        amountMinor,
+        currency: currencyValue,
+        note,
+        editHistoryJson: normalizedEditHistoryJson,
+        entryTimestamp,
+        version: versionValue,
+        idempotencyKey: resolvedIdempotencyKey,
+        kind: options.kind,
+        settles: options.settles,
+        actorId: sourceUserId,
+      });
+    } catch (persistError) {
+      if (persistError?.name === 'ValidationError') {
+        return respond(400, {
+          success: false,
+          message: Object.values(persistError.errors || {})[0]?.message || persistError.message,
+        });
+      }
+      if (Number(persistError?.code || 0) !== 11000) {
+        throw persistError;
+      }
+      const current = await LedgerTransaction.findOne({
+        sourceUserId: String(sourceUserId),
+        originTxnId: String(originTxnId),
+      })
+        .select('version')
+        .lean();
+      return respond(409, {
+        success: false,
+        code: 'VERSION_CONFLICT',
+        message: 'version must be greater than the current server version',
+        currentVersion: Number(current?.version || 0),
+      });
+    }
+
+    if (!receiver) {
+      return respond(200, {
+        success: true,
+        queued: true,
+        stored: true,
+        phoneContact: true,
+        version: transaction.version,
+        message: 'Peer has no account yet; entry stored for their phone number',
+      });
+    }
+
+    if (!receiver.fcmToken && !isUserConnected(receiver.firebaseUid)) {
+      return respond(200, {
+        success: true,
+        queued: true,
+        stored: true,
+        version: transaction.version,
+        message: 'Receiver has no FCM token',
+      });
+    }
+
+    const senderTitle = String(sender?.displayName || sender?.username || 'Contact');
+    const eventData = buildLedgerEventData(transaction, sender, {
+      idempotencyKey: resolvedIdempotencyKey,
+    });
+
+    const amountLabel = formatLedgerAmount(transaction, receiver);
+    const noteText = String(note || '').trim();
+    const actionText = transaction.kind === 'settlement'
+      ? `settled ${amountLabel}`
+      : `recorded ${amountLabel} (${entryTypeValue})`;
+    const bodyText = noteText
+      ? `${senderTitle} ${actionText} - ${noteText}`
+      : `${senderTitle} ${actionText}`;
+
+    const push = await sendLedgerPush(
+      receiver,
+      eventData,
+      {
+        title: senderTitle,
+        body: bodyText,
+      },
+      fallback =>
+        fallback.sent ? null : saveLedgerDeliveryState(transaction._id, 'failed', fallback.error),
+    );
+    if (!push.sent) {
+      await saveLedgerDeliveryState(transaction._id, 'failed', push.error);
+      return respond(200, {
+        success: true,
+        queued: true,
+        stored: true,
+        version: transaction.version,
+        message: 'FCM delivery failed, entry stored on server',
+      });
+    }
+
+    await saveLedgerDeliveryState(transaction._id, 'pushed');
+
+    return respond(200, {
+      success: true,
+      delivered: true,
+      channel: push.channel,
+      stored: true,
+      version: transaction.version,
+    });
+  } catch (error) {
+    if (reservedKey) {
+      await releaseIdempotencyKey(sourceUserId, reservedKey);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  normalizeOp,
+  normalizeEntryType,
+  normalizeAmount,
+  normalizeEditHistoryJson,
+  rowCurrency,
+  rowAmountMinor,
+  formatLedgerAmount,
+  createLedgerEventId,
+  resolveLedgerPeer,
+  createEmptyBalance,
+  serializeBalance,
+  toCallerEntryType,
+  toCallerNetMinor,
+  computeLedgerBalances,
+  toPeerSummary,
+  sendLedgerPush,
+  buildEntryRevisions,
+  buildLedgerEventData,
+  syncLedgerOperation,
+};
@@ -0,0 +1,249 @@
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {
+  normalizeCurrencyCode,
+  toMinorUnits,
+  fromMinorUnits,
+} = require('./currency');
+const {
+  normalizeAmount,
+  rowCurrency,
+  rowAmountMinor,
+  resolveLedgerPeer,
+  toCallerEntryType,
+  computeLedgerBalances,
+  serializeBalance,
+  syncLedgerOperation,
+} = require('./ledgerService');
+
+const settlementEntryKey = (sourceUserId, originTxnId) => `${sourceUserId}|${originTxnId}`;
+
+// How much of each entry live settlements have already cleared, keyed by
+// sourceUserId|originTxnId. Capped at the entry amount in case it was edited
+// down after being settled.
+const computeSettledByEntry = rows => {
+  const allocated = new Map();
+  rows
+    .filter(row => row.kind === 'settlement' && !row.isDeleted)
+    .forEach(row => {
+      (row.settles || []).forEach(link => {
+        const key = settlementEntryKey(link.sourceUserId, link.originTxnId);
+        allocated.set(key, (allocated.get(key) || 0) + Number(link.amountMinor || 0));
+      });
+    });
+
+  const settled = new Map();
+  rows
+    .filter(row => row.kind !== 'settlement')
+    .forEach(row => {
+      const key = settlementEntryKey(row.sourceUserId, row.originTxnId);
+      settled.set(key, Math.min(allocated.get(key) || 0, rowAmountMinor(row)));
+    });
+  return settled;
+};
+
+// Clears the oldest open entries that built up the debt first. debtType is
+// the caller-side entry type that created it: 'paid' when the peer owes the
+// caller, 'get' when the caller owes the peer.
+const allocateSettlement = ({rows, uid, currency, debtType, amountMinor}) => {
+  const settledByEntry = computeSettledByEntry(rows);
+  const links = [];
+  let remaining = amountMinor;
+
+  rows
+    .filter(
+      row =>
+        row.kind !== 'settlement' &&
+        rowCurrency(row) === currency &&
+        toCallerEntryType(row, uid) === debtType,
+    )
+    .sort((a, b) => Number(a.entryTimestamp || 0) - Number(b.entryTimestamp || 0))
+    .forEach(row => {
+      if (remaining <= 0) return;
+      const key = settlementEntryKey(row.sourceUserId, row.originTxnId);
+      const open = rowAmountMinor(row) - (settledByEntry.get(key) || 0);
+      if (open <= 0) return;
+      const share = Math.min(open, remaining);
+      links.push({
+        sourceUserId: String(row.sourceUserId),
+        originTxnId: String(row.originTxnId),
+        amountMinor: share,
+      });
+      remaining -= share;
+    });
+
+  return links;
+};
+
+const loadPairRows = (uid, peerUid) =>
+  LedgerTransaction.find({
+    isDeleted: false,
+    $or: [
+      {sourceUserId: uid, receiverId: peerUid},
+      {sourceUserId: peerUid, receiverId: uid},
+    ],
+  })
+    .select('sourceUserId receiverId originTxnId kind settles entryType amount amountMinor currency entryTimestamp isDeleted')
+    .lean();
+
+const toSettlementPayload = (transaction, openBalanceMinor) => ({
+  settlementId: String(transaction.originTxnId),
+  receiverId: transaction.receiverId,
+  entryType: transaction.entryType,
+  amountMinor: rowAmountMinor(transaction),
+  amount: fromMinorUnits(rowAmountMinor(transaction), rowCurrency(transaction)),
+  currency: rowCurrency(transaction),
+  note: transaction.note || '',
+  timestamp: Number(transaction.entryTimestamp || 0),
+  settles: (transaction.settles || []).map(link => ({
+    sourceUserId: link.sourceUserId,
+    originTxnId: link.originTxnId,
+    amountMinor: link.amountMinor,
+  })),
+  openBalanceMinor,
+  fullySettled: openBalanceMinor === 0,
+});
+
+// Records a full (no amount) or partial settlement of the open balance with a
+// peer as a settlement ledger row, then pushes it like any other entry.
+const recordSettlement = async (uid, payload) => {
+  const reply = (statusCode, body) => ({statusCode, body});
+  const {peerUserId, amount, currency, note, settlementId, idempotencyKey, timestamp} = payload || {};
+
+  if (!uid) {
+    return reply(401, {
+      success: false,
+      message: 'Unauthorized user',
+    });
+  }
+  if (currency && !normalizeCurrencyCode(currency)) {
+    return reply(400, {
+      success: false,
+      message: 'currency must be an ISO 4217 code',
+    });
+  }
+
+  const peer = await resolveLedgerPeer(peerUserId);
+  const peerUid = String(peer?.firebaseUid || '').trim();
+  if (!peerUid) {
+    return reply(404, {
+      success: false,
+      message: 'Peer not found',
+    });
+  }
+  if (peerUid === uid) {
+    return reply(400, {
+      success: false,
+      message: 'Cannot settle with yourself',
+    });
+  }
+
+  const originTxnId = String(settlementId || '').trim() || `settle_${uid}_${Date.now()}`;
+  const readOpenBalance = async settlementCurrency => {
+    const balance = (await computeLedgerBalances(uid, peerUid)).get(peerUid);
+    const totals = balance
+      ? serializeBalance(balance).byCurrency.find(item => item.currency === settlementCurrency)
+      : null;
+    return Number(totals?.netBalanceMinor || 0);
+  };
+
+  // A retried settlement must not be re-validated against the balance it
+  // already cleared.
+  const existing = await LedgerTransaction.findOne({sourceUserId: uid, originTxnId}).lean();
+  if (existing) {
+    if (existing.kind !== 'settlement') {
+      return reply(409, {
+        success: false,
+        code: 'SETTLEMENT_ID_IN_USE',
+        message: 'settlementId already belongs to a regular entry',
+      });
+    }
+    return reply(200, {
+      success: true,
+      duplicate: true,
+      settlement: toSettlementPayload(existing, await readOpenBalance(rowCurrency(existing))),
+    });
+  }
+
+  const balance = (await computeLedgerBalances(uid, peerUid)).get(peerUid);
+  const openByCurrency = balance
+    ? serializeBalance(balance).byCurrency.filter(item => item.netBalanceMinor !== 0)
+    : [];
+  const requestedCurrency = normalizeCurrencyCode(currency);
+  if (!requestedCurrency && openByCurrency.length > 1) {
+    return reply(409, {
+      success: false,
+      code: 'MIXED_CURRENCY',
+      message: 'The balance with this peer is open in more than one currency; pass currency to pick one',
+      currencies: openByCurrency.map(item => item.currency),
+    });
+  }
+
+  const open = requestedCurrency
+    ? openByCurrency.find(item => item.currency === requestedCurrency)
+    : openByCurrency[0];
+  if (!open) {
+    return reply(409, {
+      success: false,
+      code: 'NO_OUTSTANDING_BALANCE',
+      message: 'There is no open balance with this peer to settle',
+    });
+  }
+
+  const openMinor = Math.abs(open.netBalanceMinor);
+  const requestedMinor = toMinorUnits(normalizeAmount(amount), open.currency);
+  const amountMinor = requestedMinor > 0 ? requestedMinor : openMinor;
+  if (amountMinor > openMinor) {
+    return reply(400, {
+      success: false,
+      code: 'SETTLEMENT_EXCEEDS_BALANCE',
+      message: 'Settlement amount is larger than the open balance',
+      openBalanceMinor: open.netBalanceMinor,
+    });
+  }
+
+  // Positive balance: the peer owes the caller, so the caller "gets" the
+  // settlement; otherwise the caller is the one paying it off.
+  const debtType = open.netBalanceMinor > 0 ? 'paid' : 'get';
+  const settles = allocateSettlement({
+    rows: await loadPairRows(uid, peerUid),
+    uid,
+    currency: open.currency,
+    debtType,
+    amountMinor,
+  });
+
+  const result = await syncLedgerOperation(
+    uid,
+    {
+      peerUserId: peerUid,
+      op: 'create',
+      originTxnId,
+      amount: fromMinorUnits(amountMinor, open.currency),
+      currency: open.currency,
+      entryType: debtType === 'paid' ? 'get' : 'paid',
+      note: String(note || '').trim().slice(0, 1000),
+      timestamp: Number(timestamp || Date.now()),
+      version: 1,
+      idempotencyKey,
+    },
+    {kind: 'settlement', settles},
+  );
+  if (result.statusCode < 200 || result.statusCode >= 300) {
+    return result;
+  }
+
+  const transaction = await LedgerTransaction.findOne({sourceUserId: uid, originTxnId})
+    .select('-operations')
+    .lean();
+  return reply(result.statusCode, {
+    ...result.body,
+    settlement: toSettlementPayload(transaction, await readOpenBalance(open.currency)),
+  });
+};
+
+module.exports = {
+  settlementEntryKey,
+  computeSettledByEntry,
+  allocateSettlement,
+  recordSettlement,
+};
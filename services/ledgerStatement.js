@@ -0,0 +1,244 @@
+const PDFDocument = require('pdfkit');
+const {fromMinorUnits, toMinorUnits, formatMoney} = require('./currency');
+const {
+  rowCurrency,
+  rowAmountMinor,
+  toCallerEntryType,
+  toCallerNetMinor,
+} = require('./ledgerService');
+const {settlementEntryKey, computeSettledByEntry} = require('./ledgerSettlementService');
+
+// rows must be sorted by entryTimestamp and cover everything up to `to`;
+// rows before `from` only feed the opening balance. Amounts are shown from
+// viewerId's side.
+const buildStatement = ({rows, viewerId, currency, from, to, ownerName, peerName, locale}) => {
+  // Settled amounts reflect settlements recorded up to the statement end.
+  const settledByEntry = computeSettledByEntry(rows);
+  let openingMinor = 0;
+  let runningMinor = 0;
+  let settledInPeriodMinor = 0;
+  const entries = [];
+  rows
+    .filter(row => rowCurrency(row) === currency)
+    .forEach(row => {
+      const netMinor = toCallerNetMinor(row, viewerId);
+      if (Number(row.entryTimestamp || 0) < from) {
+        openingMinor += netMinor;
+        runningMinor = openingMinor;
+        return;
+      }
+      runningMinor += netMinor;
+      const amountMinor = rowAmountMinor(row);
+      const isSettlement = row.kind === 'settlement';
+      const settledMinor = isSettlement
+        ? 0
+        : settledByEntry.get(settlementEntryKey(row.sourceUserId, row.originTxnId)) || 0;
+      if (isSettlement) {
+        settledInPeriodMinor += amountMinor;
+      }
+      entries.push({
+        originTxnId: String(row.originTxnId || ''),
+        timestamp: Number(row.entryTimestamp || 0),
+        kind: isSettlement ? 'settlement' : 'entry',
+        entryType: toCallerEntryType(row, viewerId),
+        amount: fromMinorUnits(amountMinor, currency),
+        settledAmount: isSettlement ? null : fromMinorUnits(settledMinor, currency),
+        openAmount: isSettlement ? null : fromMinorUnits(amountMinor - settledMinor, currency),
+        note: String(row.note || ''),
+        runningBalance: fromMinorUnits(runningMinor, currency),
+      });
+    });
+
+  return {
+    ownerName,
+    peerName,
+    currency,
+    locale,
+    from,
+    to,
+    generatedAt: Date.now(),
+    openingBalance: fromMinorUnits(openingMinor, currency),
+    closingBalance: fromMinorUnits(runningMinor, currency),
+    settledTotal: fromMinorUnits(settledInPeriodMinor, currency),
+    entries,
+  };
+};
+
+const formatStatementAmount = (value, statement, options) =>
+  formatMoney(toMinorUnits(value, statement.currency), statement.currency, statement.locale, options);
+
+const formatStatementDate = value => {
+  const date = new Date(Number(value || 0));
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+};
+
+// Settlement rows have no settled/open split of their own.
+const formatEntryType = entry =>
+  entry.kind === 'settlement' ? `settlement (${entry.entryType})` : entry.entryType;
+
+const formatSettledAmount = (entry, statement, options) => {
+  if (entry.kind === 'settlement' || entry.settledAmount === null || entry.settledAmount === undefined) {
+    return '';
+  }
+  return entry.openAmount > 0 && entry.settledAmount > 0
+    ? `${formatStatementAmount(entry.settledAmount, statement, options)} (partial)`
+    : formatStatementAmount(entry.settledAmount, statement, options);
+};
+
+// Spreadsheets run cells starting with these as formulas, so user-entered
+// text (names, notes) gets a leading quote to keep it as text.
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvText = value => {
+  const text = String(value ?? '');
+  return CSV_FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+const escapeCsvValue = value => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const renderStatementCsv = statement => {
+  const lines = [
+    ['Statement', toCsvText(statement.ownerName), 'with', toCsvText(statement.peerName)],
+    ['From', formatStatementDate(statement.from), 'To', formatStatementDate(statement.to)],
+    ['Opening balance', formatStatementAmount(statement.openingBalance, statement)],
+    [],
+    ['Date', 'Type', 'Amount', 'Settled', 'Note', 'Running balance'],
+    ...statement.entries.map(entry => [
+      formatStatementDate(entry.timestamp),
+      formatEntryType(entry),
+      formatStatementAmount(entry.amount, statement),
+      formatSettledAmount(entry, statement),
+      toCsvText(entry.note),
+      formatStatementAmount(entry.runningBalance, statement),
+    ]),
+    [],
+    ['Settled in period', formatStatementAmount(statement.settledTotal, statement)],
+    ['Closing balance', formatStatementAmount(statement.closingBalance, statement)],
+  ];
+
+  return lines.map(line => line.map(escapeCsvValue).join(',')).join('\r\n');
+};
+
+const renderStatementPdf = (statement, stream) => {
+  // The built-in PDF fonts lack most currency glyphs, so amounts use the code.
+  const pdfAmount = {currencyDisplay: 'code'};
+  const doc = new PDFDocument({size: 'A4', margin: 40});
+  doc.pipe(stream);
+
+  doc.fontSize(16).text(`Account statement: ${statement.ownerName} with ${statement.peerName}`);
+  doc
+    .fontSize(10)
+    .moveDown(0.5)
+    .text(`Period: ${formatStatementDate(statement.from)} to ${formatStatementDate(statement.to)}`)
+    .text(`Generated: ${formatStatementDate(statement.generatedAt)}`)
+    .moveDown()
+    .text(`Opening balance: ${formatStatementAmount(statement.openingBalance, statement, pdfAmount)}`)
+    .moveDown();
+
+  const columns = [40, 105, 185, 260, 340, 470];
+  const drawRow = (values, options = {}) => {
+    const y = doc.y;
+    values.forEach((value, index) => {
+      const width = (columns[index + 1] || 555) - columns[index] - 6;
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').text(String(value), columns[index], y, {
+        width,
+        lineBreak: index === 4,
+      });
+    });
+    doc.moveDown(0.3);
+    if (doc.y > 780) {
+      doc.addPage();
+    }
+  };
+
+  drawRow(['Date', 'Type', 'Amount', 'Settled', 'Note', 'Balance'], {bold: true});
+  statement.entries.forEach(entry => {
+    drawRow([
+      formatStatementDate(entry.timestamp),
+      formatEntryType(entry),
+      formatStatementAmount(entry.amount, statement, pdfAmount),
+      formatSettledAmount(entry, statement, pdfAmount) || '-',
+      entry.note || '-',
+      formatStatementAmount(entry.runningBalance, statement, pdfAmount),
+    ]);
+  });
+
+  doc
+    .moveDown()
+    .font('Helvetica')
+    .text(`Settled in period: ${formatStatementAmount(statement.settledTotal, statement, pdfAmount)}`, 40)
+    .font('Helvetica-Bold')
+    .text(`Closing balance: ${formatStatementAmount(statement.closingBalance, statement, pdfAmount)}`, 40);
+  doc.end();
+};
+
+const escapeHtml = value =>
+  String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+  })[char]);
+
+const HTML_ENTRY_LABELS = {
+  get: 'You received',
+  paid: 'You gave',
+};
+
+// Read-only page for shared statement links; one table per currency.
+const renderStatementHtml = (statements, {title}) => {
+  const sections = statements.map(statement => {
+    const rows = statement.entries
+      .map(entry => `<tr>
+<td>${escapeHtml(formatStatementDate(entry.timestamp))}</td>
+<td>${escapeHtml(entry.kind === 'settlement' ? 'Settlement' : HTML_ENTRY_LABELS[entry.entryType] || entry.entryType)}</td>
+<td class="num">${escapeHtml(formatStatementAmount(entry.amount, statement))}</td>
+<td>${escapeHtml(entry.note || '')}</td>
+<td class="num">${escapeHtml(formatStatementAmount(entry.runningBalance, statement))}</td>
+</tr>`)
+      .join('\n');
+    return `<section>
+<h2>${escapeHtml(statement.currency)}</h2>
+<table>
+<thead><tr><th>Date</th><th>Type</th><th>Amount</th><th>Note</th><th>Balance</th></tr></thead>
+<tbody>
+${rows || '<tr><td colspan="5">No entries</td></tr>'}
+</tbody>
+</table>
+<p><strong>Closing balance: ${escapeHtml(formatStatementAmount(statement.closingBalance, statement))}</strong></p>
+</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>
+body{font-family:sans-serif;margin:16px;color:#222}
+table{border-collapse:collapse;width:100%;font-size:14px}
+th,td{border-bottom:1px solid #ddd;padding:6px;text-align:left}
+.num{text-align:right;white-space:nowrap}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>Generated ${escapeHtml(formatStatementDate(Date.now()))}. A positive balance means you are owed; a negative balance means you owe.</p>
+${sections.join('\n')}
+</body>
+</html>`;
+};
+
+module.exports = {
+  buildStatement,
+  formatStatementAmount,
+  renderStatementCsv,
+  renderStatementPdf,
+  renderStatementHtml,
+};
@@ -0,0 +1,261 @@
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {DEFAULT_CURRENCY, toMinorUnits, fromMinorUnits} = require('./currency');
+
+const SUMMARY_PERIODS = ['week', 'month', 'quarter', 'year'];
+const SUMMARY_TREND_MONTHS = 6;
+const SUMMARY_TOP_CONTACTS = 5;
+const OVERDUE_AFTER_DAYS = Math.max(
+  1,
+  Math.min(365, Number(process.env.LEDGER_OVERDUE_AFTER_DAYS || 30) || 30),
+);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar periods in UTC; weeks start on Monday.
+const getPeriodStart = (period, reference) => {
+  const date = new Date(reference);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  if (period === 'week') {
+    const start = Date.UTC(year, month, date.getUTCDate());
+    return new Date(start - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+  }
+  if (period === 'quarter') {
+    return new Date(Date.UTC(year, month - (month % 3), 1));
+  }
+  if (period === 'year') {
+    return new Date(Date.UTC(year, 0, 1));
+  }
+  return new Date(Date.UTC(year, month, 1));
+};
+
+const getPreviousPeriodStart = (period, currentStart) =>
+  getPeriodStart(period, currentStart.getTime() - 1);
+
+const monthKey = date => date.toISOString().slice(0, 7);
+
+const buildSummaryPipeline = ({uid, periodStart, previousStart, trendStart}) => {
+  const isSource = {$eq: ['$sourceUserId', uid]};
+  // Legacy rows carry only a major-unit amount in the default currency.
+  const legacyFactor = toMinorUnits(1, DEFAULT_CURRENCY);
+  const sumWhere = (condition, value = '$amountMinorValue') => ({
+    $sum: {$cond: [condition, value, 0]},
+  });
+
+  return [
+    {
+      $match: {
+        isDeleted: false,
+        $or: [{sourceUserId: uid}, {receiverId: uid}],
+      },
+    },
+    {
+      $addFields: {
+        callerType: {
+          $cond: [isSource, '$entryType', {$cond: [{$eq: ['$entryType', 'get']}, 'paid', 'get']}],
+        },
+        peerId: {
+          $cond: [
+            isSource,
+            {
+              $cond: [
+                {$gt: [{$ifNull: ['$receiverId', '']}, '']},
+                '$receiverId',
+                {$concat: ['phone:', {$ifNull: ['$receiverPhone', '']}]},
+              ],
+            },
+            '$sourceUserId',
+          ],
+        },
+        currencyCode: {
+          $cond: [{$gt: [{$ifNull: ['$currency', '']}, '']}, '$currency', DEFAULT_CURRENCY],
+        },
+        amountMinorValue: {
+          $cond: [
+            {$gt: [{$ifNull: ['$currency', '']}, '']},
+            {$abs: '$amountMinor'},
+            {$round: [{$multiply: [{$abs: '$amount'}, legacyFactor]}, 0]},
+          ],
+        },
+        isSettlement: {$eq: ['$kind', 'settlement']},
+      },
+    },
+    {
+      $addFields: {
+        // Positive: the peer owes the caller.
+        signedMinor: {
+          $cond: [{$eq: ['$callerType', 'paid']}, '$amountMinorValue', {$multiply: ['$amountMinorValue', -1]}],
+        },
+      },
+    },
+    {
+      $facet: {
+        periods: [
+          {$match: {entryTimestamp: {$gte: previousStart.getTime()}}},
+          {
+            $group: {
+              _id: {
+                currency: '$currencyCode',
+                current: {$gte: ['$entryTimestamp', periodStart.getTime()]},
+              },
+              givenMinor: sumWhere({$and: [{$not: ['$isSettlement']}, {$eq: ['$callerType', 'paid']}]}),
+              receivedMinor: sumWhere({$and: [{$not: ['$isSettlement']}, {$eq: ['$callerType', 'get']}]}),
+              settledMinor: sumWhere('$isSettlement'),
+              netMinor: {$sum: '$signedMinor'},
+              entryCount: {$sum: 1},
+            },
+          },
+        ],
+        trend: [
+          {$match: {entryTimestamp: {$gte: trendStart.getTime()}}},
+          {
+            $group: {
+              _id: {
+                currency: '$currencyCode',
+                month: {$dateToString: {format: '%Y-%m', date: {$toDate: '$entryTimestamp'}}},
+              },
+              givenMinor: sumWhere({$and: [{$not: ['$isSettlement']}, {$eq: ['$callerType', 'paid']}]}),
+              receivedMinor: sumWhere({$and: [{$not: ['$isSettlement']}, {$eq: ['$callerType', 'get']}]}),
+              settledMinor: sumWhere('$isSettlement'),
+              netMinor: {$sum: '$signedMinor'},
+            },
+          },
+        ],
+        peers: [
+          {
+            $group: {
+              _id: {peerId: '$peerId', currency: '$currencyCode'},
+              netMinor: {$sum: '$signedMinor'},
+              lastEntryAt: {$max: '$entryTimestamp'},
+              entryCount: {$sum: 1},
+            },
+          },
+          {$match: {netMinor: {$ne: 0}}},
+        ],
+      },
+    },
+  ];
+};
+
+const withMajor = (item, currency) => {
+  const result = {...item};
+  Object.keys(item)
+    .filter(key => key.endsWith('Minor'))
+    .forEach(key => {
+      result[key.slice(0, -'Minor'.length)] = fromMinorUnits(item[key], currency);
+    });
+  return result;
+};
+
+const emptyTotals = () => ({givenMinor: 0, receivedMinor: 0, settledMinor: 0, netMinor: 0, entryCount: 0});
+
+const buildLedgerSummary = async (uid, {period = 'month', now = new Date()} = {}) => {
+  const periodStart = getPeriodStart(period, now);
+  const previousStart = getPreviousPeriodStart(period, periodStart);
+  const trendStart = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (SUMMARY_TREND_MONTHS - 1), 1),
+  );
+
+  const [facets] = await LedgerTransaction.aggregate(
+    buildSummaryPipeline({uid, periodStart, previousStart, trendStart}),
+  );
+  const {periods = [], trend = [], peers = []} = facets || {};
+
+  const currencies = [
+    ...new Set([...periods, ...trend, ...peers].map(item => item._id.currency)),
+  ].sort();
+  const trendMonths = Array.from({length: SUMMARY_TREND_MONTHS}, (_, index) =>
+    monthKey(new Date(Date.UTC(trendStart.getUTCFullYear(), trendStart.getUTCMonth() + index, 1))),
+  );
+  const overdueBefore = now.getTime() - OVERDUE_AFTER_DAYS * DAY_MS;
+
+  // Currencies are never summed together; each gets its own block.
+  const byCurrency = currencies.map(currency => {
+    const pick = current => {
+      const found = periods.find(item => item._id.currency === currency && item._id.current === current);
+      return found
+        ? {
+            givenMinor: found.givenMinor,
+            receivedMinor: found.receivedMinor,
+            settledMinor: found.settledMinor,
+            netMinor: found.netMinor,
+            entryCount: found.entryCount,
+          }
+        : emptyTotals();
+    };
+    const currentTotals = pick(true);
+    const previousTotals = pick(false);
+    const currencyPeers = peers.filter(item => item._id.currency === currency);
+
+    const toContact = item => ({
+      peerUserId: item._id.peerId.startsWith('phone:') ? null : item._id.peerId,
+      peerPhone: item._id.peerId.startsWith('phone:') ? item._id.peerId.slice('phone:'.length) : null,
+      ...withMajor({netMinor: item.netMinor}, currency),
+      lastEntryAt: item.lastEntryAt,
+      entryCount: item.entryCount,
+    });
+
+    return {
+      currency,
+      period: withMajor(currentTotals, currency),
+      previousPeriod: withMajor(previousTotals, currency),
+      change: withMajor(
+        {
+          givenMinor: currentTotals.givenMinor - previousTotals.givenMinor,
+          receivedMinor: currentTotals.receivedMinor - previousTotals.receivedMinor,
+          netMinor: currentTotals.netMinor - previousTotals.netMinor,
+        },
+        currency,
+      ),
+      // Net position is all-time: what is still open across every peer.
+      netPosition: withMajor(
+        {
+          receivableMinor: currencyPeers.filter(item => item.netMinor > 0).reduce((sum, item) => sum + item.netMinor, 0),
+          payableMinor: currencyPeers.filter(item => item.netMinor < 0).reduce((sum, item) => sum - item.netMinor, 0),
+          netMinor: currencyPeers.reduce((sum, item) => sum + item.netMinor, 0),
+        },
+        currency,
+      ),
+      topContacts: [...currencyPeers]
+        .sort((a, b) => Math.abs(b.netMinor) - Math.abs(a.netMinor))
+        .slice(0, SUMMARY_TOP_CONTACTS)
+        .map(toContact),
+      trend: trendMonths.map(month => {
+        const found = trend.find(item => item._id.currency === currency && item._id.month === month);
+        return {
+          month,
+          ...withMajor(
+            {
+              givenMinor: found?.givenMinor || 0,
+              receivedMinor: found?.receivedMinor || 0,
+              settledMinor: found?.settledMinor || 0,
+              netMinor: found?.netMinor || 0,
+            },
+            currency,
+          ),
+        };
+      }),
+      // Open balances with no activity for OVERDUE_AFTER_DAYS.
+      overdue: currencyPeers
+        .filter(item => Number(item.lastEntryAt || 0) < overdueBefore)
+        .sort((a, b) => Math.abs(b.netMinor) - Math.abs(a.netMinor))
+        .map(item => ({
+          ...toContact(item),
+          direction: item.netMinor > 0 ? 'owed_to_you' : 'you_owe',
+          daysIdle: Math.floor((now.getTime() - Number(item.lastEntryAt || 0)) / DAY_MS),
+        })),
+    };
+  });
+
+  return {
+    period,
+    periodStart: periodStart.getTime(),
+    previousPeriodStart: previousStart.getTime(),
+    overdueAfterDays: OVERDUE_AFTER_DAYS,
+    byCurrency,
+  };
+};
+
+module.exports = {
+  SUMMARY_PERIODS,
+  buildLedgerSummary,
+};
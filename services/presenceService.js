@@ -0,0 +1,181 @@
+const User = require('../models/User');
+const ConversationTyping = require('../models/ConversationTyping');
+const ConversationSummary = require('../models/ConversationSummary');
+const Conversation = require('../models/Conversation');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {publishToUser} = require('./realtimeHub');
+const {loadBlockersOf, loadBlockedPeerIds} = require('./blockMuteService');
+
+// A user counts as online only while heartbeats keep arriving; clients are
+// expected to beat at roughly a third of this.
+const PRESENCE_TIMEOUT_SECONDS = Math.max(
+  30,
+  Math.min(600, Number(process.env.PRESENCE_TIMEOUT_SECONDS || 90) || 90),
+);
+const TYPING_TTL_SECONDS = 8;
+const PRESENCE_QUERY_MAX_USERS = 50;
+
+const isHeartbeatFresh = (user, now = new Date()) =>
+  Boolean(user?.lastHeartbeatAt) &&
+  now.getTime() - new Date(user.lastHeartbeatAt).getTime() <= PRESENCE_TIMEOUT_SECONDS * 1000;
+
+const recordHeartbeat = async uid => {
+  const now = new Date();
+  await User.updateOne(
+    {firebaseUid: String(uid)},
+    {$set: {isOnline: true, lastHeartbeatAt: now, lastOnline: now}},
+  );
+  return {online: true, timeoutSeconds: PRESENCE_TIMEOUT_SECONDS, heartbeatAt: now.getTime()};
+};
+
+const markOffline = async uid => {
+  const now = new Date();
+  await User.updateOne(
+    {firebaseUid: String(uid)},
+    {$set: {isOnline: false, lastHeartbeatAt: null, lastOnline: now}},
+  );
+  await ConversationTyping.deleteMany({userId: String(uid)});
+};
+
+const toHiddenPresence = uid => ({uid: String(uid), visible: false, online: null, lastSeen: null});
+
+// Users who hide last seen are shown with unknown presence, online included,
+// so the two cannot be combined to work out when they were last around.
+const toPresencePayload = (user, now = new Date()) => {
+  const uid = String(user?.firebaseUid || '');
+  if (user?.privacy?.lastSeenVisible === false) {
+    return toHiddenPresence(uid);
+  }
+  const online = user?.isOnline === true && isHeartbeatFresh(user, now);
+  const lastSeenAt = online
+    ? now
+    : user?.lastHeartbeatAt || user?.lastOnline || null;
+  return {
+    uid,
+    visible: true,
+    online,
+    lastSeen: lastSeenAt ? new Date(lastSeenAt).getTime() : null,
+  };
+};
+
+const loadPresence = async uids => {
+  const ids = [...new Set(uids.map(value => String(value || '').trim()).filter(Boolean))]
+    .slice(0, PRESENCE_QUERY_MAX_USERS);
+  if (!ids.length) {
+    return [];
+  }
+  const users = await User.find({firebaseUid: {$in: ids}})
+    .select('firebaseUid isOnline lastOnline lastHeartbeatAt privacy')
+    .lean();
+  const now = new Date();
+  return users.map(user => toPresencePayload(user, now));
+};
+
+// Presence is only shared with people the viewer already deals with: direct
+// chat peers, fellow group members and ledger counterparties. Either side of
+// a block hides it. Returns the subset of uids the viewer may see.
+const resolvePresenceAudience = async (viewerId, uids) => {
+  const viewer = String(viewerId);
+  const ids = [...new Set(uids.map(value => String(value || '').trim()).filter(Boolean))];
+  if (!ids.length) {
+    return new Set();
+  }
+  const [summaries, groups, paidTo, receivedFrom, blocked] = await Promise.all([
+    ConversationSummary.find({ownerId: viewer, peerId: {$in: ids}}).select('peerId').lean(),
+    Conversation.find({
+      status: 'active',
+      $and: [{'members.userId': viewer}, {'members.userId': {$in: ids}}],
+    })
+      .select('members.userId')
+      .lean(),
+    LedgerTransaction.distinct('receiverId', {sourceUserId: viewer, receiverId: {$in: ids}}),
+    LedgerTransaction.distinct('sourceUserId', {receiverId: viewer, sourceUserId: {$in: ids}}),
+    loadBlockedPeerIds(viewer),
+  ]);
+  const known = new Set([
+    ...summaries.map(row => row.peerId),
+    ...groups.flatMap(group => group.members.map(member => member.userId)),
+    ...paidTo,
+    ...receivedFrom,
+  ]);
+  return new Set(ids.filter(id => id !== viewer && known.has(id) && !blocked.has(id)));
+};
+
+// Typing is relayed to connected peers right away and also stored briefly so
+// a peer on another instance can still see it when polling.
+const setTyping = async ({conversationId, uid, peerIds, isTyping}) => {
+  const filter = {conversationId: String(conversationId), userId: String(uid)};
+  const expiresAt = new Date(Date.now() + TYPING_TTL_SECONDS * 1000);
+  if (isTyping) {
+    await ConversationTyping.updateOne(filter, {$set: {expiresAt}}, {upsert: true});
+  } else {
+    await ConversationTyping.deleteOne(filter);
+  }
+
+  const data = {
+    type: 'typing',
+    conversationId: String(conversationId),
+    userId: String(uid),
+    isTyping: String(Boolean(isTyping)),
+    expiresAt: String(isTyping ? expiresAt.getTime() : Date.now()),
+  };
+  // Peers who blocked the typist are never told.
+  const blockers = new Set(await loadBlockersOf(uid, peerIds));
+  const relayed = peerIds
+    .filter(peerId => !blockers.has(String(peerId)))
+    .reduce((count, peerId) => count + publishToUser(peerId, 'typing', data), 0);
+  return {expiresAt: isTyping ? expiresAt.getTime() : null, relayed};
+};
+
+const getTypingUserIds = async (conversationId, excludeUid) => {
+  const rows = await ConversationTyping.find({
+    conversationId: String(conversationId),
+    userId: {$ne: String(excludeUid || '')},
+    expiresAt: {$gt: new Date()},
+  })
+    .select('userId')
+    .lean();
+  return rows.map(row => String(row.userId));
+};
+
+// Flips users whose heartbeats stopped to offline, keeping their last
+// heartbeat as the last-seen time.
+const expireStalePresence = async (options = {}) => {
+  const {reason = 'manual'} = options;
+  const cutoff = new Date(Date.now() - PRESENCE_TIMEOUT_SECONDS * 1000);
+  const result = await User.updateMany(
+    {
+      isOnline: true,
+      $or: [{lastHeartbeatAt: null}, {lastHeartbeatAt: {$lt: cutoff}}],
+    },
+    [
+      {
+        $set: {
+          isOnline: false,
+          lastOnline: {$ifNull: ['$lastHeartbeatAt', '$lastOnline']},
+        },
+      },
+    ],
+  );
+  const summary = {
+    reason,
+    timeoutSeconds: PRESENCE_TIMEOUT_SECONDS,
+    markedOffline: result.modifiedCount,
+  };
+  console.log('[PRESENCE] Completed presence sweep', summary);
+  return summary;
+};
+
+module.exports = {
+  PRESENCE_TIMEOUT_SECONDS,
+  PRESENCE_QUERY_MAX_USERS,
+  recordHeartbeat,
+  markOffline,
+  toHiddenPresence,
+  toPresencePayload,
+  loadPresence,
+  resolvePresenceAudience,
+  setTyping,
+  getTypingUserIds,
+  expireStalePresence,
+};
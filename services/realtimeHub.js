@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+
+// Server-sent event connections for devices that have the app open. The hub
+// lives in process memory, so an event only reaches devices connected to the
+// same instance. A write into the socket buffer proves nothing about the
+// device, so events that would otherwise go through FCM carry an ackId and
+// only count as delivered once a device acks it on this instance; anything
+// else falls back to FCM, which keeps multi-instance and serverless
+// deployments correct (just without the latency win). The fallback runs after
+// the response, and the FCM copy keeps the ackId so a device whose ack arrived
+// late can drop the duplicate.
+const REALTIME_HEARTBEAT_SECONDS = 25;
+const REALTIME_MAX_CONNECTIONS_PER_USER = 5;
+const REALTIME_RETRY_MS = 5000;
+const REALTIME_ACK_TIMEOUT_MS = Math.max(
+  250,
+  Math.min(10000, Number(process.env.REALTIME_ACK_TIMEOUT_MS || 2000) || 2000),
+);
+
+const connections = new Map();
+// ackId -> {uid, timer, onAcked, payload} for events waiting on a device ack.
+const pendingAcks = new Map();
+let nextConnectionId = 1;
+
+const writeFrame = (client, frame) => {
+  if (client.res.writableEnded || client.res.destroyed) {
+    return false;
+  }
+  try {
+    client.res.write(frame);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const removeClient = (uid, client) => {
+  clearInterval(client.heartbeat);
+  const clients = connections.get(uid);
+  if (!clients) {
+    return;
+  }
+  clients.delete(client);
+  if (!clients.size) {
+    connections.delete(uid);
+  }
+};
+
+const toEventFrame = (type, data, eventId = '') => {
+  const lines = [];
+  if (eventId) {
+    lines.push(`id: ${String(eventId).replace(/\s+/g, '')}`);
+  }
+  lines.push(`event: ${type}`);
+  lines.push(`data: ${JSON.stringify(data)}`);
+  return `${lines.join('\n')}\n\n`;
+};
+
+const openRealtimeStream = (req, res, uid) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const clients = connections.get(uid) || new Set();
+  // Oldest connection goes first; usually a reconnect whose old socket has
+  // not noticed it is gone yet.
+  if (clients.size >= REALTIME_MAX_CONNECTIONS_PER_USER) {
+    const [oldest] = clients;
+    removeClient(uid, oldest);
+    oldest.res.end();
+  }
+
+  const client = {
+    id: nextConnectionId++,
+    res,
+    connectedAt: Date.now(),
+    heartbeat: null,
+  };
+  client.heartbeat = setInterval(() => {
+    if (!writeFrame(client, ': ping\n\n')) {
+      removeClient(uid, client);
+    }
+  }, REALTIME_HEARTBEAT_SECONDS * 1000);
+  clients.add(client);
+  connections.set(uid, clients);
+
+  writeFrame(client, `retry: ${REALTIME_RETRY_MS}\n\n`);
+  writeFrame(
+    client,
+    toEventFrame('ready', {
+      connectionId: String(client.id),
+      heartbeatSeconds: REALTIME_HEARTBEAT_SECONDS,
+      timestamp: Date.now(),
+    }),
+  );
+
+  req.on('close', () => removeClient(uid, client));
+  return client;
+};
+
+const isUserConnected = uid => Boolean(connections.get(String(uid || ''))?.size);
+
+// Returns how many of the user's connections the event was written to. Only
+// for events that need no delivery guarantee (typing); use publishWithAck
+// when a miss should fall back to FCM.
+const publishToUser = (uid, type, data) => {
+  const clients = connections.get(String(uid || ''));
+  if (!clients?.size) {
+    return 0;
+  }
+
+  const frame = toEventFrame(type, data, data?.eventId);
+  let written = 0;
+  [...clients].forEach(client => {
+    if (writeFrame(client, frame)) {
+      written += 1;
+    } else {
+      removeClient(String(uid), client);
+    }
+  });
+  return written;
+};
+
+// Runs a settle callback off the request path; a failure there has no
+// caller left to report to.
+const runSettled = (callback, ackId, payload) => {
+  if (!callback) {
+    return;
+  }
+  Promise.resolve()
+    .then(() => callback(payload))
+    .catch(error => {
+      console.error('[REALTIME] Ack callback failed:', {
+        ackId,
+        message: error?.message || String(error),
+      });
+    });
+};
+
+// Writes the event with a fresh ackId and returns that ackId, or null when
+// nothing is connected here (the caller then goes straight to FCM). Once
+// written, onAcked runs when a device acks and onMissed, with the same
+// payload, when none does in time; neither is awaited.
+const publishWithAck = (uid, type, data, {onAcked, onMissed} = {}) => {
+  const ackId = crypto.randomUUID();
+  const payload = {...data, ackId};
+  if (publishToUser(uid, type, payload) === 0) {
+    return null;
+  }
+  const timer = setTimeout(() => {
+    pendingAcks.delete(ackId);
+    runSettled(onMissed, ackId, payload);
+  }, REALTIME_ACK_TIMEOUT_MS);
+  pendingAcks.set(ackId, {uid: String(uid), timer, onAcked, payload});
+  return ackId;
+};
+
+// Returns how many of ackIds were still waiting here for this user.
+const acknowledgeEvents = (uid, ackIds) => {
+  let acked = 0;
+  ackIds.forEach(ackId => {
+    const pending = pendingAcks.get(String(ackId));
+    if (!pending || pending.uid !== String(uid)) {
+      return;
+    }
+    clearTimeout(pending.timer);
+    pendingAcks.delete(String(ackId));
+    runSettled(pending.onAcked, String(ackId), pending.payload);
+    acked += 1;
+  });
+  return acked;
+};
+
+module.exports = {
+  REALTIME_ACK_TIMEOUT_MS,
+  openRealtimeStream,
+  isUserConnected,
+  publishToUser,
+  publishWithAck,
+  acknowledgeEvents,
+};
@@ -0,0 +1,77 @@
+const ScheduledJobRun = require('../models/ScheduledJobRun');
+const {runDueLedgerReminders} = require('./ledgerReminderService');
+const {runDueRecurringEntries} = require('./ledgerRecurringService');
+const {runChatDeliveryRetries} = require('./chatDelivery');
+const {expireStalePresence} = require('./presenceService');
+
+// How often an external scheduler must call each /api/internal/<name> route.
+// Vercel's own crons only cover the daily fallback on the free plan (see
+// vercel.json), so a job counts as overdue once it misses a few intervals.
+const SCHEDULED_JOBS = {
+  'chat-delivery-retry': {intervalMinutes: 1, run: runChatDeliveryRetries},
+  'presence-sweep': {intervalMinutes: 2, run: expireStalePresence},
+  'ledger-reminders': {intervalMinutes: 5, run: runDueLedgerReminders},
+  'ledger-recurring': {intervalMinutes: 5, run: runDueRecurringEntries},
+};
+const OVERDUE_AFTER_INTERVALS = 3;
+
+const isOverdue = (job, lastStartedAt, now) =>
+  !lastStartedAt ||
+  now.getTime() - new Date(lastStartedAt).getTime() > job.intervalMinutes * OVERDUE_AFTER_INTERVALS * 60 * 1000;
+
+// Runs a job and records when it ran. A run that finds the previous one
+// overdue logs it, so a missing external scheduler is visible in the logs.
+const runScheduledJob = async (name, options = {}) => {
+  const job = SCHEDULED_JOBS[name];
+  if (!job) {
+    throw new Error(`Unknown scheduled job: ${name}`);
+  }
+
+  const startedAt = new Date();
+  const previous = await ScheduledJobRun.findOneAndUpdate(
+    {name},
+    {$set: {lastStartedAt: startedAt, lastReason: String(options.reason || 'manual')}},
+    {upsert: true, new: false},
+  ).lean();
+  if (previous?.lastStartedAt && isOverdue(job, previous.lastStartedAt, startedAt)) {
+    console.error('[SCHEDULED_JOBS] Job ran late; check the external scheduler:', {
+      job: name,
+      lastStartedAt: previous.lastStartedAt,
+      intervalMinutes: job.intervalMinutes,
+    });
+  }
+
+  try {
+    const summary = await job.run(options);
+    await ScheduledJobRun.updateOne({name}, {$set: {lastFinishedAt: new Date(), lastError: null}});
+    return summary;
+  } catch (error) {
+    await ScheduledJobRun.updateOne(
+      {name},
+      {$set: {lastFinishedAt: new Date(), lastError: String(error?.message || error).slice(0, 300)}},
+    );
+    throw error;
+  }
+};
+
+const listScheduledJobHealth = async (now = new Date()) => {
+  const rows = await ScheduledJobRun.find({name: {$in: Object.keys(SCHEDULED_JOBS)}}).lean();
+  const byName = new Map(rows.map(row => [row.name, row]));
+  return Object.entries(SCHEDULED_JOBS).map(([name, job]) => {
+    const row = byName.get(name);
+    return {
+      name,
+      intervalMinutes: job.intervalMinutes,
+      lastStartedAt: row?.lastStartedAt || null,
+      lastFinishedAt: row?.lastFinishedAt || null,
+      lastError: row?.lastError || null,
+      overdue: isOverdue(job, row?.lastStartedAt, now),
+    };
+  });
+};
+
+module.exports = {
+  SCHEDULED_JOBS,
+  runScheduledJob,
+  listScheduledJobHealth,
+};
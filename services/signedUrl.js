@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const {createConfigurationError} = require('./configurationError');
+
+// Signs links that are opened without a Firebase token (image loaders,
+// browsers, share links sent over SMS). They must keep working across
+// restarts and instances, so there is no fallback secret: without
+// SIGNED_URL_SECRET the routes that sign or check links fail instead.
+const getSigningSecret = () => {
+  const secret = String(process.env.SIGNED_URL_SECRET || '').trim();
+  if (!secret) {
+    throw createConfigurationError('SIGNED_URL_SECRET is not set; signed links are unavailable');
+  }
+  return secret;
+};
+
+const computeSignature = (parts) =>
+  crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(parts.map(part => String(part ?? '')).join('|'))
+    .digest('hex');
+
+const signParts = (parts, ttlSeconds) => {
+  const expires = Math.floor(Date.now() / 1000) + Math.max(1, Number(ttlSeconds || 0));
+  return {
+    expires,
+    signature: computeSignature([...parts, expires]),
+  };
+};
+
+const verifySignedParts = (parts, expires, signature) => {
+  const expiresAt = Number.parseInt(String(expires || ''), 10);
+  if (!Number.isFinite(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+  const expected = Buffer.from(computeSignature([...parts, expiresAt]), 'hex');
+  const provided = Buffer.from(String(signature || ''), 'hex');
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+// Signed links are opened outside the app's API client, so they are handed
+// out absolute. PUBLIC_BASE_URL wins; otherwise the request's own host is used.
+const resolvePublicBaseUrl = req => {
+  const configured = String(process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+  if (configured) {
+    return configured;
+  }
+  const protocol = String(req.headers['x-forwarded-proto'] || req.protocol || 'https').split(',')[0].trim();
+  return `${protocol}://${req.get('host')}`;
+};
+
+module.exports = {
+  signParts,
+  verifySignedParts,
+  resolvePublicBaseUrl,
+};
@@ -0,0 +1,69 @@
+// Content checks shared by ledger attachments and chat media. Uploads are
+// checked against their leading bytes, not just the declared Content-Type.
+
+const isFtyp = (buffer, brands) =>
+  buffer.subarray(4, 8).toString('ascii') === 'ftyp' &&
+  brands.test(buffer.subarray(8, 12).toString('ascii'));
+
+const isZip = buffer => buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+
+// MIME type -> check on the leading bytes. Each upload kind allows a subset.
+const FILE_SIGNATURES = {
+  'image/jpeg': buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  'image/png': buffer =>
+    buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp': buffer =>
+    buffer.subarray(0, 4).toString('ascii') === 'RIFF' &&
+    buffer.subarray(8, 12).toString('ascii') === 'WEBP',
+  'image/gif': buffer => /^GIF8[79]a$/.test(buffer.subarray(0, 6).toString('ascii')),
+  'image/heic': buffer => isFtyp(buffer, /^(heic|heix|mif1|msf1)$/),
+  'application/pdf': buffer => buffer.subarray(0, 5).toString('ascii') === '%PDF-',
+  // docx/xlsx/pptx are zip containers.
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': isZip,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': isZip,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': isZip,
+  'text/plain': buffer => !buffer.subarray(0, 1024).includes(0),
+  'audio/ogg': buffer => buffer.subarray(0, 4).toString('ascii') === 'OggS',
+  'audio/mp4': buffer => isFtyp(buffer, /^(M4A |mp42|isom|dash)$/),
+  'audio/aac': buffer => buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0,
+  'audio/mpeg': buffer =>
+    buffer.subarray(0, 3).toString('ascii') === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0),
+  'audio/amr': buffer => buffer.subarray(0, 5).toString('ascii') === '#!AMR',
+};
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/heic': 'heic',
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'text/plain': 'txt',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/mpeg': 'mp3',
+  'audio/amr': 'amr',
+};
+
+const normalizeContentType = value =>
+  String(value || '').split(';')[0].trim().toLowerCase();
+
+const sanitizeFileName = value =>
+  String(value || '')
+    .replace(/[^\w.\- ]+/g, '_')
+    .trim()
+    .slice(0, 200);
+
+const matchesFileSignature = (buffer, contentType) =>
+  Boolean(FILE_SIGNATURES[contentType]?.(buffer));
+
+module.exports = {
+  FILE_EXTENSIONS,
+  normalizeContentType,
+  sanitizeFileName,
+  matchesFileSignature,
+};
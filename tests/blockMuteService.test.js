@@ -0,0 +1,67 @@
+const {fakeFind, fakeQuery, matchesFilter} = require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const UserBlock = require('../models/UserBlock');
+const {
+  getBlockState,
+  isBlockedBy,
+  loadBlockersOf,
+  loadGroupBlockersOf,
+  loadBlockedPeerIds,
+} = require('../services/blockMuteService');
+
+const blocks = [
+  {blockerId: 'alice', blockedId: 'mallory'},
+  {blockerId: 'bob', blockedId: 'mallory'},
+  {blockerId: 'mallory', blockedId: 'alice'},
+  {blockerId: 'dave', blockedId: 'owner'},
+];
+
+test.beforeEach(t => {
+  t.mock.method(UserBlock, 'exists', filter =>
+    fakeQuery(blocks.some(row => matchesFilter(row, filter)) ? {_id: 'block'} : null),
+  );
+  t.mock.method(UserBlock, 'find', filter => fakeFind(blocks, filter));
+});
+
+test('isBlockedBy only looks at the target blocking the actor', async () => {
+  assert.equal(await isBlockedBy('alice', 'mallory'), true);
+  assert.equal(await isBlockedBy('mallory', 'bob'), false);
+  assert.equal(await isBlockedBy('bob', 'alice'), false);
+});
+
+test("getBlockState prefers the target's block when both sides blocked", async () => {
+  assert.equal(await getBlockState('mallory', 'alice'), 'blocked');
+  assert.equal(await getBlockState('alice', 'mallory'), 'blocked');
+  assert.equal(await getBlockState('mallory', 'bob'), 'blocked');
+  assert.equal(await getBlockState('bob', 'mallory'), 'blocking');
+  assert.equal(await getBlockState('alice', 'bob'), null);
+});
+
+test('loadBlockersOf returns the targets who blocked the actor, in request order', async () => {
+  assert.deepEqual(await loadBlockersOf('mallory', ['carol', 'bob', 'alice']), ['bob', 'alice']);
+  assert.deepEqual(await loadBlockersOf('alice', ['bob', 'carol']), []);
+  assert.deepEqual(await loadBlockersOf('alice', []), []);
+});
+
+test('joining a group is refused when the creator or an admin is blocked, not only the adder', async () => {
+  const group = {
+    createdBy: 'owner',
+    members: [
+      {userId: 'owner', role: 'member'},
+      {userId: 'mallory', role: 'admin'},
+      {userId: 'carol', role: 'admin'},
+    ],
+  };
+  assert.deepEqual(await loadGroupBlockersOf(group, 'carol', ['alice', 'bob', 'dave', 'erin']), ['alice', 'bob', 'dave']);
+  assert.deepEqual(
+    await loadGroupBlockersOf({createdBy: 'carol', members: [{userId: 'carol', role: 'admin'}]}, 'carol', ['alice']),
+    [],
+  );
+});
+
+test('loadBlockedPeerIds covers both directions of a block', async () => {
+  assert.deepEqual([...(await loadBlockedPeerIds('mallory'))].sort(), ['alice', 'bob']);
+  assert.deepEqual([...(await loadBlockedPeerIds('alice'))], ['mallory']);
+  assert.equal((await loadBlockedPeerIds('carol')).size, 0);
+});
@@ -0,0 +1,143 @@
+const {connectRealtime, fakeFind, fakeQuery, sentMessages} = require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {setImmediate} = require('node:timers/promises');
+const User = require('../models/User');
+const MessageDelivery = require('../models/MessageDelivery');
+const ConversationMute = require('../models/ConversationMute');
+const {
+  CHAT_RETRY_MAX_ATTEMPTS,
+  computeNextRetryAt,
+  deliverGroupMessage,
+  runChatDeliveryRetries,
+} = require('../services/chatDelivery');
+const {acknowledgeEvents} = require('../services/realtimeHub');
+
+const MINUTE_MS = 60 * 1000;
+
+test('retry delays double from a minute and cap at an hour', () => {
+  const from = new Date(0);
+  const delays = [1, 2, 3, 7, 20].map(attempts => computeNextRetryAt(attempts, from).getTime() / MINUTE_MS);
+  assert.deepEqual(delays, [1, 2, 4, 60, 60]);
+});
+
+const dueDelivery = (overrides = {}) => ({
+  _id: 'd-1',
+  messageId: 'm-1',
+  conversationId: 'alice_bob',
+  senderId: 'alice',
+  receiverId: 'bob',
+  messageText: 'hello',
+  messageTimestamp: 1000,
+  status: 'accepted',
+  retryCount: 0,
+  ...overrides,
+});
+
+// Hands out the given rows once each, records every conditional write and
+// answers user lookups from `users`.
+const mockRetryRun = (t, deliveries, users) => {
+  const queue = [...deliveries];
+  const writes = [];
+  t.mock.method(MessageDelivery, 'findOneAndUpdate', async () => queue.shift() || null);
+  t.mock.method(MessageDelivery, 'updateOne', async (filter, update) => {
+    writes.push({filter, set: update.$set});
+    return {modifiedCount: 1};
+  });
+  t.mock.method(ConversationMute, 'find', () => fakeQuery([]));
+  t.mock.method(User, 'findOne', filter => fakeQuery(users[filter.firebaseUid] || null));
+  return writes;
+};
+
+test.beforeEach(() => {
+  sentMessages.length = 0;
+});
+
+test('a receiver with no token and no live connection is rescheduled with backoff', async t => {
+  const writes = mockRetryRun(t, [dueDelivery({retryCount: 2})], {bob: {firebaseUid: 'bob'}, alice: {}});
+  const before = Date.now();
+  const summary = await runChatDeliveryRetries({batchSize: 5});
+  assert.equal(summary.rescheduled, 1);
+  assert.equal(writes[0].filter.status, 'accepted');
+  assert.equal(writes[0].set.retryCount, 3);
+  assert.ok(writes[0].set.nextRetryAt.getTime() - before >= 4 * MINUTE_MS);
+  assert.equal(sentMessages.length, 0);
+});
+
+test('the last allowed attempt fails the message and tells the sender', async t => {
+  const writes = mockRetryRun(t, [dueDelivery({retryCount: CHAT_RETRY_MAX_ATTEMPTS - 1})], {
+    bob: {firebaseUid: 'bob'},
+    alice: {firebaseUid: 'alice', fcmToken: 'token-alice'},
+  });
+  const summary = await runChatDeliveryRetries({batchSize: 5});
+  assert.equal(summary.failed, 1);
+  assert.equal(summary.sendersNotified, 1);
+  assert.equal(writes[0].set.status, 'failed');
+  assert.equal(sentMessages[0].token, 'token-alice');
+  assert.equal(sentMessages[0].data.type, 'chat_message_failed');
+});
+
+test('a reachable receiver gets the message pushed and the row leaves the retry queue', async t => {
+  const writes = mockRetryRun(t, [dueDelivery()], {
+    bob: {firebaseUid: 'bob', fcmToken: 'token-bob'},
+    alice: {firebaseUid: 'alice', displayName: 'Alice'},
+  });
+  const summary = await runChatDeliveryRetries({batchSize: 5});
+  assert.equal(summary.pushed, 1);
+  assert.equal(writes.at(-1).set.status, 'pushed');
+  assert.equal(writes.at(-1).set.nextRetryAt, null);
+  assert.equal(sentMessages[0].token, 'token-bob');
+  assert.equal(sentMessages[0].data.messageId, 'm-1');
+});
+
+test('a group send keeps one row per member and pushes each one separately', async t => {
+  const rows = new Map();
+  t.mock.method(MessageDelivery, 'findOneAndUpdate', async (filter, update) => {
+    const row = {...rows.get(filter.receiverId), ...update.$set};
+    rows.set(filter.receiverId, row);
+    return row;
+  });
+  t.mock.method(MessageDelivery, 'updateOne', async (filter, update) => {
+    const row = rows.get(filter.receiverId);
+    if (row?.status !== filter.status) {
+      return {modifiedCount: 0};
+    }
+    Object.assign(row, update.$set);
+    return {modifiedCount: 1};
+  });
+  t.mock.method(User, 'find', filter =>
+    fakeFind(
+      [
+        {firebaseUid: 'bob', fcmToken: 'token-bob'},
+        {firebaseUid: 'carol'},
+        {firebaseUid: 'dave', fcmToken: 'token-dave', appInstallState: 'uninstalled'},
+        {firebaseUid: 'erin'},
+      ],
+      filter,
+    ),
+  );
+  const erin = connectRealtime('erin');
+  t.after(() => erin.close());
+
+  const result = await deliverGroupMessage({
+    message: {messageId: 'm-1', conversationId: 'group_1', senderId: 'alice', messageText: 'hi all'},
+    receiverIds: ['bob', 'carol', 'dave', 'erin', 'frank'],
+    buildPushData: receiverId => ({type: 'chat_message', messageId: 'm-1', receiverId}),
+  });
+
+  assert.equal(result.recipientCount, 5);
+  assert.deepEqual(result.statusCounts, {pushed: 2, accepted: 1, failed: 2});
+  assert.deepEqual(
+    Object.fromEntries([...rows].map(([receiverId, row]) => [receiverId, row.status])),
+    {bob: 'pushed', carol: 'accepted', dave: 'failed', erin: 'accepted', frank: 'failed'},
+  );
+  assert.equal(rows.get('frank').lastError, 'Receiver not found');
+  assert.deepEqual(sentMessages.map(message => message.data.receiverId), ['bob']);
+
+  // Erin's copy went out over realtime and only counts once her device acks.
+  const [event] = erin.events();
+  assert.equal(event.receiverId, 'erin');
+  acknowledgeEvents('erin', [event.ackId]);
+  await setImmediate();
+  assert.equal(rows.get('erin').status, 'pushed');
+});
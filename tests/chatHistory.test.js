@@ -0,0 +1,62 @@
+const {fakeQuery, fakeFind} = require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const ChatMessage = require('../models/ChatMessage');
+const {
+  normalizeRetentionDays,
+  archiveChatMessage,
+  parseTimestampCursor,
+  fetchConversationHistory,
+} = require('../services/chatHistory');
+
+test('cursors carry a tie-breaking id and still accept a bare timestamp', () => {
+  assert.deepEqual(parseTimestampCursor('1700000000000_m-9'), {timestamp: 1700000000000, id: 'm-9'});
+  assert.deepEqual(parseTimestampCursor('1700000000000'), {timestamp: 1700000000000, id: ''});
+  assert.equal(parseTimestampCursor('yesterday'), null);
+  assert.equal(normalizeRetentionDays(90), 90);
+  assert.equal(normalizeRetentionDays(45), null);
+});
+
+test('history pages walk backwards without skipping messages that share a timestamp', async t => {
+  // Three messages share a timestamp so a page boundary falls inside the tie.
+  const rows = ['m-1', 'm-2', 'm-3', 'm-4', 'm-5'].map((messageId, index) => ({
+    ownerId: 'alice',
+    conversationId: 'c-1',
+    messageId,
+    senderId: 'alice',
+    receiverId: 'bob',
+    messageTimestamp: index < 3 ? 1000 : 2000 + index,
+  }));
+  t.mock.method(ChatMessage, 'find', filter => fakeFind(rows, filter));
+
+  const seen = [];
+  let before = null;
+  do {
+    const page = await fetchConversationHistory({ownerId: 'alice', conversationId: 'c-1', before, limit: 2});
+    seen.push(...page.messages.map(message => message.messageId));
+    before = page.nextCursor;
+  } while (before);
+  assert.deepEqual(seen, ['m-5', 'm-4', 'm-3', 'm-2', 'm-1']);
+});
+
+test('only participants who opted in get an archived copy', async t => {
+  t.mock.method(User, 'find', () =>
+    fakeQuery([{firebaseUid: 'bob', chatHistory: {enabled: true, retentionDays: 30}}]),
+  );
+  const write = t.mock.method(ChatMessage, 'bulkWrite', async () => ({}));
+  const stored = await archiveChatMessage({
+    messageId: 'm-1',
+    conversationId: 'c-1',
+    senderId: 'alice',
+    receiverId: 'bob',
+    messageText: 'hi',
+    messageTimestamp: 1000,
+  });
+  assert.equal(stored, 1);
+  const [operations] = write.mock.calls[0].arguments;
+  assert.equal(operations.length, 1);
+  assert.deepEqual(operations[0].updateOne.filter, {ownerId: 'bob', messageId: 'm-1'});
+  const {expiresAt, storedAt} = operations[0].updateOne.update.$setOnInsert;
+  assert.equal(expiresAt - storedAt, 30 * 24 * 60 * 60 * 1000);
+});
@@ -0,0 +1,60 @@
+require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CHAT_THUMBNAIL_MAX_BYTES,
+  validateChatMediaUpload,
+  validateThumbnailUpload,
+  verifyMediaDownload,
+  toChatMediaPayload,
+  toMediaPushFields,
+} = require('../services/chatMediaService');
+const {validateAttachmentUpload} = require('../services/ledgerAttachmentService');
+const {sanitizeFileName} = require('../services/uploadValidation');
+
+const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32)]);
+const pdf = Buffer.from('%PDF-1.7\n...');
+const ogg = Buffer.concat([Buffer.from('OggS'), Buffer.alloc(32)]);
+
+test('uploads are accepted by kind, declared type and leading bytes', () => {
+  assert.deepEqual(validateChatMediaUpload(png, 'image', 'image/png; charset=binary'), {contentType: 'image/png'});
+  assert.deepEqual(validateChatMediaUpload(ogg, 'voice', 'audio/ogg'), {contentType: 'audio/ogg'});
+  assert.match(validateChatMediaUpload(png, 'sticker', 'image/png').error, /kind must be one of/);
+  assert.match(validateChatMediaUpload(pdf, 'image', 'application/pdf').error, /Content-Type for image/);
+  assert.match(validateChatMediaUpload(pdf, 'image', 'image/png').error, /does not match/);
+  assert.match(validateThumbnailUpload(png, 'image/png').error, /Thumbnail Content-Type/);
+
+  // Ledger attachments share the same checks over a narrower list.
+  assert.deepEqual(validateAttachmentUpload(pdf, 'application/pdf'), {contentType: 'application/pdf'});
+  assert.match(validateAttachmentUpload(ogg, 'audio/ogg').error, /Content-Type must be one of/);
+  assert.match(validateAttachmentUpload(png, 'image/jpeg').error, /does not match/);
+  assert.equal(sanitizeFileName(' ../bill<1>.pdf '), '.._bill_1_.pdf');
+});
+
+test('media links are absolute, bound to the viewer and small images are their own thumbnail', () => {
+  const snapshot = {
+    mediaId: 'media-1',
+    kind: 'image',
+    contentType: 'image/png',
+    sizeBytes: CHAT_THUMBNAIL_MAX_BYTES,
+    hasThumbnail: false,
+  };
+  const payload = toChatMediaPayload(snapshot, 'bob', 'https://api.example.com');
+  const url = new URL(payload.url);
+  assert.equal(url.origin, 'https://api.example.com');
+  assert.equal(url.pathname, '/api/messages/media/media-1/download');
+  assert.equal(payload.thumbnailUrl, payload.url);
+
+  const signed = {
+    mediaId: 'media-1',
+    variant: url.searchParams.get('variant'),
+    expires: url.searchParams.get('expires'),
+    signature: url.searchParams.get('signature'),
+  };
+  assert.equal(verifyMediaDownload({...signed, uid: 'bob'}), true);
+  assert.equal(verifyMediaDownload({...signed, uid: 'mallory'}), false);
+
+  const large = toMediaPushFields({...snapshot, sizeBytes: CHAT_THUMBNAIL_MAX_BYTES + 1}, 'bob', 'https://api.example.com');
+  assert.match(large.mediaUrl, /^https:\/\/api\.example\.com\//);
+  assert.equal(large.mediaThumbnailUrl, undefined);
+});
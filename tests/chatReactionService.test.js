@@ -0,0 +1,46 @@
+const {fakeFind} = require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MessageReaction = require('../models/MessageReaction');
+const {normalizeReactionEmoji, loadReactionsSince} = require('../services/chatReactionService');
+
+const objectId = index => index.toString(16).padStart(24, '0');
+const at = new Date('2026-03-01T10:00:00Z');
+
+test('a reaction is exactly one emoji', () => {
+  assert.equal(normalizeReactionEmoji(' 👍 '), '👍');
+  assert.equal(normalizeReactionEmoji('👍🏽'), '👍🏽');
+  assert.equal(normalizeReactionEmoji('👨‍👩‍👧'), '👨‍👩‍👧');
+  assert.equal(normalizeReactionEmoji('🇮🇳'), '🇮🇳');
+  assert.equal(normalizeReactionEmoji('👍👍'), null);
+  assert.equal(normalizeReactionEmoji('a'), null);
+  assert.equal(normalizeReactionEmoji(''), null);
+});
+
+test('the cursor pages through reactions sharing an updatedAt and stays put when nothing is new', async t => {
+  const rows = [
+    {_id: objectId(1), messageId: 'm-1', conversationId: 'c-1', userId: 'bob', emoji: '👍', updatedAt: at},
+    {_id: objectId(2), messageId: 'm-1', conversationId: 'c-1', userId: 'carol', emoji: '', updatedAt: at},
+    {_id: objectId(3), messageId: 'm-2', conversationId: 'c-1', userId: 'bob', emoji: '🎉', updatedAt: new Date(at.getTime() + 1)},
+    {_id: objectId(4), messageId: 'm-9', conversationId: 'other', userId: 'bob', emoji: '🎉', updatedAt: at},
+  ];
+  t.mock.method(MessageReaction, 'find', filter => fakeFind(rows, filter));
+
+  const first = await loadReactionsSince('c-1', '');
+  assert.deepEqual(first.reactions.map(reaction => [reaction.userId, reaction.removed]), [
+    ['bob', false],
+    ['carol', true],
+    ['bob', false],
+  ]);
+  assert.equal(first.hasMore, false);
+
+  // A reaction written in the same millisecond as the cursor row is still
+  // picked up, the cursor row itself is not.
+  rows.push({_id: objectId(5), messageId: 'm-2', conversationId: 'c-1', userId: 'dave', emoji: '😂', updatedAt: new Date(at.getTime() + 1)});
+  const next = await loadReactionsSince('c-1', first.cursor);
+  assert.deepEqual(next.reactions.map(reaction => reaction.userId), ['dave']);
+
+  const idle = await loadReactionsSince('c-1', next.cursor);
+  assert.deepEqual(idle.reactions, []);
+  assert.equal(idle.cursor, next.cursor);
+});
@@ -0,0 +1,61 @@
+const {fakeFind} = require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ConversationSummary = require('../models/ConversationSummary');
+const {recordConversationMessage, listConversationSummaries} = require('../services/conversationSummary');
+
+const unreadIncrement = update => update[0].$set.unreadCount.$add[1];
+
+test('a direct message counts as unread for the receiver only', async t => {
+  const write = t.mock.method(ConversationSummary, 'bulkWrite', async () => ({}));
+  await recordConversationMessage({
+    messageId: 'm-1',
+    conversationId: 'c-1',
+    senderId: 'alice',
+    receiverId: 'bob',
+    messageText: '$where text stays literal',
+    messageTimestamp: 1000,
+  });
+  const [operations] = write.mock.calls[0].arguments;
+  const byOwner = Object.fromEntries(operations.map(({updateOne}) => [updateOne.filter.ownerId, updateOne]));
+  assert.equal(byOwner.alice.update[0].$set.peerId.$literal, 'bob');
+  assert.equal(unreadIncrement(byOwner.alice.update), 0);
+  assert.equal(byOwner.bob.update[0].$set.peerId.$literal, 'alice');
+  assert.notEqual(unreadIncrement(byOwner.bob.update), 0);
+  assert.equal(byOwner.bob.update[0].$set.lastMessagePreview.$cond[1].$literal, '$where text stays literal');
+});
+
+test('a group message counts as unread for every member but the sender', async t => {
+  const write = t.mock.method(ConversationSummary, 'bulkWrite', async () => ({}));
+  await recordConversationMessage(
+    {messageId: 'm-2', conversationId: 'group_g1', senderId: 'alice', messageTimestamp: 1000},
+    ['alice', 'bob', 'carol'],
+  );
+  const [operations] = write.mock.calls[0].arguments;
+  assert.deepEqual(
+    operations.map(({updateOne}) => [updateOne.filter.ownerId, unreadIncrement(updateOne.update) !== 0]),
+    [['alice', false], ['bob', true], ['carol', true]],
+  );
+});
+
+test('a failed summary write never fails the send', async t => {
+  t.mock.method(ConversationSummary, 'bulkWrite', async () => {
+    throw new Error('write conflict');
+  });
+  t.mock.method(console, 'error', () => {});
+  await assert.doesNotReject(
+    recordConversationMessage({messageId: 'm-3', conversationId: 'c-1', senderId: 'a', receiverId: 'b'}),
+  );
+});
+
+test('the conversation list pages newest first across equal timestamps', async t => {
+  const rows = ['c-1', 'c-2', 'c-3'].map(conversationId => ({ownerId: 'alice', conversationId, lastMessageAt: 5000}));
+  rows.push({ownerId: 'alice', conversationId: 'c-0', lastMessageAt: 9000});
+  t.mock.method(ConversationSummary, 'find', filter => fakeFind(rows, filter));
+
+  const first = await listConversationSummaries({ownerId: 'alice', limit: 2});
+  assert.deepEqual(first.summaries.map(row => row.conversationId), ['c-0', 'c-3']);
+  const second = await listConversationSummaries({ownerId: 'alice', before: first.nextCursor, limit: 2});
+  assert.deepEqual(second.summaries.map(row => row.conversationId), ['c-2', 'c-1']);
+  assert.equal(second.nextCursor, null);
+});
@@ -0,0 +1,42 @@
+require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {isConfigurationError} = require('../services/configurationError');
+const {
+  STORAGE_DRIVER,
+  createLocalDiskStorage,
+  createCloudStorage,
+  getStorageDriver,
+} = require('../services/fileStorage');
+
+test('local disk is the default driver and needs no settings', () => {
+  if (!process.env.FILE_STORAGE_DRIVER) {
+    assert.equal(STORAGE_DRIVER, 'local');
+  }
+  assert.equal(getStorageDriver('local').name, 'local');
+});
+
+test('the local driver stores, streams and removes files under its root', async t => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  t.after(() => fs.rmSync(rootDir, {recursive: true, force: true}));
+  const storage = createLocalDiskStorage({rootDir});
+
+  await storage.put('ledger/a/file.jpg', Buffer.from('receipt'));
+  const chunks = [];
+  for await (const chunk of await storage.createReadStream('ledger/a/file.jpg')) {
+    chunks.push(chunk);
+  }
+  assert.equal(Buffer.concat(chunks).toString(), 'receipt');
+
+  await storage.remove('ledger/a/file.jpg');
+  await assert.rejects(storage.createReadStream('ledger/a/file.jpg'), {code: 'ENOENT'});
+  await assert.rejects(storage.put('../escape.txt', Buffer.from('x')), /Invalid storage key/);
+});
+
+test('missing driver settings surface only when the driver is first used', () => {
+  assert.throws(() => createCloudStorage({bucketName: ''}), error => isConfigurationError(error));
+  assert.throws(() => getStorageDriver('s3'), error => isConfigurationError(error));
+});
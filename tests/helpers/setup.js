@@ -0,0 +1,169 @@
+// Shared test setup: no Firebase credentials, no database. Services are
+// exercised against in-memory fakes of the model calls they make.
+const path = require('path');
+const {EventEmitter} = require('events');
+const mongoose = require('mongoose');
+
+process.env.SIGNED_URL_SECRET = process.env.SIGNED_URL_SECRET || 'test-signing-secret';
+
+// Queries against a model a test forgot to fake fail at once instead of
+// waiting for a connection that never comes.
+mongoose.set('bufferCommands', false);
+
+const sentMessages = [];
+const firebasePath = path.resolve(__dirname, '../../config/firebase.js');
+require.cache[firebasePath] = {
+  id: firebasePath,
+  filename: firebasePath,
+  loaded: true,
+  exports: {
+    // The bearer token stands in for the caller's uid.
+    auth: () => ({
+      verifyIdToken: async token => ({uid: token}),
+    }),
+    messaging: () => ({
+      send: async message => {
+        sentMessages.push(message);
+        return 'projects/test/messages/1';
+      },
+    }),
+  },
+};
+
+// Stands in for a mongoose query: chainable, awaitable, and .lean()-able.
+const fakeQuery = result => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: async () => result,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return query;
+};
+
+// Enough of MongoDB's filter language for the services under test.
+const matchesFilter = (row, filter = {}) =>
+  Object.entries(filter).every(([field, expected]) => {
+    if (field === '$or') {
+      return expected.some(item => matchesFilter(row, item));
+    }
+    if (field === '$and') {
+      return expected.every(item => matchesFilter(row, item));
+    }
+    const value = field.split('.').reduce((item, key) => item?.[key], row);
+    if (expected && typeof expected === 'object' && !Array.isArray(expected) && !(expected instanceof Date)) {
+      return Object.entries(expected).every(([operator, operand]) => {
+        switch (operator) {
+          case '$in':
+            return operand.map(String).includes(String(value));
+          case '$nin':
+            return !operand.map(String).includes(String(value));
+          case '$ne':
+            return value !== operand;
+          case '$lt':
+            return value < operand;
+          case '$lte':
+            return value <= operand;
+          case '$gt':
+            return value > operand;
+          case '$gte':
+            return value >= operand;
+          case '$exists':
+            return (value !== undefined) === operand;
+          default:
+            throw new Error(`Unsupported operator in test filter: ${operator}`);
+        }
+      });
+    }
+    return value === expected || (value instanceof Date && expected instanceof Date && +value === +expected);
+  });
+
+// A find() over in-memory rows that honours filter, sort and limit.
+const fakeFind = (rows, filter) => {
+  let result = rows.filter(row => matchesFilter(row, filter));
+  const query = {
+    select: () => query,
+    sort: spec => {
+      const fields = Object.entries(spec);
+      result = [...result].sort((a, b) => {
+        for (const [field, direction] of fields) {
+          if (a[field] < b[field]) return -direction;
+          if (a[field] > b[field]) return direction;
+        }
+        return 0;
+      });
+      return query;
+    },
+    limit: count => {
+      result = result.slice(0, count);
+      return query;
+    },
+    lean: async () => result,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return query;
+};
+
+// Opens a realtime stream for uid on a fake response. events() lists the
+// payloads written to it; close() drops the connection. The hub is required
+// here so a test can set its env first.
+const connectRealtime = uid => {
+  const {openRealtimeStream} = require('../../services/realtimeHub');
+  const req = new EventEmitter();
+  const frames = [];
+  const res = {
+    writableEnded: false,
+    destroyed: false,
+    status: () => res,
+    set: () => res,
+    flushHeaders: () => {},
+    write: frame => frames.push(frame),
+    end: () => {},
+  };
+  openRealtimeStream(req, res, uid);
+  const events = () =>
+    frames
+      .filter(frame => frame.includes('event: ') && !frame.includes('event: ready'))
+      .map(frame => JSON.parse(frame.split('data: ')[1]));
+  return {events, close: () => req.emit('close')};
+};
+
+// Serves an Express router on an ephemeral port. request() sends JSON as the
+// given uid and resolves to {status, body}; close() stops the server.
+const serveRouter = async (mountPath, router) => {
+  const express = require('express');
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}${mountPath}`;
+  return {
+    request: async (method, url, {uid, body} = {}) => {
+      const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: {
+          'content-type': 'application/json',
+          ...(uid ? {authorization: `Bearer ${uid}`} : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      return {status: response.status, body: await response.json()};
+    },
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+};
+
+module.exports = {
+  fakeQuery,
+  fakeFind,
+  matchesFilter,
+  connectRealtime,
+  serveRouter,
+  sentMessages,
+};
@@ -0,0 +1,100 @@
+const {fakeFind, fakeQuery, matchesFilter, serveRouter, sentMessages} = require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const UserBlock = require('../models/UserBlock');
+const LedgerGroup = require('../models/LedgerGroup');
+const LedgerGroupExpense = require('../models/LedgerGroupExpense');
+const ledgerGroupsRouter = require('../routes/ledgerGroups');
+
+const GROUP_ID = 'a'.repeat(24);
+const users = ['owner', 'admin', 'bob', 'carol', 'dave', 'erin'].map(uid => ({
+  firebaseUid: uid,
+  username: uid,
+  displayName: uid,
+  fcmToken: `token-${uid}`,
+  country: 'IN',
+}));
+// carol blocked the group's creator; erin blocked its other admin.
+const blocks = [
+  {blockerId: 'carol', blockedId: 'owner'},
+  {blockerId: 'erin', blockedId: 'admin'},
+];
+
+let server;
+let group;
+let created;
+
+test.before(async () => {
+  server = await serveRouter('/api/ledger/groups', ledgerGroupsRouter);
+});
+
+test.after(() => server.close());
+
+test.beforeEach(t => {
+  sentMessages.length = 0;
+  created = [];
+  group = {
+    _id: GROUP_ID,
+    name: 'Trip',
+    currency: 'INR',
+    createdBy: 'owner',
+    status: 'active',
+    members: [
+      {userId: 'owner', role: 'admin'},
+      {userId: 'admin', role: 'admin'},
+      {userId: 'bob', role: 'member'},
+      {userId: 'carol', role: 'member'},
+    ],
+    save: async () => group,
+  };
+  t.mock.method(User, 'findOne', filter => fakeQuery(users.find(user => matchesFilter(user, filter)) || null));
+  t.mock.method(User, 'find', filter => fakeFind(users, filter));
+  t.mock.method(UserBlock, 'find', filter => fakeFind(blocks, filter));
+  t.mock.method(LedgerGroup, 'findOne', filter =>
+    group.members.some(member => member.userId === filter['members.userId']) ? group : null,
+  );
+  t.mock.method(LedgerGroup, 'create', async doc => {
+    created.push(doc);
+    return {_id: GROUP_ID, ...doc};
+  });
+  t.mock.method(LedgerGroup, 'updateOne', async () => ({modifiedCount: 1}));
+  t.mock.method(LedgerGroupExpense, 'findOne', () => fakeQuery(null));
+  t.mock.method(LedgerGroupExpense, 'create', async doc => doc);
+});
+
+test('a group cannot be created with someone who blocked the creator', async () => {
+  const result = await server.request('POST', '/', {uid: 'owner', body: {name: 'Trip', memberIds: ['bob', 'carol']}});
+  assert.equal(result.status, 403);
+  assert.equal(result.body.code, 'BLOCKED_BY_MEMBER');
+  assert.deepEqual(result.body.userIds, ['carol']);
+  assert.equal(created.length, 0);
+
+  const allowed = await server.request('POST', '/', {uid: 'owner', body: {name: 'Trip', memberIds: ['bob']}});
+  assert.equal(allowed.status, 201);
+});
+
+test('an admin cannot add someone who blocked the creator or another admin', async () => {
+  group.members = group.members.filter(member => member.userId !== 'carol');
+  const result = await server.request('POST', `/${GROUP_ID}/members`, {
+    uid: 'admin',
+    body: {memberIds: ['carol', 'dave', 'erin']},
+  });
+  assert.equal(result.status, 403);
+  assert.deepEqual(result.body.userIds, ['carol', 'erin']);
+  assert.equal(group.members.length, 3);
+
+  const allowed = await server.request('POST', `/${GROUP_ID}/members`, {uid: 'admin', body: {memberIds: ['dave']}});
+  assert.equal(allowed.status, 200);
+  assert.deepEqual(allowed.body.added, ['dave']);
+});
+
+test('members who blocked the expense creator keep their share but get no push', async () => {
+  const result = await server.request('POST', `/${GROUP_ID}/expenses`, {
+    uid: 'owner',
+    body: {expenseId: 'e-1', amount: 300, participants: ['owner', 'bob', 'carol']},
+  });
+  assert.equal(result.status, 201);
+  assert.deepEqual(result.body.expense.splits.map(split => split.userId), ['owner', 'bob', 'carol']);
+  assert.deepEqual(sentMessages.map(message => message.token), ['token-bob']);
+});
@@ -0,0 +1,101 @@
+require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  computeExpenseSplits,
+  computeGroupBalances,
+  simplifyDebts,
+} = require('../services/ledgerGroupService');
+
+const sumShares = splits => splits.reduce((sum, split) => sum + split.shareMinor, 0);
+
+test('equal splits hand leftover minor units to the earliest participants', () => {
+  const {splits} = computeExpenseSplits({
+    amountMinor: 1000,
+    splitMode: 'equal',
+    participants: [{userId: 'a'}, {userId: 'b'}, {userId: 'c'}],
+  });
+  assert.deepEqual(splits.map(split => split.shareMinor), [334, 333, 333]);
+  assert.equal(sumShares(splits), 1000);
+});
+
+test('share splits round by largest fraction and always add up to the total', () => {
+  const {splits} = computeExpenseSplits({
+    amountMinor: 100,
+    splitMode: 'shares',
+    participants: [
+      {userId: 'a', shares: 1},
+      {userId: 'b', shares: 1},
+      {userId: 'c', shares: 1},
+      {userId: 'd', shares: 3},
+    ],
+  });
+  // 16.67, 16.67, 16.67, 50: two leftover units go to the first two.
+  assert.deepEqual(splits.map(split => split.shareMinor), [17, 17, 16, 50]);
+  assert.equal(sumShares(splits), 100);
+
+  for (let amountMinor = 1; amountMinor <= 200; amountMinor += 1) {
+    const result = computeExpenseSplits({
+      amountMinor,
+      splitMode: 'shares',
+      participants: [{userId: 'a', shares: 2}, {userId: 'b', shares: 3}, {userId: 'c', shares: 7}],
+    });
+    assert.equal(sumShares(result.splits), amountMinor);
+  }
+});
+
+test('exact splits must add up and reject fractional or negative amounts', () => {
+  assert.equal(
+    computeExpenseSplits({
+      amountMinor: 500,
+      splitMode: 'exact',
+      participants: [{userId: 'a', amountMinor: 200}, {userId: 'b', amountMinor: 200}],
+    }).error,
+    'Exact amounts must add up to the expense amount',
+  );
+  assert.ok(
+    computeExpenseSplits({
+      amountMinor: 500,
+      splitMode: 'exact',
+      participants: [{userId: 'a', amountMinor: 250.5}, {userId: 'b', amountMinor: 249.5}],
+    }).error,
+  );
+  const {splits} = computeExpenseSplits({
+    amountMinor: 500,
+    splitMode: 'exact',
+    participants: [{userId: 'a', amountMinor: 500}, {userId: 'b', amountMinor: 0}],
+  });
+  assert.deepEqual(splits.map(split => split.shareMinor), [500, 0]);
+});
+
+test('invalid totals, participants and modes are rejected', () => {
+  assert.ok(computeExpenseSplits({amountMinor: 0, splitMode: 'equal', participants: [{userId: 'a'}]}).error);
+  assert.ok(computeExpenseSplits({amountMinor: 10.5, splitMode: 'equal', participants: [{userId: 'a'}]}).error);
+  assert.ok(computeExpenseSplits({amountMinor: 10, splitMode: 'equal', participants: []}).error);
+  assert.ok(computeExpenseSplits({amountMinor: 10, splitMode: 'percent', participants: [{userId: 'a'}]}).error);
+  assert.ok(
+    computeExpenseSplits({amountMinor: 10, splitMode: 'shares', participants: [{userId: 'a', shares: 0}]}).error,
+  );
+});
+
+test('group balances net opposite debts and simplify to at most members - 1 transfers', () => {
+  const expenses = [
+    {paidBy: 'a', amountMinor: 900, splits: [{userId: 'a', shareMinor: 300}, {userId: 'b', shareMinor: 300}, {userId: 'c', shareMinor: 300}]},
+    {paidBy: 'b', amountMinor: 600, splits: [{userId: 'a', shareMinor: 200}, {userId: 'b', shareMinor: 200}, {userId: 'c', shareMinor: 200}]},
+  ];
+  const {members, obligations} = computeGroupBalances(expenses);
+  const net = Object.fromEntries(members.map(member => [member.userId, member.netMinor]));
+  assert.deepEqual(net, {a: 400, b: 100, c: -500});
+  assert.equal(members.reduce((sum, member) => sum + member.netMinor, 0), 0);
+
+  // b owed a 300 and a owed b 200: one obligation of 100 is left.
+  const ab = obligations.find(item => [item.fromUserId, item.toUserId].sort().join() === 'a,b');
+  assert.deepEqual(ab, {fromUserId: 'b', toUserId: 'a', amountMinor: 100});
+
+  const transfers = simplifyDebts(members);
+  assert.ok(transfers.length <= members.length - 1);
+  assert.deepEqual(transfers, [
+    {fromUserId: 'c', toUserId: 'a', amountMinor: 400},
+    {fromUserId: 'c', toUserId: 'b', amountMinor: 100},
+  ]);
+});
@@ -0,0 +1,41 @@
+require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {
+  normalizeContactPhone,
+  attachPhoneContactEntries,
+  verifiedPhoneFromToken,
+  buildStatementShareLink,
+  verifyStatementShareLink,
+} = require('../services/ledgerPhoneContactService');
+
+const linkParams = link => Object.fromEntries(new URL(link.path, 'https://api.example.com').searchParams);
+
+test('a share link opens the statement for its own owner and phone only', () => {
+  const params = linkParams(buildStatementShareLink('owner-1', '9876543210', 7));
+  assert.equal(verifyStatementShareLink(params), true);
+  assert.equal(verifyStatementShareLink({...params, phone: '9876543211'}), false);
+  assert.equal(verifyStatementShareLink({...params, owner: 'owner-2'}), false);
+});
+
+test('share links are capped at 90 days', () => {
+  const link = buildStatementShareLink('owner-1', '9876543210', 365);
+  const days = (link.expiresAt - Date.now()) / (24 * 60 * 60 * 1000);
+  assert.ok(days > 89.9 && days <= 90);
+});
+
+test('only an SMS-verified phone on the token can claim entries', () => {
+  assert.equal(verifiedPhoneFromToken({phone_number: '+91 98765 43210'}), '9876543210');
+  assert.equal(verifiedPhoneFromToken({mobile: '9876543210'}), '');
+  assert.equal(normalizeContactPhone('12'), '');
+});
+
+test('claiming attaches unowned phone entries recorded by others', async t => {
+  const update = t.mock.method(LedgerTransaction, 'updateMany', async () => ({modifiedCount: 2}));
+  assert.equal(await attachPhoneContactEntries('new-user', '9876543210'), 2);
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.deepEqual(filter, {receiverPhone: '9876543210', receiverId: '', sourceUserId: {$ne: 'new-user'}});
+  assert.equal(change.$set.receiverId, 'new-user');
+  assert.equal(await attachPhoneContactEntries('', '9876543210'), 0);
+});
@@ -0,0 +1,24 @@
+require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {computeNextRecurringRun} = require('../services/ledgerRecurringService');
+
+test('monthly runs clamp to short months and return to the anchor day', () => {
+  const template = {cadence: 'monthly', anchorDay: 31};
+  const january = new Date('2026-01-31T10:00:00Z');
+  const february = computeNextRecurringRun(template, january);
+  assert.equal(february.toISOString(), '2026-02-28T10:00:00.000Z');
+  const march = computeNextRecurringRun(template, february);
+  assert.equal(march.toISOString(), '2026-03-31T10:00:00.000Z');
+  assert.equal(computeNextRecurringRun(template, new Date('2026-12-31T10:00:00Z')).toISOString(), '2027-01-31T10:00:00.000Z');
+});
+
+test('daily and weekly runs step by whole days from the last run', () => {
+  const from = new Date('2026-03-01T08:30:00Z');
+  assert.equal(computeNextRecurringRun({cadence: 'daily'}, from).toISOString(), '2026-03-02T08:30:00.000Z');
+  assert.equal(computeNextRecurringRun({cadence: 'weekly'}, from).toISOString(), '2026-03-08T08:30:00.000Z');
+  assert.equal(
+    computeNextRecurringRun({cadence: 'weekly', nextRunAt: from}).toISOString(),
+    '2026-03-08T08:30:00.000Z',
+  );
+});
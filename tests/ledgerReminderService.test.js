@@ -0,0 +1,101 @@
+const {fakeQuery, sentMessages} = require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const UserBlock = require('../models/UserBlock');
+const LedgerReminder = require('../models/LedgerReminder');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {computeNextWeeklyRun, runDueLedgerReminders} = require('../services/ledgerReminderService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const anchor = new Date('2026-01-05T09:00:00Z');
+
+test('weekly runs stay on the anchor weekday and time however late they fire', () => {
+  assert.deepEqual(computeNextWeeklyRun(anchor, new Date(anchor.getTime() + 1000)), new Date(anchor.getTime() + 7 * DAY_MS));
+  // Snoozed to Wednesday of the second week: the next run is still a Monday.
+  const afterSnooze = computeNextWeeklyRun(anchor, new Date(anchor.getTime() + 9 * DAY_MS));
+  assert.deepEqual(afterSnooze, new Date(anchor.getTime() + 14 * DAY_MS));
+  assert.equal(afterSnooze.getUTCDay(), anchor.getUTCDay());
+  // A run exactly on a week boundary moves on to the following week.
+  assert.deepEqual(computeNextWeeklyRun(anchor, new Date(anchor.getTime() + 14 * DAY_MS)), new Date(anchor.getTime() + 21 * DAY_MS));
+});
+
+const dueReminder = (overrides = {}) => {
+  const reminder = {
+    _id: 'r-1',
+    ownerId: 'owner',
+    debtorId: 'debtor',
+    currency: 'INR',
+    recurrence: 'weekly',
+    status: 'scheduled',
+    anchorAt: anchor,
+    nextRunAt: new Date(Date.now() - 1000),
+    sentCount: 0,
+    dispatches: [],
+    ...overrides,
+  };
+  reminder.save = async () => reminder;
+  return reminder;
+};
+
+const mockRun = (t, reminder, {blockedByDebtor = false, owedMinor = 50000} = {}) => {
+  let claimed = false;
+  t.mock.method(LedgerReminder, 'findOneAndUpdate', async () => {
+    if (claimed) {
+      return null;
+    }
+    claimed = true;
+    return reminder;
+  });
+  t.mock.method(LedgerTransaction, 'find', () =>
+    fakeQuery(
+      owedMinor
+        ? [{sourceUserId: 'owner', receiverId: 'debtor', entryType: 'paid', amountMinor: owedMinor, currency: 'INR'}]
+        : [],
+    ),
+  );
+  t.mock.method(User, 'findOne', filter =>
+    fakeQuery(
+      filter.firebaseUid === 'owner'
+        ? {firebaseUid: 'owner', displayName: 'Owner'}
+        : {firebaseUid: 'debtor', fcmToken: 'token-debtor', country: 'IN'},
+    ),
+  );
+  t.mock.method(UserBlock, 'exists', () => fakeQuery(blockedByDebtor ? {_id: 'block'} : null));
+};
+
+test.beforeEach(() => {
+  sentMessages.length = 0;
+});
+
+test('a due reminder pushes the outstanding amount and schedules the next week', async t => {
+  const reminder = dueReminder();
+  mockRun(t, reminder);
+  const summary = await runDueLedgerReminders({batchSize: 5});
+  assert.equal(summary.sent, 1);
+  assert.equal(sentMessages.length, 1);
+  assert.equal(sentMessages[0].data.amountMinor, '50000');
+  assert.equal(reminder.status, 'scheduled');
+  assert.equal(reminder.nextRunAt.getUTCDay(), anchor.getUTCDay());
+  assert.ok(reminder.nextRunAt > new Date());
+});
+
+test('a settled balance completes the reminder without a push', async t => {
+  const reminder = dueReminder();
+  mockRun(t, reminder, {owedMinor: 0});
+  const summary = await runDueLedgerReminders({batchSize: 5});
+  assert.equal(summary.settled, 1);
+  assert.equal(reminder.status, 'completed');
+  assert.equal(sentMessages.length, 0);
+});
+
+test('a debtor who blocked the owner gets no push but the schedule carries on', async t => {
+  const reminder = dueReminder();
+  mockRun(t, reminder, {blockedByDebtor: true});
+  const summary = await runDueLedgerReminders({batchSize: 5});
+  assert.equal(summary.blocked, 1);
+  assert.equal(sentMessages.length, 0);
+  assert.equal(reminder.dispatches[0].error, 'Blocked by debtor');
+  assert.equal(reminder.status, 'scheduled');
+});
+
@@ -0,0 +1,225 @@
+const {fakeQuery, sentMessages} = require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const UserBlock = require('../models/UserBlock');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const LedgerIdempotencyKey = require('../models/LedgerIdempotencyKey');
+const {syncLedgerOperation} = require('../services/ledgerService');
+
+const users = [
+  {_id: 'u-alice', firebaseUid: 'alice', username: 'alice', displayName: 'Alice', country: 'IN'},
+  {_id: 'u-bob', firebaseUid: 'bob', username: 'bob', displayName: 'Bob', fcmToken: 'token-bob', country: 'IN'},
+  {_id: 'u-carol', firebaseUid: 'carol', username: 'carol', displayName: 'Carol', country: 'IN'},
+  {_id: 'u-dave', firebaseUid: 'dave', username: 'dave', displayName: 'Dave', fcmToken: 'token-dave'},
+];
+// dave has blocked alice.
+const blocks = [{blockerId: 'dave', blockedId: 'alice'}];
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), {code: 11000});
+const rowKey = filter => `${filter.sourceUserId}|${filter.originTxnId}`;
+
+let idempotencyKeys;
+let transactions;
+
+test.beforeEach(t => {
+  idempotencyKeys = new Map();
+  transactions = new Map();
+  sentMessages.length = 0;
+
+  t.mock.method(User, 'findOne', filter => {
+    const [field, value] = Object.entries(filter)[0];
+    return fakeQuery(users.find(user => user[field] === value) || null);
+  });
+  t.mock.method(UserBlock, 'exists', filter =>
+    fakeQuery(
+      blocks.some(row => row.blockerId === filter.blockerId && row.blockedId === filter.blockedId)
+        ? {_id: 'block'}
+        : null,
+    ),
+  );
+
+  const idempotencyId = filter => `${filter.sourceUserId}|${filter.key}`;
+  t.mock.method(LedgerIdempotencyKey, 'create', async doc => {
+    if (idempotencyKeys.has(idempotencyId(doc))) {
+      throw duplicateKeyError();
+    }
+    idempotencyKeys.set(idempotencyId(doc), {...doc});
+    return doc;
+  });
+  t.mock.method(LedgerIdempotencyKey, 'findOne', filter =>
+    fakeQuery(idempotencyKeys.get(idempotencyId(filter)) || null),
+  );
+  t.mock.method(LedgerIdempotencyKey, 'updateOne', async (filter, update) => {
+    const row = idempotencyKeys.get(idempotencyId(filter));
+    if (row) {
+      Object.assign(row, update.$set);
+    }
+    return {modifiedCount: row ? 1 : 0};
+  });
+  t.mock.method(LedgerIdempotencyKey, 'deleteOne', async filter => {
+    const row = idempotencyKeys.get(idempotencyId(filter));
+    if (row && row.state === filter.state) {
+      idempotencyKeys.delete(idempotencyId(filter));
+    }
+    return {deletedCount: row ? 1 : 0};
+  });
+
+  // The unique (sourceUserId, originTxnId) index: a version-guarded upsert
+  // that finds only a newer row tries to insert and collides. Validators run
+  // against the real schema when the caller asks for them.
+  t.mock.method(LedgerTransaction, 'findOne', filter => fakeQuery(transactions.get(rowKey(filter)) || null));
+  t.mock.method(LedgerTransaction, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    if (options.runValidators) {
+      const invalid = new LedgerTransaction({...update.$setOnInsert, ...update.$set}).validateSync();
+      if (invalid) {
+        throw invalid;
+      }
+    }
+    const existing = transactions.get(rowKey(filter));
+    if (existing && existing.version >= filter.version.$lt) {
+      throw duplicateKeyError();
+    }
+    const {$each, $slice} = update.$push.operations;
+    const row = {
+      _id: `txn-${rowKey(filter)}`,
+      ...update.$setOnInsert,
+      ...existing,
+      ...update.$set,
+      operations: [...(existing?.operations || []), ...$each].slice($slice),
+    };
+    transactions.set(rowKey(filter), row);
+    return row;
+  });
+  t.mock.method(LedgerTransaction, 'updateOne', async () => ({modifiedCount: 1}));
+});
+
+const entry = (overrides = {}) => ({
+  peerUserId: 'bob',
+  originTxnId: 'txn-1',
+  amount: 250.5,
+  currency: 'INR',
+  entryType: 'paid',
+  note: 'Lunch',
+  version: 1,
+  ...overrides,
+});
+
+test('a create is stored in minor units before it is pushed to the receiver', async () => {
+  const result = await syncLedgerOperation('alice', entry());
+  assert.equal(result.statusCode, 200);
+  assert.equal(result.body.delivered, true);
+  assert.equal(result.body.channel, 'fcm');
+  assert.equal(sentMessages.length, 1);
+  assert.equal(sentMessages[0].token, 'token-bob');
+  assert.equal(sentMessages[0].data.amountMinor, '25050');
+
+  const stored = transactions.get('alice|txn-1');
+  assert.equal(stored.receiverId, 'bob');
+  assert.equal(stored.amountMinor, 25050);
+  assert.deepEqual(stored.operations.map(operation => operation.op), ['create']);
+});
+
+test('a receiver with no way to be reached gets the entry queued on the server', async () => {
+  const result = await syncLedgerOperation('alice', entry({peerUserId: 'carol'}));
+  assert.equal(result.statusCode, 200);
+  assert.equal(result.body.queued, true);
+  assert.equal(result.body.stored, true);
+  assert.equal(transactions.get('alice|txn-1').receiverId, 'carol');
+  assert.equal(sentMessages.length, 0);
+});
+
+test('invalid payloads are rejected and leave no key behind', async () => {
+  assert.equal((await syncLedgerOperation('', entry())).statusCode, 401);
+  assert.equal((await syncLedgerOperation('alice', entry({amount: 0}))).statusCode, 400);
+  assert.equal((await syncLedgerOperation('alice', entry({currency: 'rupees'}))).statusCode, 400);
+  assert.equal((await syncLedgerOperation('alice', entry({peerUserId: 'alice'}))).statusCode, 400);
+  assert.equal(idempotencyKeys.size, 0);
+});
+
+test('an update must carry a positive amount like a create', async () => {
+  await syncLedgerOperation('alice', entry());
+  const zero = await syncLedgerOperation('alice', entry({op: 'update', amount: 0, version: 2}));
+  assert.equal(zero.statusCode, 400);
+  const belowUnit = await syncLedgerOperation('alice', entry({op: 'update', amount: 0.001, version: 2}));
+  assert.equal(belowUnit.statusCode, 400);
+  assert.equal(transactions.get('alice|txn-1').amountMinor, 25050);
+
+  const removed = await syncLedgerOperation('alice', entry({op: 'delete', amount: 0, version: 2}));
+  assert.equal(removed.statusCode, 200);
+  assert.equal(transactions.get('alice|txn-1').isDeleted, true);
+});
+
+test('schema limits apply to synced entries', async () => {
+  const result = await syncLedgerOperation('alice', entry({note: 'x'.repeat(1001), idempotencyKey: 'k-note'}));
+  assert.equal(result.statusCode, 400);
+  assert.match(result.body.message, /note/);
+  assert.equal(transactions.size, 0);
+  assert.equal(idempotencyKeys.has('alice|k-note'), false);
+});
+
+test('the operation log keeps only the newest ops', async () => {
+  for (let version = 1; version <= 205; version += 1) {
+    await syncLedgerOperation('alice', entry({op: version === 1 ? 'create' : 'update', amount: version, version}));
+  }
+  const {operations} = transactions.get('alice|txn-1');
+  assert.equal(operations.length, 200);
+  assert.equal(operations[0].version, 6);
+  assert.equal(operations.at(-1).version, 205);
+});
+
+test('a repeated idempotency key replays the stored response without a second push', async () => {
+  const first = await syncLedgerOperation('alice', entry({idempotencyKey: 'k-1'}));
+  assert.equal(first.statusCode, 200);
+  assert.equal(idempotencyKeys.get('alice|k-1').state, 'completed');
+
+  const replay = await syncLedgerOperation('alice', entry({idempotencyKey: 'k-1'}));
+  assert.equal(replay.statusCode, 200);
+  assert.equal(replay.body.replayed, true);
+  assert.equal(replay.body.delivered, true);
+  assert.equal(sentMessages.length, 1);
+  assert.equal(transactions.get('alice|txn-1').operations.length, 1);
+});
+
+test('a retry while the first request still runs is turned away', async () => {
+  idempotencyKeys.set('alice|k-2', {sourceUserId: 'alice', key: 'k-2', state: 'processing'});
+  const result = await syncLedgerOperation('alice', entry({idempotencyKey: 'k-2'}));
+  assert.equal(result.statusCode, 409);
+  assert.equal(result.body.code, 'REQUEST_IN_PROGRESS');
+  assert.equal(transactions.size, 0);
+  assert.equal(sentMessages.length, 0);
+});
+
+test('a stale version is a conflict that reports the server version and frees the key', async () => {
+  await syncLedgerOperation('alice', entry({version: 3}));
+  sentMessages.length = 0;
+
+  const stale = await syncLedgerOperation('alice', entry({op: 'update', amount: 99, version: 2, idempotencyKey: 'k-3'}));
+  assert.equal(stale.statusCode, 409);
+  assert.equal(stale.body.code, 'VERSION_CONFLICT');
+  assert.equal(stale.body.currentVersion, 3);
+  assert.equal(idempotencyKeys.has('alice|k-3'), false);
+  assert.equal(transactions.get('alice|txn-1').amountMinor, 25050);
+  assert.equal(sentMessages.length, 0);
+
+  const newer = await syncLedgerOperation('alice', entry({op: 'update', amount: 99, version: 4, idempotencyKey: 'k-3'}));
+  assert.equal(newer.statusCode, 200);
+  assert.equal(newer.body.version, 4);
+  assert.equal(transactions.get('alice|txn-1').amountMinor, 9900);
+});
+
+test('receiverUid pins the receiver over the payload peer', async () => {
+  const result = await syncLedgerOperation('alice', entry({peerUserId: 'dave'}), {receiverUid: 'bob'});
+  assert.equal(result.statusCode, 200);
+  assert.equal(transactions.get('alice|txn-1').receiverId, 'bob');
+  assert.equal(sentMessages[0].token, 'token-bob');
+});
+
+test('an entry for a receiver who blocked the sender is refused before it is stored', async () => {
+  const result = await syncLedgerOperation('alice', entry({peerUserId: 'dave', idempotencyKey: 'k-4'}));
+  assert.equal(result.statusCode, 403);
+  assert.equal(result.body.code, 'BLOCKED_BY_RECEIVER');
+  assert.equal(transactions.size, 0);
+  assert.equal(idempotencyKeys.has('alice|k-4'), false);
+  assert.equal(sentMessages.length, 0);
+});
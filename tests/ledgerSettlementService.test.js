@@ -0,0 +1,90 @@
+require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  settlementEntryKey,
+  computeSettledByEntry,
+  allocateSettlement,
+} = require('../services/ledgerSettlementService');
+
+// 'me' paid 'peer' three times, so the peer owes 'me' 600 INR in total.
+const entry = (originTxnId, amountMinor, entryTimestamp, extra = {}) => ({
+  sourceUserId: 'me',
+  receiverId: 'peer',
+  originTxnId,
+  kind: 'entry',
+  entryType: 'paid',
+  amountMinor,
+  currency: 'INR',
+  entryTimestamp,
+  ...extra,
+});
+
+const settlement = (originTxnId, settles, extra = {}) => ({
+  sourceUserId: 'me',
+  receiverId: 'peer',
+  originTxnId,
+  kind: 'settlement',
+  entryType: 'get',
+  amountMinor: settles.reduce((sum, link) => sum + link.amountMinor, 0),
+  currency: 'INR',
+  entryTimestamp: 100,
+  settles,
+  ...extra,
+});
+
+const rows = [entry('t1', 100, 1), entry('t2', 200, 2), entry('t3', 300, 3)];
+
+test('allocateSettlement clears the oldest open entries first', () => {
+  const links = allocateSettlement({rows, uid: 'me', currency: 'INR', debtType: 'paid', amountMinor: 250});
+  assert.deepEqual(links, [
+    {sourceUserId: 'me', originTxnId: 't1', amountMinor: 100},
+    {sourceUserId: 'me', originTxnId: 't2', amountMinor: 150},
+  ]);
+});
+
+test('allocateSettlement continues from what earlier settlements left open', () => {
+  const settled = [
+    ...rows,
+    settlement('s1', [
+      {sourceUserId: 'me', originTxnId: 't1', amountMinor: 100},
+      {sourceUserId: 'me', originTxnId: 't2', amountMinor: 150},
+    ]),
+  ];
+  const links = allocateSettlement({rows: settled, uid: 'me', currency: 'INR', debtType: 'paid', amountMinor: 1000});
+  assert.deepEqual(links, [
+    {sourceUserId: 'me', originTxnId: 't2', amountMinor: 50},
+    {sourceUserId: 'me', originTxnId: 't3', amountMinor: 300},
+  ]);
+});
+
+test('allocateSettlement only touches entries in the currency and direction settled', () => {
+  const mixed = [
+    ...rows,
+    entry('usd', 500, 0, {currency: 'USD'}),
+    // Recorded by the peer as "get": from my side I owe them, not the reverse.
+    {...entry('theirs', 400, 0), sourceUserId: 'peer', receiverId: 'me', entryType: 'paid'},
+  ];
+  const links = allocateSettlement({rows: mixed, uid: 'me', currency: 'INR', debtType: 'paid', amountMinor: 100});
+  assert.deepEqual(links, [{sourceUserId: 'me', originTxnId: 't1', amountMinor: 100}]);
+
+  const owed = allocateSettlement({rows: mixed, uid: 'me', currency: 'INR', debtType: 'get', amountMinor: 1000});
+  assert.deepEqual(owed, [{sourceUserId: 'peer', originTxnId: 'theirs', amountMinor: 400}]);
+});
+
+test('computeSettledByEntry ignores deleted settlements and caps at the entry amount', () => {
+  const settledRows = [
+    entry('t1', 100, 1),
+    // Edited down to 80 after 100 had been settled.
+    entry('t2', 80, 2),
+    settlement('s1', [
+      {sourceUserId: 'me', originTxnId: 't1', amountMinor: 60},
+      {sourceUserId: 'me', originTxnId: 't2', amountMinor: 100},
+    ]),
+    settlement('s2', [{sourceUserId: 'me', originTxnId: 't1', amountMinor: 40}], {isDeleted: true}),
+  ];
+  const settled = computeSettledByEntry(settledRows);
+  assert.equal(settled.get(settlementEntryKey('me', 't1')), 60);
+  assert.equal(settled.get(settlementEntryKey('me', 't2')), 80);
+  assert.equal(settled.has(settlementEntryKey('me', 's1')), false);
+});
@@ -0,0 +1,53 @@
+require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {buildStatement, renderStatementCsv} = require('../services/ledgerStatement');
+
+const row = (originTxnId, entryType, amountMinor, entryTimestamp, extra = {}) => ({
+  sourceUserId: 'me',
+  receiverId: 'peer',
+  originTxnId,
+  kind: 'entry',
+  entryType,
+  amountMinor,
+  currency: 'INR',
+  entryTimestamp,
+  note: '',
+  ...extra,
+});
+
+const rows = [
+  row('before', 'paid', 10000, 5),
+  row('t1', 'paid', 50000, 20, {note: 'Rent'}),
+  row('t2', 'get', 70000, 30, {note: '=HYPERLINK("http://evil")'}),
+  row('usd', 'paid', 999, 25, {currency: 'USD'}),
+];
+
+const statement = () =>
+  buildStatement({
+    rows,
+    viewerId: 'me',
+    currency: 'INR',
+    from: 10,
+    to: 40,
+    ownerName: '+Owner',
+    peerName: 'Peer',
+    locale: 'en-IN',
+  });
+
+test('entries before the period only feed the opening balance', () => {
+  const result = statement();
+  assert.equal(result.openingBalance, 100);
+  assert.deepEqual(result.entries.map(entry => entry.originTxnId), ['t1', 't2']);
+  assert.deepEqual(result.entries.map(entry => entry.runningBalance), [600, -100]);
+  assert.equal(result.closingBalance, -100);
+});
+
+test('CSV quotes user text that a spreadsheet would run as a formula, but not amounts', () => {
+  const csv = renderStatementCsv(statement());
+  const lines = csv.split('\r\n');
+  assert.match(lines[0], /^Statement,'\+Owner,with,Peer$/);
+  assert.ok(csv.includes(`"'=HYPERLINK(""http://evil"")"`));
+  assert.ok(!csv.includes("'-"));
+  assert.match(lines.at(-1), /^Closing balance,"?-₹100\.00"?$/);
+});
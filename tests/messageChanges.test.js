@@ -0,0 +1,120 @@
+const {fakeQuery, serveRouter, sentMessages} = require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const SentMessage = require('../models/SentMessage');
+const ChatMessage = require('../models/ChatMessage');
+const MessageDelivery = require('../models/MessageDelivery');
+const ConversationSummary = require('../models/ConversationSummary');
+const {CHAT_EDIT_WINDOW_MINUTES, CHAT_DELETE_WINDOW_MINUTES, recordSentMessage} = require('../services/chatDelivery');
+const messagesRouter = require('../routes/messages');
+
+const MINUTE_MS = 60 * 1000;
+const minutesAgo = minutes => new Date(Date.now() - minutes * MINUTE_MS);
+
+let server;
+let sent;
+let updates;
+
+test.before(async () => {
+  server = await serveRouter('/api/messages', messagesRouter);
+});
+
+test.after(() => server.close());
+
+// Delivery rows and archived copies are already gone: only the sender-side
+// record is left to vouch for each message.
+test.beforeEach(t => {
+  sentMessages.length = 0;
+  updates = [];
+  sent = new Map([
+    ['m-fresh', {messageId: 'm-fresh', conversationId: 'alice_bob', senderId: 'alice', acceptedAt: minutesAgo(1)}],
+    [
+      'm-old',
+      {
+        messageId: 'm-old',
+        conversationId: 'alice_bob',
+        senderId: 'alice',
+        acceptedAt: minutesAgo(CHAT_EDIT_WINDOW_MINUTES + 1),
+      },
+    ],
+  ]);
+  t.mock.method(SentMessage, 'findOne', filter => fakeQuery(sent.get(filter.messageId) || null));
+  t.mock.method(SentMessage, 'updateOne', async (filter, update) => {
+    Object.assign(sent.get(filter.messageId), update.$set);
+    return {modifiedCount: 1};
+  });
+  t.mock.method(MessageDelivery, 'findOne', () => fakeQuery(null));
+  t.mock.method(ChatMessage, 'findOne', () => fakeQuery(null));
+  const recordUpdate = model => async (filter, update) => {
+    updates.push({model, set: update.$set});
+    return {modifiedCount: 0};
+  };
+  t.mock.method(MessageDelivery, 'updateMany', recordUpdate('delivery'));
+  t.mock.method(ChatMessage, 'updateMany', recordUpdate('archive'));
+  t.mock.method(ConversationSummary, 'updateMany', recordUpdate('summary'));
+  t.mock.method(User, 'findOne', filter => fakeQuery({firebaseUid: filter.firebaseUid, fcmToken: `token-${filter.firebaseUid}`}));
+});
+
+const edit = (messageId, uid, body = {}) =>
+  server.request('POST', `/${messageId}/edit`, {uid, body: {messageText: 'fixed typo', ...body}});
+const remove = (messageId, uid, body = {}) => server.request('POST', `/${messageId}/delete`, {uid, body});
+
+test('the sender can edit within the window once every delivery row is gone', async () => {
+  const result = await edit('m-fresh', 'alice');
+  assert.equal(result.status, 200);
+  assert.equal(result.body.channel, 'fcm');
+  assert.equal(sentMessages[0].token, 'token-bob');
+  assert.equal(sentMessages[0].data.type, 'chat_message_edited');
+  assert.ok(sent.get('m-fresh').editedAt instanceof Date);
+});
+
+test('a message nobody can vouch for is not changed or relayed', async () => {
+  const result = await remove('m-unknown', 'mallory', {conversationId: 'bob_mallory'});
+  assert.equal(result.status, 404);
+  assert.equal(updates.length, 0);
+  assert.equal(sentMessages.length, 0);
+});
+
+test('only the sender may change a message', async () => {
+  const result = await remove('m-fresh', 'bob');
+  assert.equal(result.status, 403);
+  assert.equal(sentMessages.length, 0);
+});
+
+test('edits and deletes close at their own windows and a deleted message stays deleted', async () => {
+  const late = await edit('m-old', 'alice');
+  assert.equal(late.status, 409);
+  assert.equal(late.body.code, 'CHANGE_WINDOW_EXPIRED');
+
+  assert.ok(CHAT_DELETE_WINDOW_MINUTES > CHAT_EDIT_WINDOW_MINUTES + 1);
+  const deleted = await remove('m-old', 'alice');
+  assert.equal(deleted.status, 200);
+  assert.ok(sent.get('m-old').deletedAt instanceof Date);
+  assert.deepEqual(
+    updates.filter(update => update.model === 'delivery').map(update => update.set.messageText),
+    [''],
+  );
+
+  const again = await remove('m-old', 'alice');
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, 'MESSAGE_DELETED');
+
+  sent.get('m-fresh').acceptedAt = minutesAgo(CHAT_DELETE_WINDOW_MINUTES + 1);
+  const expired = await remove('m-fresh', 'alice');
+  assert.equal(expired.body.code, 'CHANGE_WINDOW_EXPIRED');
+});
+
+test('a messageId already recorded for another sender is not taken over', async t => {
+  const stored = [];
+  t.mock.method(SentMessage, 'findOneAndUpdate', (filter, update) => {
+    stored.push(update.$setOnInsert);
+    return fakeQuery(stored[0]);
+  });
+  const first = await recordSentMessage({messageId: 'm-1', conversationId: 'alice_bob', senderId: 'alice'});
+  const second = await recordSentMessage({messageId: 'm-1', conversationId: 'bob_mallory', senderId: 'mallory'});
+  assert.equal(first.senderId, 'alice');
+  assert.equal(second.senderId, 'alice');
+  const keptMinutes = (first.expiresAt - first.acceptedAt) / MINUTE_MS;
+  assert.equal(keptMinutes, Math.max(CHAT_EDIT_WINDOW_MINUTES, CHAT_DELETE_WINDOW_MINUTES));
+});
@@ -0,0 +1,93 @@
+const {connectRealtime, fakeFind, fakeQuery} = require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const UserBlock = require('../models/UserBlock');
+const Conversation = require('../models/Conversation');
+const ConversationSummary = require('../models/ConversationSummary');
+const ConversationTyping = require('../models/ConversationTyping');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const {
+  PRESENCE_TIMEOUT_SECONDS,
+  loadPresence,
+  resolvePresenceAudience,
+  setTyping,
+} = require('../services/presenceService');
+
+const now = Date.now();
+const secondsAgo = seconds => new Date(now - seconds * 1000);
+
+test('presence goes offline when heartbeats stop and stays unknown for hidden users', async t => {
+  const users = [
+    {firebaseUid: 'fresh', isOnline: true, lastHeartbeatAt: secondsAgo(10)},
+    {firebaseUid: 'stale', isOnline: true, lastHeartbeatAt: secondsAgo(PRESENCE_TIMEOUT_SECONDS + 5)},
+    {firebaseUid: 'hidden', isOnline: true, lastHeartbeatAt: secondsAgo(10), privacy: {lastSeenVisible: false}},
+  ];
+  t.mock.method(User, 'find', filter => fakeFind(users, filter));
+
+  const byUid = Object.fromEntries((await loadPresence(['fresh', 'stale', 'hidden', 'fresh'])).map(row => [row.uid, row]));
+  assert.equal(byUid.fresh.online, true);
+  assert.equal(byUid.stale.online, false);
+  assert.equal(byUid.stale.lastSeen, users[1].lastHeartbeatAt.getTime());
+  assert.deepEqual(byUid.hidden, {uid: 'hidden', visible: false, online: null, lastSeen: null});
+});
+
+test('only chat, group and ledger peers outside a block are in the audience', async t => {
+  const blocks = [
+    {blockerId: 'me', blockedId: 'blocked-by-me'},
+    {blockerId: 'blocks-me', blockedId: 'me'},
+  ];
+  t.mock.method(ConversationSummary, 'find', filter =>
+    fakeFind([{ownerId: 'me', peerId: 'chat-peer'}, {ownerId: 'me', peerId: 'blocked-by-me'}], filter),
+  );
+  t.mock.method(Conversation, 'find', () =>
+    fakeQuery([{members: [{userId: 'me'}, {userId: 'group-peer'}, {userId: 'blocks-me'}]}]),
+  );
+  t.mock.method(LedgerTransaction, 'distinct', async (field, filter) =>
+    field === 'receiverId' && filter.sourceUserId === 'me' ? ['ledger-peer'] : [],
+  );
+  t.mock.method(UserBlock, 'find', filter => fakeFind(blocks, filter));
+
+  const audience = await resolvePresenceAudience('me', [
+    'me',
+    'chat-peer',
+    'group-peer',
+    'ledger-peer',
+    'stranger',
+    'blocked-by-me',
+    'blocks-me',
+  ]);
+  assert.deepEqual([...audience].sort(), ['chat-peer', 'group-peer', 'ledger-peer']);
+});
+
+test('typing is stored briefly and never relayed to a peer who blocked the typist', async t => {
+  const writes = [];
+  t.mock.method(ConversationTyping, 'updateOne', async (filter, update, options) => {
+    writes.push({filter, expiresAt: update.$set.expiresAt, upsert: options.upsert});
+    return {modifiedCount: 1};
+  });
+  t.mock.method(ConversationTyping, 'deleteOne', async filter => {
+    writes.push({filter, deleted: true});
+    return {deletedCount: 1};
+  });
+  t.mock.method(UserBlock, 'find', filter => fakeFind([{blockerId: 'carol', blockedId: 'alice'}], filter));
+
+  const bob = connectRealtime('bob');
+  const carol = connectRealtime('carol');
+  t.after(() => {
+    bob.close();
+    carol.close();
+  });
+
+  const typing = await setTyping({conversationId: 'c-1', uid: 'alice', peerIds: ['bob', 'carol'], isTyping: true});
+  assert.equal(typing.relayed, 1);
+  assert.equal(bob.events()[0].isTyping, 'true');
+  assert.deepEqual(carol.events(), []);
+  assert.ok(typing.expiresAt > Date.now());
+  assert.deepEqual(writes[0].filter, {conversationId: 'c-1', userId: 'alice'});
+  assert.equal(writes[0].upsert, true);
+
+  const stopped = await setTyping({conversationId: 'c-1', uid: 'alice', peerIds: ['bob'], isTyping: false});
+  assert.equal(stopped.expiresAt, null);
+  assert.equal(writes[1].deleted, true);
+});
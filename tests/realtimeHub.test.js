@@ -0,0 +1,68 @@
+process.env.REALTIME_ACK_TIMEOUT_MS = '250';
+const {connectRealtime, fakeQuery, sentMessages} = require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {setTimeout: sleep} = require('node:timers/promises');
+const User = require('../models/User');
+const MessageDelivery = require('../models/MessageDelivery');
+const {publishWithAck, acknowledgeEvents} = require('../services/realtimeHub');
+const {markCopyPushed, relayChatEvent} = require('../services/chatDelivery');
+
+test.beforeEach(t => {
+  sentMessages.length = 0;
+  t.mock.method(User, 'findOne', filter => fakeQuery({firebaseUid: filter.firebaseUid, fcmToken: `token-${filter.firebaseUid}`}));
+});
+
+test('nobody connected here goes straight to FCM', async () => {
+  assert.equal(publishWithAck('bob', 'chat_reaction', {type: 'chat_reaction'}), null);
+  assert.equal(await relayChatEvent('bob', {type: 'chat_reaction', messageId: 'm-1'}), 'fcm');
+  assert.equal(sentMessages.length, 1);
+  assert.equal(sentMessages[0].data.ackId, undefined);
+});
+
+test('an unacked realtime event falls back to FCM after the call returns, with the same ackId', async () => {
+  const device = connectRealtime('bob');
+  try {
+    const channel = await relayChatEvent('bob', {type: 'chat_reaction', messageId: 'm-1'});
+    assert.equal(channel, 'realtime');
+    assert.equal(sentMessages.length, 0);
+
+    await sleep(400);
+    const [event] = device.events();
+    assert.equal(sentMessages.length, 1);
+    assert.equal(sentMessages[0].token, 'token-bob');
+    assert.ok(event.ackId);
+    assert.equal(sentMessages[0].data.ackId, event.ackId);
+  } finally {
+    device.close();
+  }
+});
+
+test('an acked event settles without FCM, and a repeated ack changes nothing', async () => {
+  const device = connectRealtime('bob');
+  const settled = [];
+  try {
+    const ackId = publishWithAck('bob', 'chat_message', {type: 'chat_message'}, {
+      onAcked: payload => settled.push(['acked', payload.ackId]),
+      onMissed: () => settled.push(['missed']),
+    });
+    assert.equal(acknowledgeEvents('someone-else', [ackId]), 0);
+    assert.equal(acknowledgeEvents('bob', [ackId]), 1);
+    await sleep(400);
+    assert.deepEqual(settled, [['acked', ackId]]);
+    assert.equal(acknowledgeEvents('bob', [ackId]), 0);
+    assert.equal(sentMessages.length, 0);
+  } finally {
+    device.close();
+  }
+});
+
+test('an ack only moves a message copy that is still accepted', async t => {
+  const updates = [];
+  t.mock.method(MessageDelivery, 'updateOne', async filter => {
+    updates.push(filter);
+    return {modifiedCount: 0};
+  });
+  await markCopyPushed({messageId: 'm-2', conversationId: 'alice_bob', receiverId: 'bob'});
+  assert.deepEqual(updates, [{messageId: 'm-2', receiverId: 'bob', status: 'accepted'}]);
+});
@@ -0,0 +1,59 @@
+const {fakeQuery} = require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ScheduledJobRun = require('../models/ScheduledJobRun');
+const {SCHEDULED_JOBS, runScheduledJob, listScheduledJobHealth} = require('../services/scheduledJobs');
+
+const MINUTE_MS = 60 * 1000;
+
+test('every job reports overdue until it has run, then after three missed intervals', async t => {
+  const now = new Date();
+  t.mock.method(ScheduledJobRun, 'find', () =>
+    fakeQuery([
+      {name: 'chat-delivery-retry', lastStartedAt: new Date(now.getTime() - 2 * MINUTE_MS)},
+      {name: 'ledger-reminders', lastStartedAt: new Date(now.getTime() - 16 * MINUTE_MS)},
+    ]),
+  );
+  const health = Object.fromEntries((await listScheduledJobHealth(now)).map(job => [job.name, job.overdue]));
+  assert.deepEqual(health, {
+    'chat-delivery-retry': false,
+    'presence-sweep': true,
+    'ledger-reminders': true,
+    'ledger-recurring': true,
+  });
+});
+
+test('a run records its start and finish and flags a late start', async t => {
+  const updates = [];
+  t.mock.method(ScheduledJobRun, 'findOneAndUpdate', () =>
+    fakeQuery({name: 'presence-sweep', lastStartedAt: new Date(Date.now() - 60 * MINUTE_MS)}),
+  );
+  t.mock.method(ScheduledJobRun, 'updateOne', async (filter, update) => {
+    updates.push(update.$set);
+    return {modifiedCount: 1};
+  });
+  t.mock.method(SCHEDULED_JOBS['presence-sweep'], 'run', async options => ({expired: 0, reason: options.reason}));
+  const logged = t.mock.method(console, 'error', () => {});
+
+  const summary = await runScheduledJob('presence-sweep', {reason: 'scheduler'});
+  assert.deepEqual(summary, {expired: 0, reason: 'scheduler'});
+  assert.equal(logged.mock.callCount(), 1);
+  assert.equal(updates[0].lastError, null);
+  assert.ok(updates[0].lastFinishedAt instanceof Date);
+});
+
+test('a failed run keeps its error for the health check and still throws', async t => {
+  const updates = [];
+  t.mock.method(ScheduledJobRun, 'findOneAndUpdate', () => fakeQuery(null));
+  t.mock.method(ScheduledJobRun, 'updateOne', async (filter, update) => {
+    updates.push(update.$set);
+    return {modifiedCount: 1};
+  });
+  t.mock.method(SCHEDULED_JOBS['ledger-recurring'], 'run', async () => {
+    throw new Error('database down');
+  });
+
+  await assert.rejects(runScheduledJob('ledger-recurring', {reason: 'cron'}), /database down/);
+  assert.equal(updates[0].lastError, 'database down');
+  await assert.rejects(runScheduledJob('unknown-job'), /Unknown scheduled job/);
+});
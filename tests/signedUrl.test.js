@@ -0,0 +1,62 @@
+require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {signParts, verifySignedParts, resolvePublicBaseUrl} = require('../services/signedUrl');
+const {isConfigurationError} = require('../services/configurationError');
+
+test('verifySignedParts accepts a link signed for the same parts', () => {
+  const {expires, signature} = signParts(['ledger-attachment', 'a1', 'u1'], 60);
+  assert.equal(verifySignedParts(['ledger-attachment', 'a1', 'u1'], expires, signature), true);
+});
+
+test('verifySignedParts rejects a link for another viewer or resource', () => {
+  const {expires, signature} = signParts(['ledger-attachment', 'a1', 'u1'], 60);
+  assert.equal(verifySignedParts(['ledger-attachment', 'a1', 'u2'], expires, signature), false);
+  assert.equal(verifySignedParts(['ledger-attachment', 'a2', 'u1'], expires, signature), false);
+  assert.equal(verifySignedParts(['chat-media', 'a1', 'u1'], expires, signature), false);
+});
+
+test('verifySignedParts rejects a moved expiry, an expired link and malformed input', () => {
+  const {expires, signature} = signParts(['x'], 60);
+  assert.equal(verifySignedParts(['x'], expires + 3600, signature), false);
+  assert.equal(verifySignedParts(['x'], '', signature), false);
+  assert.equal(verifySignedParts(['x'], expires, ''), false);
+  assert.equal(verifySignedParts(['x'], expires, 'not-hex'), false);
+  assert.equal(verifySignedParts(['x'], expires, signature.slice(0, -2)), false);
+
+  const past = Math.floor(Date.now() / 1000) - 1;
+  const stale = signParts(['x'], 60);
+  assert.equal(verifySignedParts(['x'], past, stale.signature), false);
+});
+
+test('signing without SIGNED_URL_SECRET is a configuration error, not a throwaway secret', t => {
+  const secret = process.env.SIGNED_URL_SECRET;
+  t.after(() => {
+    process.env.SIGNED_URL_SECRET = secret;
+  });
+  const {expires, signature} = signParts(['x'], 60);
+
+  delete process.env.SIGNED_URL_SECRET;
+  assert.throws(() => signParts(['x'], 60), error => isConfigurationError(error));
+  assert.throws(() => verifySignedParts(['x'], expires, signature), error => isConfigurationError(error));
+
+  process.env.SIGNED_URL_SECRET = secret;
+  assert.equal(verifySignedParts(['x'], expires, signature), true);
+});
+
+test('resolvePublicBaseUrl prefers PUBLIC_BASE_URL over the request host', t => {
+  const configured = process.env.PUBLIC_BASE_URL;
+  t.after(() => {
+    if (configured === undefined) {
+      delete process.env.PUBLIC_BASE_URL;
+    } else {
+      process.env.PUBLIC_BASE_URL = configured;
+    }
+  });
+  const req = {headers: {'x-forwarded-proto': 'https,http'}, protocol: 'http', get: () => 'api.internal:5000'};
+
+  delete process.env.PUBLIC_BASE_URL;
+  assert.equal(resolvePublicBaseUrl(req), 'https://api.internal:5000');
+  process.env.PUBLIC_BASE_URL = 'https://api.example.com/';
+  assert.equal(resolvePublicBaseUrl(req), 'https://api.example.com');
+});